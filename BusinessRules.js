@@ -0,0 +1,251 @@
+/**
+ * Business rules: checks that catch line item values Salesforce would accept but the business does not
+ * want, such as negative quantities, end dates before start dates or discounts over 100%.
+ *
+ * Each rule is one "Business Rule" row of JF_SCRIPT_PARAMS, with "rule" naming its kind:
+ *   - range:      "field" must be at least "min" and at most "max". Either bound may be a number or the
+ *                 API name of another field of the same line.
+ *   - required:   "field" must not be blank.
+ *   - regex:      "field" must match the regular expression "pattern" (the whole value).
+ *   - date_order: "end_field" must not be before "start_field".
+ *   - no_overlap: lines with the same "group_by" field values (comma-separated) must not have overlapping
+ *                 "start_field" to "end_field" date ranges. A blank end date is open-ended.
+ * Blank values pass range, regex and date checks; add a required rule for fields that must be filled in.
+ *
+ * "severity" is "blocking" (the default: the Opportunity is not synced) or "warning" (the sync goes ahead
+ * and the warning is shown in the row's Sync Errors cell). "message" replaces the default message.
+ *
+ * Examples:
+ *   {"Business Rule":{"rule":"range","field":"Quantity__c","min":1}}
+ *   {"Business Rule":{"rule":"range","field":"Sales_Discount__c","min":0,"max":100}}
+ *   {"Business Rule":{"rule":"range","field":"Sales_Price__c","max":"List_Price__c","severity":"warning"}}
+ *   {"Business Rule":{"rule":"date_order","start_field":"Start_Date__c","end_field":"End_Date__c"}}
+ *   {"Business Rule":{"rule":"no_overlap","start_field":"Start_Date__c","end_field":"End_Date__c","group_by":"Product__c"}}
+ *
+ * Values are those sent to Salesforce (see FieldTypes.js), so percent fields hold points (15 for 15%).
+ * Rules run on each Opportunity's lines after the describe checks and before anything is deactivated.
+ */
+
+// The keys each kind of rule needs, next to "rule" (see validateParameterRows).
+var BUSINESS_RULE_KEYS = {
+  range: ["field"],
+  required: ["field"],
+  regex: ["field", "pattern"],
+  date_order: ["start_field", "end_field"],
+  no_overlap: ["start_field", "end_field"]
+};
+
+var BUSINESS_RULE_SEVERITIES = ["blocking", "warning"];
+
+/**
+ * @param {Object} params - The parameters, as returned by loadParametersFromJson().
+ * @returns {Array<Object>} The "Business Rule" entries, in sheet order.
+ */
+function getBusinessRules(params) {
+  var rules = params["Business Rule"];
+  if (!rules) {
+    return [];
+  }
+  return Array.isArray(rules) ? rules : [rules];
+}
+
+/**
+ * Checks the line items of one Opportunity against the business rules, logs the warnings and
+ * throws one error listing the blocking violations.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Array<Object>} rules - The rules, as returned by getBusinessRules().
+ * @param {Object} table - { columns, rowNumbers }: the input table columns and the sheet row of each line item.
+ * @param {Array<Object>} lineItems - The flattened line items (formatOLIs() output).
+ * @returns {Array<Object>} The warnings, as { row, column, field, message }.
+ */
+function enforceBusinessRules(ss, rules, table, lineItems) {
+  var violations = checkBusinessRules(rules, table, lineItems, ss.getSpreadsheetTimeZone());
+  var blocking = violations.filter(function(violation) { return violation.severity === "blocking"; });
+  var warnings = violations.filter(function(violation) { return violation.severity === "warning"; });
+
+  if (warnings.length > 0) {
+    logWarn(ss, "Found " + warnings.length + " business rule warning(s):\n" + formatRecordProblems(warnings));
+  }
+  if (blocking.length > 0) {
+    var report = "Found " + blocking.length + " business rule violation(s):\n" + formatRecordProblems(blocking);
+    logError(ss, report);
+    throw new Error(report);
+  }
+  if (rules.length > 0) {
+    logMessage(ss, "Line items passed " + rules.length + " business rule(s).");
+  }
+  return warnings;
+}
+
+/**
+ * Evaluates the rules against the line items.
+ *
+ * @param {String} [timeZone] - The time zone of date cells (the spreadsheet's; defaults to the script's).
+ * @returns {Array<Object>} Violations as { row, column, field, message, severity }, in rule order.
+ * @throws {Error} When a rule uses a field that is neither mapped nor set by processOliRecords().
+ */
+function checkBusinessRules(rules, table, lineItems, timeZone) {
+  timeZone = timeZone || Session.getScriptTimeZone();
+  var labels = {};
+  table.columns.forEach(function(column) {
+    labels[column.api.toLowerCase()] = column.label;
+  });
+  getSystemSetFields().forEach(function(field) {
+    if (!labels.hasOwnProperty(field.toLowerCase())) labels[field.toLowerCase()] = null;
+  });
+
+  var violations = [];
+  rules.forEach(function(rule) {
+    var kind = String(rule.rule).trim().toLowerCase();
+    var severity = rule.severity ? String(rule.severity).trim().toLowerCase() : "blocking";
+    var fields = [rule.field, rule.start_field, rule.end_field].concat(toValueList(rule.group_by));
+    [rule.min, rule.max].forEach(function(bound) {
+      if (typeof bound === "string") fields.push(bound);
+    });
+    fields.forEach(function(field) {
+      if (field && !labels.hasOwnProperty(String(field).trim().toLowerCase())) {
+        throw new Error("Business rule '" + kind + "' uses " + field + ", which is not mapped.");
+      }
+    });
+
+    var report = function(index, field, message) {
+      violations.push({
+        row: table.rowNumbers[index],
+        column: labels[field.toLowerCase()] || null,
+        field: field,
+        message: (severity === "warning" ? "Warning: " : "") + (rule.message || message),
+        severity: severity
+      });
+    };
+    BUSINESS_RULE_CHECKS[kind](rule, lineItems, report, timeZone);
+  });
+  return violations;
+}
+
+/**
+ * One check per kind of rule. Each receives the rule, the line items, report(index, field, message) and
+ * the time zone of date cells.
+ */
+var BUSINESS_RULE_CHECKS = {
+  range: function(rule, lineItems, report) {
+    lineItems.forEach(function(item, index) {
+      var value = readRecordField(item, rule.field);
+      if (isBlankRuleValue(value)) return;
+      var number = Number(value);
+      if (typeof value === "boolean" || !isFinite(number)) {
+        report(index, rule.field, "is " + JSON.stringify(value) + ", which is not a number.");
+        return;
+      }
+      var min = readRuleBound(rule.min, item);
+      var max = readRuleBound(rule.max, item);
+      if (min && number < min.value) {
+        report(index, rule.field, "is " + number + ", below the minimum " + min.text + ".");
+      } else if (max && number > max.value) {
+        report(index, rule.field, "is " + number + ", above the maximum " + max.text + ".");
+      }
+    });
+  },
+
+  required: function(rule, lineItems, report) {
+    lineItems.forEach(function(item, index) {
+      if (isBlankRuleValue(readRecordField(item, rule.field))) {
+        report(index, rule.field, "is required.");
+      }
+    });
+  },
+
+  regex: function(rule, lineItems, report) {
+    var pattern = new RegExp("^(?:" + rule.pattern + ")$");
+    lineItems.forEach(function(item, index) {
+      var value = readRecordField(item, rule.field);
+      if (!isBlankRuleValue(value) && !pattern.test(String(value))) {
+        report(index, rule.field, JSON.stringify(value) + " does not match the pattern " + rule.pattern + ".");
+      }
+    });
+  },
+
+  date_order: function(rule, lineItems, report, timeZone) {
+    lineItems.forEach(function(item, index) {
+      var start = toRuleDate(readRecordField(item, rule.start_field), timeZone);
+      var end = toRuleDate(readRecordField(item, rule.end_field), timeZone);
+      if (start && end && end < start) {
+        report(index, rule.end_field, "is " + end + ", before " + rule.start_field + " (" + start + ").");
+      }
+    });
+  },
+
+  no_overlap: function(rule, lineItems, report, timeZone) {
+    var groupBy = toValueList(rule.group_by);
+    var groups = {};
+    lineItems.forEach(function(item, index) {
+      var start = toRuleDate(readRecordField(item, rule.start_field), timeZone);
+      if (!start) return;
+      var key = JSON.stringify(groupBy.map(function(field) { return readRecordField(item, field); }));
+      (groups[key] = groups[key] || []).push({ index: index, start: start, end: toRuleDate(readRecordField(item, rule.end_field), timeZone) });
+    });
+    var sameGroup = groupBy.length > 0 ? " for the same " + groupBy.join(", ") : "";
+    for (var key in groups) {
+      var ranges = groups[key];
+      ranges.forEach(function(range, i) {
+        // Report each line once, against the first earlier line it overlaps.
+        for (var j = 0; j < i; j++) {
+          var other = ranges[j];
+          if (range.start <= (other.end || "9999-12-31") && other.start <= (range.end || "9999-12-31")) {
+            report(range.index, rule.start_field, "the dates " + describeRuleRange(range) + " overlap " +
+              describeRuleRange(other) + " (another line" + sameGroup + ").");
+            break;
+          }
+        }
+      });
+    }
+  }
+};
+
+function isBlankRuleValue(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * Reads a range bound: a number, or the value of the named field of the line (null when that is blank).
+ *
+ * @returns {Object|null} { value, text } with text describing the bound in messages.
+ */
+function readRuleBound(bound, item) {
+  if (bound === undefined || bound === null) {
+    return null;
+  }
+  if (typeof bound === "number") {
+    return { value: bound, text: String(bound) };
+  }
+  var value = readRecordField(item, bound);
+  if (isBlankRuleValue(value) || !isFinite(Number(value))) {
+    return null;
+  }
+  return { value: Number(value), text: bound + " (" + Number(value) + ")" };
+}
+
+/**
+ * Dates are compared as yyyy-MM-dd text, which sorts in date order. Date cells and date-time text are
+ * taken in the spreadsheet time zone, as the Prepper converts them (see FIELD_TYPE_CONVERTERS.date);
+ * text that is not a date is compared as it is.
+ */
+function toRuleDate(value, timeZone) {
+  if (isBlankRuleValue(value)) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, timeZone, "yyyy-MM-dd");
+  }
+  var text = String(value).trim();
+  try {
+    return parseDateText(text);
+  } catch (e) {
+    var time = /^\d{4}-\d{2}-\d{2}T/.test(text) ? new Date(text) : null;
+    return time && !isNaN(time.getTime()) ? Utilities.formatDate(time, timeZone, "yyyy-MM-dd") : text;
+  }
+}
+
+function describeRuleRange(range) {
+  return range.start + " to " + (range.end || "open-ended");
+}
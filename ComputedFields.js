@@ -0,0 +1,264 @@
+/**
+ * Computed fields: mapping entries whose value does not come from a sheet column.
+ *
+ * A mapping entry may declare, instead of reading its object_label column:
+ *   - "constant":   a value sent as is on every line, e.g. "USD" or true.
+ *   - "expression": arithmetic over other fields of the same row, by API name, with numbers,
+ *                   + - * /, parentheses and the functions round(x, places), min(a, b, ...),
+ *                   max(a, b, ...) and abs(x). Its result goes through "scale" and "round".
+ * object_label is then optional; it only names the field in problem reports.
+ *
+ * A column mapping may also declare "default": the value sent when its cell is blank (see convertCellValue).
+ *
+ * Examples:
+ *   {"jellyfish_line_item__c":{"object_api_name":"Currency__c","constant":"USD"}}
+ *   {"jellyfish_line_item__c":{"object_label":"Quantity","object_api_name":"Quantity__c","type":"number","default":1}}
+ *   {"jellyfish_line_item__c":{"object_api_name":"Sales_Price__c","expression":"List_Price__c * (1 - Sales_Discount__c / 100)","round":2}}
+ *   {"jellyfish_line_item__c":{"object_api_name":"Total__c","expression":"Quantity__c * Sales_Price__c"}}
+ *
+ * Expressions see the converted values, so percent fields hold points (15 for 15%). A blank operand
+ * makes the result blank. Expressions may use other computed fields; they are evaluated in dependency
+ * order and a cycle is an error.
+ */
+
+var COMPUTED_FUNCTIONS = {
+  round: function(value, places) { return roundTo(value, places === undefined ? 0 : places); },
+  min: function() { return Math.min.apply(null, arguments); },
+  max: function() { return Math.max.apply(null, arguments); },
+  abs: function(value) { return Math.abs(value); }
+};
+
+/**
+ * @returns {Boolean} True when the mapping gives a constant or an expression instead of reading a column.
+ */
+function isComputedMapping(mapping) {
+  return mapping.constant !== undefined || mapping.expression !== undefined;
+}
+
+/**
+ * Orders the computed columns so that every expression comes after the computed fields it uses.
+ *
+ * @param {Array<Object>} columns - The mapped columns, as { group, api, label, mapping }.
+ * @param {Array<Object>} [missingColumns] - Those of the columns whose header is not in the input sheet.
+ * @returns {Array<Object>} The computed columns, each with its parsed expression (as "ast", or null for constants).
+ * @throws {Error} When an expression uses a field that is not mapped in its group or whose column is missing,
+ *   or the expressions form a cycle.
+ */
+function orderComputedColumns(columns, missingColumns) {
+  missingColumns = missingColumns || [];
+  var byField = {};
+  var computed = [];
+  columns.forEach(function(column) {
+    byField[column.group + "." + column.api] = column;
+    if (isComputedMapping(column.mapping)) {
+      computed.push({
+        column: column,
+        ast: column.mapping.expression !== undefined ? parseExpression(column.mapping.expression) : null
+      });
+    }
+  });
+
+  var ordered = [];
+  var state = {}; // group.api: "visiting" or "done"
+  var visit = function(item, path) {
+    var key = item.column.group + "." + item.column.api;
+    if (state[key] === "done") return;
+    if (state[key] === "visiting") {
+      var cycle = path.slice(path.indexOf(item.column.api)).concat(item.column.api);
+      throw new Error("Computed fields form a cycle: " + cycle.join(" -> ") + ".");
+    }
+    state[key] = "visiting";
+    (item.ast ? expressionFields(item.ast) : []).forEach(function(field) {
+      var used = byField[item.column.group + "." + field];
+      if (!used) {
+        throw new Error("The expression of " + item.column.api + " uses " + field + ", which is not mapped in '" +
+          item.column.group + "'.");
+      }
+      if (missingColumns.indexOf(used) !== -1) {
+        throw new Error("The expression of " + item.column.api + " uses " + field + ", whose column '" + used.label +
+          "' is not in the input sheet.");
+      }
+      var usedItem = computed.filter(function(other) { return other.column === used; })[0];
+      if (usedItem) {
+        visit(usedItem, path.concat(item.column.api));
+      }
+    });
+    state[key] = "done";
+    ordered.push(item);
+  };
+  computed.forEach(function(item) { visit(item, []); });
+  return ordered;
+}
+
+/**
+ * Computes a field of one row.
+ *
+ * @param {Object} item - A computed column, as returned by orderComputedColumns().
+ * @param {Object} values - The row's values so far, by API name.
+ * @returns {*} The value to send.
+ * @throws {Error} With a short, user-facing message (e.g. when an operand is not a number).
+ */
+function computeFieldValue(item, values) {
+  if (!item.ast) {
+    return item.column.mapping.constant;
+  }
+  return applyNumericTransforms(evaluateExpression(item.ast, values), item.column.mapping);
+}
+
+/**
+ * Parses an expression into a tree of { type: "number" | "field" | "negate" | "binary" | "call", ... } nodes.
+ *
+ * @throws {Error} Naming the position of the first thing that is not understood.
+ */
+function parseExpression(text) {
+  var tokens = tokenizeExpression(String(text));
+  var position = 0;
+  var peek = function() { return tokens[position]; };
+  var fail = function(expected) {
+    var token = peek();
+    throw new Error("expected " + expected + (token ? " at position " + (token.at + 1) + " ('" + token.text + "')" : " at the end"));
+  };
+  var accept = function(text) {
+    if (peek() && peek().text === text) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+
+  var parseSum = function() {
+    var node = parseProduct();
+    while (peek() && (peek().text === "+" || peek().text === "-")) {
+      node = { type: "binary", op: tokens[position++].text, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+  var parseProduct = function() {
+    var node = parseUnary();
+    while (peek() && (peek().text === "*" || peek().text === "/")) {
+      node = { type: "binary", op: tokens[position++].text, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  var parseUnary = function() {
+    if (accept("-")) {
+      return { type: "negate", operand: parseUnary() };
+    }
+    return parseOperand();
+  };
+  var parseOperand = function() {
+    var token = peek();
+    if (!token) fail("a number, field or '('");
+    if (accept("(")) {
+      var inner = parseSum();
+      if (!accept(")")) fail("')'");
+      return inner;
+    }
+    if (token.kind === "number") {
+      position++;
+      return { type: "number", value: Number(token.text) };
+    }
+    if (token.kind === "name") {
+      position++;
+      if (!accept("(")) {
+        return { type: "field", name: token.text };
+      }
+      if (!COMPUTED_FUNCTIONS.hasOwnProperty(token.text)) {
+        throw new Error("unknown function '" + token.text + "'; use one of " + Object.keys(COMPUTED_FUNCTIONS).join(", "));
+      }
+      var args = [];
+      if (!accept(")")) {
+        do {
+          args.push(parseSum());
+        } while (accept(","));
+        if (!accept(")")) fail("')'");
+      }
+      return { type: "call", name: token.text, args: args };
+    }
+    return fail("a number, field or '('");
+  };
+
+  var tree = parseSum();
+  if (position < tokens.length) fail("an operator");
+  return tree;
+}
+
+function tokenizeExpression(text) {
+  var tokens = [];
+  var pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z][A-Za-z0-9_]*)|([-+*\/(),]))/y;
+  var index = 0;
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) break;
+    pattern.lastIndex = index;
+    var match = pattern.exec(text);
+    if (!match) {
+      throw new Error("unexpected '" + text.slice(index).trim().charAt(0) + "' at position " + (index + 1));
+    }
+    var tokenText = match[1] || match[2] || match[3];
+    tokens.push({
+      kind: match[1] ? "number" : match[2] ? "name" : "symbol",
+      text: tokenText,
+      at: pattern.lastIndex - tokenText.length
+    });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * @returns {Array<String>} The field names an expression uses, without repeats.
+ */
+function expressionFields(node) {
+  var fields = [];
+  var walk = function(current) {
+    if (current.type === "field" && fields.indexOf(current.name) === -1) fields.push(current.name);
+    if (current.operand) walk(current.operand);
+    if (current.left) walk(current.left);
+    if (current.right) walk(current.right);
+    (current.args || []).forEach(walk);
+  };
+  walk(node);
+  return fields;
+}
+
+/**
+ * Evaluates a parsed expression against a row's values. Returns null when a field it uses is blank.
+ */
+function evaluateExpression(node, values) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "field":
+      var value = values[node.name];
+      if (value === null || value === undefined || value === "") {
+        return null;
+      }
+      if (typeof value === "number") {
+        return value;
+      }
+      if (typeof value === "string" && value.trim() !== "" && isFinite(value)) {
+        return Number(value);
+      }
+      throw new Error(node.name + " is not a number (" + JSON.stringify(value) + ").");
+    case "negate":
+      var operand = evaluateExpression(node.operand, values);
+      return operand === null ? null : -operand;
+    case "binary":
+      var left = evaluateExpression(node.left, values);
+      var right = evaluateExpression(node.right, values);
+      if (left === null || right === null) {
+        return null;
+      }
+      if (node.op === "/" && right === 0) {
+        throw new Error("divides by zero.");
+      }
+      return node.op === "+" ? left + right : node.op === "-" ? left - right : node.op === "*" ? left * right : left / right;
+    case "call":
+      var args = node.args.map(function(arg) { return evaluateExpression(arg, values); });
+      if (args.indexOf(null) !== -1) {
+        return null;
+      }
+      return COMPUTED_FUNCTIONS[node.name].apply(null, args);
+  }
+  throw new Error("cannot evaluate '" + node.type + "'.");
+}
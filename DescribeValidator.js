@@ -0,0 +1,197 @@
+/**
+ * Returns the fields that processOliRecords() sets itself, so they do not need a column mapping:
+ * the parent, active and version fields of the target object (see getTargetObject).
+ */
+function getSystemSetFields() {
+  var target = getTargetObject();
+  return [target.parentField, target.activeField, target.versionField];
+}
+
+/**
+ * Checks the line items against the Salesforce describe metadata of the target object (jellyfish_line_item__c by default)
+ * before anything is written, and throws one error listing every problem.
+ *
+ * Checked:
+ *   - Every mapped field exists and can be set on create.
+ *   - Every field Salesforce requires on create is mapped (or set by processOliRecords()).
+ *   - Every value fits its field: type, text length and restricted picklist values.
+ *   - For delta syncs: the key field is an External Id and every mapped field can be updated.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @param {Array<Object>} lineItems - The flattened line items (formatOLIs() output, same order as table.records).
+ * @param {String} [externalIdField] - The key field of a delta sync (see syncLineItemDelta).
+ */
+function validateLineItemsAgainstDescribe(ss, table, lineItems, externalIdField) {
+  var describe = describeSObject(getTargetObject().object);
+  var problems = checkRecordsAgainstDescribe(describe, table, lineItems, externalIdField);
+  if (problems.length === 0) {
+    logMessage(ss, "Line items passed the " + describe.name + " describe checks.");
+    return;
+  }
+  var report = "Found " + problems.length + " problem(s) against the " + describe.name + " metadata:\n" +
+    formatRecordProblems(problems);
+  logError(ss, report);
+  throw new Error(report);
+}
+
+/**
+ * Compares the mapped columns and the line item values with a describe result.
+ *
+ * @param {Object} describe - The sObject describe result.
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @param {Array<Object>} lineItems - The flattened line items.
+ * @param {String} [externalIdField] - The key field of a delta sync.
+ * @returns {Array<Object>} Problems as { row, column, field, message } (row is null for mapping-level problems).
+ */
+function checkRecordsAgainstDescribe(describe, table, lineItems, externalIdField) {
+  var problems = [];
+  var fieldsByName = {};
+  describe.fields.forEach(function(field) {
+    fieldsByName[field.name.toLowerCase()] = field;
+  });
+  var labelsByName = {};
+  table.columns.forEach(function(column) {
+    labelsByName[column.api.toLowerCase()] = column.label;
+  });
+
+  // Mapping-level checks. A delta sync also matches lines on the External Id and updates them
+  // in place (but never moves them to another parent).
+  table.columns.forEach(function(column) {
+    var field = fieldsByName[column.api.toLowerCase()];
+    if (!field) {
+      problems.push({ row: null, column: column.label, field: column.api, message: "is not a field on " + describe.name + "." });
+    } else if (!field.createable) {
+      problems.push({ row: null, column: column.label, field: column.api,
+        message: "cannot be set when creating records (read-only, formula or system field)." });
+    } else if (externalIdField && column.api.toLowerCase() === externalIdField.toLowerCase() && !field.externalId) {
+      problems.push({ row: null, column: column.label, field: column.api,
+        message: "is not an External Id field, so it cannot match lines in a delta sync." });
+    } else if (externalIdField && !field.updateable && column.api.toLowerCase() !== getTargetObject().parentField.toLowerCase()) {
+      problems.push({ row: null, column: column.label, field: column.api,
+        message: "cannot be changed on existing records, which a delta sync needs to do." });
+    }
+  });
+
+  var setFields = getSystemSetFields().map(function(name) { return name.toLowerCase(); }).concat(Object.keys(labelsByName));
+  describe.fields.forEach(function(field) {
+    if (isRequiredOnCreate(field) && setFields.indexOf(field.name.toLowerCase()) === -1) {
+      problems.push({ row: null, column: "", field: field.name, message: "is required by Salesforce but is not mapped." });
+    }
+  });
+
+  // Value-level checks.
+  lineItems.forEach(function(item, index) {
+    for (var key in item) {
+      if (!item.hasOwnProperty(key) || key === "attributes") continue;
+      var field = fieldsByName[key.toLowerCase()];
+      if (!field) continue;
+
+      var message = checkValueAgainstField(item[key], field);
+      if (message) {
+        problems.push({
+          row: table.rowNumbers[index],
+          column: labelsByName[key.toLowerCase()] || "",
+          field: field.name,
+          message: message
+        });
+      }
+    }
+  });
+  return problems;
+}
+
+function isRequiredOnCreate(field) {
+  return field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== "boolean";
+}
+
+/**
+ * Checks one value against a describe field.
+ *
+ * @returns {String|null} A problem description, or null when the value fits.
+ */
+function checkValueAgainstField(value, field) {
+  if (value === null || value === undefined || value === "") {
+    return isRequiredOnCreate(field) ? "is required." : null;
+  }
+  var shown = JSON.stringify(value);
+
+  switch (field.type) {
+    case "string":
+    case "textarea":
+    case "email":
+    case "phone":
+    case "url":
+    case "encryptedstring":
+    case "combobox":
+      if (value instanceof Date) {
+        return shown + " is a date; this is a text field.";
+      }
+      if (field.length && String(value).length > field.length) {
+        return shown + " is " + String(value).length + " characters long; the field allows " + field.length + ".";
+      }
+      return null;
+
+    case "picklist":
+    case "multipicklist":
+      if (!field.restrictedPicklist) return null;
+      var allowed = (field.picklistValues || [])
+        .filter(function(entry) { return entry.active; })
+        .map(function(entry) { return entry.value; });
+      var chosen = field.type === "multipicklist" ? String(value).split(";") : [String(value)];
+      var invalid = chosen.filter(function(choice) { return allowed.indexOf(choice) === -1; });
+      return invalid.length === 0 ? null :
+        JSON.stringify(invalid.join(";")) + " is not an allowed value (allowed: " + allowed.join(", ") + ").";
+
+    case "double":
+    case "currency":
+    case "percent":
+    case "int":
+    case "long":
+      if (typeof value !== "number" || !isFinite(value)) {
+        return shown + " is not a number.";
+      }
+      if ((field.type === "int" || field.type === "long") && Math.floor(value) !== value) {
+        return shown + " is not a whole number.";
+      }
+      return null;
+
+    case "boolean":
+      return typeof value === "boolean" ? null : shown + " is not TRUE or FALSE (declare \"type\":\"boolean\" on the mapping).";
+
+    case "date":
+      if (value instanceof Date) {
+        return "is a date cell; declare \"type\":\"date\" on the mapping so it is sent as yyyy-MM-dd.";
+      }
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? null : shown + " is not a date (yyyy-MM-dd).";
+
+    case "datetime":
+      return value instanceof Date || !isNaN(new Date(String(value)).getTime()) ? null : shown + " is not a date and time.";
+
+    case "reference":
+    case "id":
+      try {
+        validateSalesforceId(value);
+        return null;
+      } catch (e) {
+        return shown + " is not a Salesforce record Id" +
+          (field.referenceTo && field.referenceTo.length ? " (" + field.referenceTo.join(" or ") + ")." : ".");
+      }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Formats row/column problems (as produced while building and checking the input table), one per line:
+ *   Row 5, column 'Discount' (Sales_Discount__c): "abc" is not a number.
+ */
+function formatRecordProblems(problems) {
+  return problems.map(function(problem) {
+    var where = problem.row ? "Row " + problem.row : "Mapping";
+    if (problem.column) where += ", column '" + problem.column + "'";
+    if (problem.field) where += " (" + problem.field + ")";
+    return where + ": " + problem.message;
+  }).join("\n");
+}
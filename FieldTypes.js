@@ -0,0 +1,238 @@
+/**
+ * Field types and value transforms for column mappings in JF_SCRIPT_PARAMS.
+ *
+ * A mapping entry may declare, next to object_label and object_api_name:
+ *   - "type":       one of the keys of FIELD_TYPE_CONVERTERS (date, datetime, number, currency,
+ *                   percent, boolean, picklist, text). Without a type the cell value is sent as is.
+ *   - "max_length": for text, the longest value allowed.
+ *   - "values":     for picklist, the allowed values (an array or a comma-separated string).
+ *   - "trim":       true to remove surrounding whitespace from text.
+ *   - "upper":      true to upper-case text.
+ *   - "value_map":  an object (or its JSON string) replacing whole cell values, e.g. {"Yes":true}.
+ *   - "scale":      a number the converted value is multiplied by.
+ *   - "round":      the number of decimal places to round the converted value to.
+ *   - "default":    the value sent as is when the cell is blank (after trim).
+ *
+ * Example:
+ *   {"jellyfish_line_item__c":{"object_label":"Discount","object_api_name":"Sales_Discount__c","type":"percent","round":2}}
+ *
+ * Transforms are applied in this order: trim, upper, default, value_map, type conversion, scale, round.
+ * Constants and expressions, which read no cell, are in ComputedFields.js.
+ */
+
+/**
+ * Converters from a sheet cell value (as returned by getValues()) to the value Salesforce expects.
+ * Each receives a non-blank value, the mapping entry and the spreadsheet time zone, and throws
+ * an Error with a short, user-facing message when the value cannot be converted.
+ */
+var FIELD_TYPE_CONVERTERS = {
+  text: function(value, mapping) {
+    var text = value instanceof Date ? value.toISOString() : String(value);
+    if (mapping.max_length && text.length > mapping.max_length) {
+      throw new Error("is " + text.length + " characters long; the maximum is " + mapping.max_length + ".");
+    }
+    return text;
+  },
+
+  number: function(value) {
+    return parseNumberCell(value, /[,\s]/g);
+  },
+
+  // Accepts 1250, "1,250.00", "$1,250" and "(1,250)" for negative amounts.
+  currency: function(value) {
+    if (typeof value === "string" && /^\s*\(.*\)\s*$/.test(value)) {
+      return -parseNumberCell(value.replace(/[()]/g, ""), /[,\s$€£]/g);
+    }
+    return parseNumberCell(value, /[,\s$€£]/g);
+  },
+
+  // Sheets stores a cell formatted as 15% as 0.15; Salesforce percent fields expect 15.
+  // Text such as "15%" is taken literally.
+  percent: function(value) {
+    if (typeof value === "string" && value.trim().slice(-1) === "%") {
+      return parseNumberCell(value.trim().slice(0, -1), /[,\s]/g);
+    }
+    return roundTo(parseNumberCell(value, /[,\s]/g) * 100, 10);
+  },
+
+  date: function(value, mapping, timeZone) {
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) throw new Error("is not a valid date.");
+      return Utilities.formatDate(value, timeZone, "yyyy-MM-dd");
+    }
+    return parseDateText(String(value).trim());
+  },
+
+  // Accepts date-time cells and ISO 8601 text such as 2025-02-01T09:00:00Z.
+  datetime: function(value) {
+    var date = value instanceof Date ? value : new Date(String(value).trim());
+    if (isNaN(date.getTime())) {
+      throw new Error("is not a date and time.");
+    }
+    return date.toISOString();
+  },
+
+  boolean: function(value) {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    var text = String(value).trim().toLowerCase();
+    if (["true", "yes", "y", "1", "x"].indexOf(text) !== -1) return true;
+    if (["false", "no", "n", "0"].indexOf(text) !== -1) return false;
+    throw new Error("is not a checkbox value (use TRUE/FALSE or Yes/No).");
+  },
+
+  picklist: function(value, mapping) {
+    var text = String(value).trim();
+    var allowed = toValueList(mapping.values);
+    if (allowed.length === 0) {
+      return text;
+    }
+    for (var i = 0; i < allowed.length; i++) {
+      if (allowed[i].toLowerCase() === text.toLowerCase()) {
+        return allowed[i];
+      }
+    }
+    throw new Error("is not one of the allowed values: " + allowed.join(", ") + ".");
+  }
+};
+
+/**
+ * Converts one cell value according to its mapping entry (see the top of this file).
+ * Blank cells become the mapping's default if it has one; otherwise null when the mapping declares a
+ * type, and are left as they are when it does not.
+ *
+ * @param {*} value - The cell value as returned by getValues().
+ * @param {Object} mapping - The mapping entry from JF_SCRIPT_PARAMS.
+ * @param {String} timeZone - The spreadsheet time zone, used to format dates.
+ * @returns {*} The converted value.
+ */
+function convertCellValue(value, mapping, timeZone) {
+  if (typeof value === "string") {
+    if (mapping.trim) value = value.trim();
+    if (mapping.upper) value = value.toUpperCase();
+  }
+  if (mapping.default !== undefined && (value === "" || value === null || value === undefined)) {
+    return mapping.default;
+  }
+
+  if (mapping.value_map !== undefined) {
+    var valueMap = toValueMap(mapping.value_map);
+    var key = String(value).trim();
+    if (valueMap.hasOwnProperty(key)) {
+      value = valueMap[key];
+    }
+  }
+
+  if (!mapping.type) {
+    return applyNumericTransforms(value, mapping);
+  }
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+
+  var converter = FIELD_TYPE_CONVERTERS[mapping.type];
+  if (!converter) {
+    throw new Error("has unknown type '" + mapping.type + "'.");
+  }
+  return applyNumericTransforms(converter(value, mapping, timeZone), mapping);
+}
+
+/**
+ * Reverses convertCellValue() for a value read from Salesforce, so it can be written back to the sheet.
+ * Scaling and percent conversion are undone, value_map entries are mapped back to their sheet value
+ * and date fields become Date cells. trim, upper and round cannot be undone and are ignored.
+ *
+ * @param {*} value - The field value returned by a Salesforce query.
+ * @param {Object} mapping - The mapping entry from JF_SCRIPT_PARAMS.
+ * @returns {*} The value to write to the sheet cell.
+ */
+function revertCellValue(value, mapping) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number") {
+    if (mapping.scale) value = value / mapping.scale;
+    if (mapping.type === "percent") value = roundTo(value / 100, 10);
+  }
+  if (mapping.type === "date" && typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    var parts = value.split("-");
+    value = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+  } else if (mapping.type === "datetime" && typeof value === "string") {
+    value = new Date(value);
+  }
+  if (mapping.value_map !== undefined) {
+    var valueMap = toValueMap(mapping.value_map);
+    for (var key in valueMap) {
+      if (valueMap.hasOwnProperty(key) && valueMap[key] === value) {
+        return key;
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Applies "scale" and "round" to numeric values; other values are returned unchanged.
+ */
+function applyNumericTransforms(value, mapping) {
+  if (typeof value !== "number") {
+    return value;
+  }
+  if (mapping.scale !== undefined) {
+    value = value * mapping.scale;
+  }
+  if (mapping.round !== undefined) {
+    value = roundTo(value, mapping.round);
+  }
+  return value;
+}
+
+function roundTo(value, places) {
+  var factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+function parseNumberCell(value, ignoredCharacters) {
+  if (typeof value === "number") {
+    return value;
+  }
+  var text = String(value).replace(ignoredCharacters, "");
+  if (text === "" || isNaN(text)) {
+    throw new Error("is not a number.");
+  }
+  return Number(text);
+}
+
+/**
+ * Converts yyyy-MM-dd or M/d/yyyy text to the yyyy-MM-dd form Salesforce expects.
+ */
+function parseDateText(text) {
+  var year, month, day, match;
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+    year = Number(match[1]); month = Number(match[2]); day = Number(match[3]);
+  } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) {
+    month = Number(match[1]); day = Number(match[2]); year = Number(match[3]);
+  } else {
+    throw new Error("is not a date (use a date cell, yyyy-MM-dd or M/d/yyyy).");
+  }
+
+  // Reject dates such as 2025-02-30 that Date would silently roll over.
+  var check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    throw new Error("is not a valid date.");
+  }
+  return check.toISOString().slice(0, 10);
+}
+
+function toValueMap(valueMap) {
+  return typeof valueMap === "string" ? JSON.parse(valueMap) : valueMap;
+}
+
+function toValueList(values) {
+  if (values === undefined || values === null || values === "") {
+    return [];
+  }
+  var list = Array.isArray(values) ? values : String(values).split(",");
+  return list.map(function(item) { return String(item).trim(); }).filter(function(item) { return item !== ""; });
+}
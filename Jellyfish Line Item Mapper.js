@@ -0,0 +1,177 @@
+// Headers whose best match scores below this (1 is an exact match) are left for a hand-written mapping.
+var MAPPING_MIN_SCORE = 0.75;
+
+// Describe field types that have a FieldTypes.js converter. Other fields get no "type" (the cell is sent as is).
+var DESCRIBE_FIELD_TYPES = {
+  double: "number",
+  int: "number",
+  long: "number",
+  currency: "currency",
+  percent: "percent",
+  date: "date",
+  datetime: "datetime",
+  boolean: "boolean"
+};
+
+/**
+ * generateParameterMappings(ss)
+ *
+ * Mapping wizard: proposes the column mappings of a new quote template and appends them to
+ * JF_SCRIPT_PARAMS, so the rows no longer have to be written one by one.
+ *
+ * Steps:
+ * 1. Load the "Input Sheet" and "Table Header Row" settings (which must already be in JF_SCRIPT_PARAMS)
+ *    and the existing mappings.
+ * 2. Read the header row and the describe metadata of the target object (jellyfish_line_item__c by default).
+ * 3. Score every header that no mapping reads yet against every createable field that is not mapped yet,
+ *    by name and label (see scoreFieldMatch), and pair them best score first.
+ * 4. Append one JSON row per pair, in the mapping group the existing rows use, with the "type" that
+ *    matches the field's describe type. Existing rows are never changed.
+ *
+ * Headers without a field scoring MAPPING_MIN_SCORE or more are reported as unmatched; the Sync Status
+ * columns (RESULT_HEADERS) are ignored. Close (not exact) matches are worth a look before syncing.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet holding JF_SCRIPT_PARAMS and the input sheet.
+ * @returns {Object} { sheet, object, added: [{ row, label, api, type, exact }], unmatched: [{ column, label }], alreadyMapped }.
+ */
+function generateParameterMappings(ss) {
+  beginLogRun(ss);
+  try {
+    // STEP 1: Load the settings and the existing mappings.
+    var params = loadParametersFromJson(ss);
+    ["Input Sheet", "Table Header Row"].forEach(function(setting) {
+      if (!params[setting] || !params[setting].Name) {
+        throw new Error("Add the '" + setting + "' setting to JF_SCRIPT_PARAMS before generating mappings.");
+      }
+    });
+    var inputSheetName = params["Input Sheet"].Name;
+    var headerRowNumber = params["Table Header Row"].Name;
+    var sheet = ss.getSheetByName(inputSheetName);
+    if (!sheet) {
+      throw new Error("Input sheet '" + inputSheetName + "' not found.");
+    }
+    var entries = getMappingEntries(params);
+
+    // STEP 2: Read the headers and the fields.
+    var lastColumn = Math.max(sheet.getLastColumn(), 1);
+    var headerRow = sheet.getRange(headerRowNumber, 1, 1, lastColumn).getValues()[0];
+    var target = getTargetObject();
+    var describe = describeSObject(target.object);
+
+    var mappedCols = {};
+    var mappedFields = {};
+    entries.forEach(function(entry) {
+      var found = entry.computed ? { col: -1 } : findHeaderColumn(headerRow, entry);
+      if (found.col !== -1) mappedCols[found.col] = true;
+      mappedFields[entry.api.toLowerCase()] = true;
+    });
+    var resultHeaders = RESULT_HEADERS.map(normalizeHeader);
+
+    var headers = [];
+    headerRow.forEach(function(value, col) {
+      var label = String(value).trim();
+      if (label === "" || mappedCols[col] || resultHeaders.indexOf(normalizeHeader(label)) !== -1) return;
+      headers.push({ col: col, label: label });
+    });
+    var fields = describe.fields.filter(function(field) {
+      return field.createable && !mappedFields[field.name.toLowerCase()] &&
+        field.name !== target.activeField && field.name !== target.versionField;
+    });
+
+    // STEP 3: Pair headers and fields, best score first.
+    var candidates = [];
+    headers.forEach(function(header) {
+      fields.forEach(function(field) {
+        var score = scoreFieldMatch(header.label, field);
+        if (score >= MAPPING_MIN_SCORE) {
+          candidates.push({ header: header, field: field, score: score });
+        }
+      });
+    });
+    candidates.sort(function(a, b) {
+      return b.score - a.score || a.header.col - b.header.col;
+    });
+    var pairedCols = {};
+    var pairedFields = {};
+    var pairs = [];
+    candidates.forEach(function(candidate) {
+      if (pairedCols[candidate.header.col] || pairedFields[candidate.field.name]) return;
+      pairedCols[candidate.header.col] = true;
+      pairedFields[candidate.field.name] = true;
+      pairs.push(candidate);
+    });
+    pairs.sort(function(a, b) { return a.header.col - b.header.col; });
+
+    // STEP 4: Append the new mappings, in the group the existing mappings use.
+    var group = entries.length > 0 ? entries[0].group : PARAMETER_SCHEMA.defaultMappingGroup;
+    var paramsSheet = ss.getSheetByName("JF_SCRIPT_PARAMS");
+    var added = pairs.map(function(pair) {
+      var mapping = { object_label: pair.header.label, object_api_name: pair.field.name };
+      if (DESCRIBE_FIELD_TYPES.hasOwnProperty(pair.field.type)) {
+        mapping.type = DESCRIBE_FIELD_TYPES[pair.field.type];
+      }
+      var row = {};
+      row[group] = mapping;
+      paramsSheet.appendRow([JSON.stringify(row)]);
+      return { row: paramsSheet.getLastRow(), label: mapping.object_label, api: mapping.object_api_name,
+        type: mapping.type || null, exact: pair.score === 1 };
+    });
+    var unmatched = headers.filter(function(header) { return !pairedCols[header.col]; }).map(function(header) {
+      return { column: columnIndexToLetter(header.col), label: header.label };
+    });
+
+    if (unmatched.length > 0) {
+      logWarn(ss, "No " + describe.name + " field matches " + unmatched.length + " header(s): " +
+        unmatched.map(function(header) { return header.column + " '" + header.label + "'"; }).join(", ") + ".");
+    }
+    var result = { sheet: inputSheetName, object: describe.name, added: added, unmatched: unmatched, alreadyMapped: entries.length };
+    logInfo(ss, "Generated " + added.length + " mapping(s).", result);
+    return result;
+
+  } catch (e) {
+    logError(ss, "Error in generateParameterMappings: " + e.message);
+    throw e;
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Scores how well a header names a field, from 0 to 1 (an exact match), comparing the header with
+ * the field's API name and label after dropping case, spacing, punctuation, "__c" and a trailing "Id".
+ */
+function scoreFieldMatch(header, field) {
+  var wanted = simplifyFieldName(header);
+  var best = 0;
+  [field.name, field.label].forEach(function(name) {
+    if (!name) return;
+    var candidate = simplifyFieldName(name);
+    if (wanted === "" || candidate === "") return;
+    var longest = Math.max(wanted.length, candidate.length);
+    best = Math.max(best, 1 - editDistance(wanted, candidate) / longest);
+  });
+  return best;
+}
+
+function simplifyFieldName(name) {
+  return String(name).replace(/__c$/i, "").replace(/([a-z0-9])([A-Z])/g, "$1 $2").toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ").trim().replace(/ id$/, "").replace(/ /g, "");
+}
+
+/**
+ * Levenshtein distance: the number of single-character edits that turn one string into the other.
+ */
+function editDistance(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (var k = 1; k <= b.length; k++) {
+      current.push(Math.min(previous[k] + 1, current[k - 1] + 1, previous[k - 1] + (a[i - 1] === b[k - 1] ? 0 : 1)));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
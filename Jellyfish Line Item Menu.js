@@ -0,0 +1,305 @@
+var MENU_NAME = "Jellyfish";
+var SIDEBAR_FILE = "Sidebar";
+var SIDEBAR_TITLE = "Jellyfish Line Items";
+
+// Progress of the running action (user cache) and summary of the last run (document properties).
+var PROGRESS_CACHE_KEY = "JF_SIDEBAR_PROGRESS";
+var PROGRESS_TTL_SECONDS = 600;
+var LAST_RUN_PROPERTY = "JF_LAST_RUN";
+var LAST_RUN_MAX_TEXT_LENGTH = 8000;
+
+// Actions available from the menu and the sidebar. Each receives the spreadsheet and the sidebar's arguments.
+var SIDEBAR_ACTIONS = {
+  validate: {
+    label: "Validate parameters",
+    run: function(ss) { return validateParameters(ss); }
+  },
+  preview: {
+    label: "Preview",
+    run: function(ss) { return previewOliRecords(ss); }
+  },
+  sync: {
+    label: "Sync to Salesforce",
+    run: function(ss) { return processJellyfishLineItems(ss); }
+  },
+  pull: {
+    label: "Pull from Salesforce",
+    run: function(ss, args) { return pullLineItemsFromSalesforce(ss, args.opportunityId, args.version); }
+  },
+  revisions: {
+    label: "List revisions",
+    run: function(ss, args) { return listRevisions(ss, args.opportunityId); }
+  },
+  restore: {
+    label: "Restore revision",
+    run: function(ss, args) { return restoreRevision(args.opportunityId, args.version, ss); }
+  },
+  map: {
+    label: "Generate mappings",
+    run: function(ss) { return generateParameterMappings(ss); }
+  }
+};
+
+// Question asked before a sync, by Sync Mode (see getSyncConfirmation).
+var SYNC_CONFIRMATIONS = {
+  revision: "Replace the active line items of every Opportunity in the input sheet with a new revision?",
+  delta: "Update the active line items of every Opportunity in the input sheet in place? " +
+    "New and changed lines are written and lines no longer in the sheet are deactivated."
+};
+
+/**
+ * Adds the "Jellyfish" menu when the spreadsheet is opened.
+ */
+function onOpen() {
+  SpreadsheetApp.getUi().createMenu(MENU_NAME)
+    .addItem("Open sidebar", "showSidebar")
+    .addSeparator()
+    .addItem("Validate parameters", "menuValidate")
+    .addItem("Preview", "menuPreview")
+    .addItem("Sync to Salesforce", "menuSync")
+    .addItem("Pull from Salesforce...", "menuPull")
+    .addItem("List revisions...", "menuRevisions")
+    .addItem("Restore revision...", "menuRestore")
+    .addSeparator()
+    .addItem("Generate mappings", "menuMap")
+    .addItem("View last run", "menuLastRun")
+    .addToUi();
+}
+
+function showSidebar() {
+  var html = HtmlService.createHtmlOutputFromFile(SIDEBAR_FILE).setTitle(SIDEBAR_TITLE);
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+function menuValidate() {
+  runMenuAction("validate", {});
+}
+
+function menuPreview() {
+  runMenuAction("preview", {});
+}
+
+function menuSync() {
+  var ui = SpreadsheetApp.getUi();
+  var answer = ui.alert("Sync to Salesforce", getSyncConfirmation(), ui.ButtonSet.YES_NO);
+  if (answer === ui.Button.YES) {
+    runMenuAction("sync", {});
+  }
+}
+
+function menuPull() {
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.prompt("Pull from Salesforce",
+    "Opportunity Id (optionally followed by a revision number, e.g. \"006... 3\"):", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  var parts = response.getResponseText().trim().split(/\s+/);
+  runMenuAction("pull", { opportunityId: parts[0], version: parts[1] });
+}
+
+function menuRevisions() {
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.prompt("List revisions", "Opportunity Id:", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  runMenuAction("revisions", { opportunityId: response.getResponseText().trim() });
+}
+
+function menuRestore() {
+  var ui = SpreadsheetApp.getUi();
+  var response = ui.prompt("Restore revision",
+    "Opportunity Id followed by the revision to make active (e.g. \"006... 3\"):", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+  var parts = response.getResponseText().trim().split(/\s+/);
+  runMenuAction("restore", { opportunityId: parts[0], version: parts[1] });
+}
+
+function menuMap() {
+  runMenuAction("map", {});
+}
+
+function menuLastRun() {
+  var lastRun = getLastRun();
+  SpreadsheetApp.getUi().alert("Last run", lastRun ? formatLastRun(lastRun) : "Nothing has been run yet.",
+    SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Returns the question asked before a sync (menu and sidebar), which depends on the "Sync Mode" setting.
+ * When the parameters cannot be read, the question does not name a mode; the sync then reports the problem.
+ */
+function getSyncConfirmation() {
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  beginLogRun(ss);
+  try {
+    return SYNC_CONFIRMATIONS[getSyncOptions(loadParametersFromJson(ss)).mode];
+  } catch (e) {
+    return "Sync the line items of every Opportunity in the input sheet to Salesforce?";
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Runs an action from the menu and shows its summary (or error) in a dialog.
+ */
+function runMenuAction(action, args) {
+  var outcome = runSidebarAction(action, args);
+  SpreadsheetApp.getUi().alert(SIDEBAR_ACTIONS[action].label, outcome.text, SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * runSidebarAction(action, args)
+ *
+ * Entry point for the sidebar (google.script.run) and the menu.
+ *
+ * Steps:
+ * 1. Reset the progress message that the sidebar polls (see getSidebarProgress).
+ * 2. Run the action against the active spreadsheet.
+ * 3. Turn the result, or the error, into text for non-technical users (see describeActionResult, readableError).
+ * 4. Store the outcome as the last run (see getLastRun).
+ *
+ * @param {String} action - A key of SIDEBAR_ACTIONS.
+ * @param {Object} [args] - Action arguments, e.g. { opportunityId, version } for "pull" and "restore".
+ * @returns {Object} { action, ok, text, at }.
+ */
+function runSidebarAction(action, args) {
+  if (!SIDEBAR_ACTIONS.hasOwnProperty(action)) {
+    throw new Error("Unknown action '" + action + "'.");
+  }
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  reportProgress(SIDEBAR_ACTIONS[action].label + ": started.");
+
+  var outcome = { action: action, ok: true, text: "", at: new Date().toISOString() };
+  try {
+    var result = SIDEBAR_ACTIONS[action].run(ss, args || {});
+    outcome.ok = actionSucceeded(action, result);
+    outcome.text = describeActionResult(action, result);
+  } catch (e) {
+    outcome.ok = false;
+    outcome.text = readableError(e);
+    logError(ss, SIDEBAR_ACTIONS[action].label + " failed: " + e.message);
+    flushLogs(ss);
+  }
+
+  reportProgress(SIDEBAR_ACTIONS[action].label + ": finished.");
+  // Document properties hold at most 9 KB per value.
+  var stored = { action: outcome.action, ok: outcome.ok, text: outcome.text.slice(0, LAST_RUN_MAX_TEXT_LENGTH), at: outcome.at };
+  PropertiesService.getDocumentProperties().setProperty(LAST_RUN_PROPERTY, JSON.stringify(stored));
+  return outcome;
+}
+
+/**
+ * Records a progress message for the sidebar. Safe to call from any step; outside the
+ * sidebar nobody reads it.
+ */
+function reportProgress(message) {
+  CacheService.getUserCache().put(PROGRESS_CACHE_KEY, message, PROGRESS_TTL_SECONDS);
+}
+
+/**
+ * Returns the latest progress message (polled by the sidebar while an action runs).
+ */
+function getSidebarProgress() {
+  return CacheService.getUserCache().get(PROGRESS_CACHE_KEY) || "";
+}
+
+/**
+ * @returns {Object|null} The outcome of the last action run from the menu or sidebar (see runSidebarAction).
+ */
+function getLastRun() {
+  var stored = PropertiesService.getDocumentProperties().getProperty(LAST_RUN_PROPERTY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+function formatLastRun(lastRun) {
+  return SIDEBAR_ACTIONS[lastRun.action].label + " on " + new Date(lastRun.at).toLocaleString() +
+    (lastRun.ok ? "" : " (failed)") + "\n\n" + lastRun.text;
+}
+
+function actionSucceeded(action, result) {
+  if (action === "validate") {
+    return result.valid;
+  }
+  if (action === "preview") {
+    return result.every(function(summary) { return !summary.error; });
+  }
+  if (action === "sync") {
+    return result.outcome === "committed";
+  }
+  if (action === "restore") {
+    return result.outcome === "restored";
+  }
+  return true;
+}
+
+/**
+ * Summarizes an action's result in a few plain lines.
+ */
+function describeActionResult(action, result) {
+  if (action === "validate") {
+    var warnings = result.warnings && result.warnings.length > 0 ?
+      "\n\n" + result.warnings.length + " warning(s):\n" + formatParameterProblems(result.warnings) : "";
+    return (result.valid ? "The parameters are valid." :
+      "Found " + result.problems.length + " problem(s) in JF_SCRIPT_PARAMS (see column B):\n" +
+      formatParameterProblems(result.problems)) + warnings;
+  }
+  if (action === "preview") {
+    return result.map(function(summary) {
+      return summary.opportunityId + ": " + (summary.error ? "error - " + summary.error :
+        "revision " + summary.currentRevision + " -> " + summary.newRevision + ", " + summary.added + " added, " +
+        summary.removed + " removed, " + summary.changed + " changed, " + summary.unchanged + " unchanged");
+    }).join("\n") + "\n\nDetails are in the " + PREVIEW_SHEET_NAME + " sheet.";
+  }
+  if (action === "sync") {
+    return "Sync " + result.outcome + ".\n" + result.opportunities.map(function(summary) {
+      return (summary.opportunityId || "(no Opportunity Id)") + ": " + summary.outcome +
+        (summary.outcome === "committed" ?
+          (summary.counts ? " (" + formatDeltaCounts(summary.counts) + ")" : " as revision " + summary.revision) : "") +
+        (summary.error ? " - " + String(summary.error).split("\n")[0] : "");
+    }).join("\n") + (result.counts ? "\nTotal: " + formatDeltaCounts(result.counts) + "." : "") +
+      "\n\nEach row's result is in the Sync Status columns of the input sheet.";
+  }
+  if (action === "pull") {
+    return "Pulled " + result.lines + " line(s) of " + result.opportunityId +
+      (result.version ? " (revision " + result.version + ")" : " (active revision)") + " into " + result.sheet + ".";
+  }
+  if (action === "revisions") {
+    return result.length + " revision(s)" + (result.length ? ":\n" : ".") + result.map(function(revision) {
+      return "Revision " + revision.version + ": " + revision.status + ", " + revision.lines + " line(s)" +
+        (revision.total === null ? "" : ", total " + revision.total);
+    }).join("\n") + "\n\nDetails are in the " + REVISIONS_SHEET_NAME + " sheet.";
+  }
+  if (action === "restore") {
+    return result.outcome === "restored" ?
+      "Revision " + result.version + " of " + result.opportunityId + " is now the active revision." :
+      "Restore " + result.outcome + ": " + result.error;
+  }
+  if (action === "map") {
+    return "Added " + result.added.length + " mapping(s) to JF_SCRIPT_PARAMS" + (result.added.length ? ":\n" : ".") +
+      result.added.map(function(mapping) {
+        return "Row " + mapping.row + ": '" + mapping.label + "' -> " + mapping.api + (mapping.exact ? "" : " (close match, please check)");
+      }).join("\n") +
+      (result.unmatched.length ? "\n\nNo " + result.object + " field found for: " + result.unmatched.map(function(header) {
+        return header.column + " '" + header.label + "'";
+      }).join(", ") + ". Map these by hand." : "");
+  }
+  return JSON.stringify(result);
+}
+
+/**
+ * Turns an exception into a message for non-technical users: no stack trace, no "Exception:" prefix,
+ * and at most the first lines of long problem reports.
+ */
+function readableError(e) {
+  var message = String(e && e.message ? e.message : e).replace(/^(\w*Exception|Error):\s*/, "");
+  var lines = message.split("\n");
+  if (lines.length > 15) {
+    lines = lines.slice(0, 15).concat(["... and " + (lines.length - 15) + " more line(s); see " + LOG_SHEET_NAME + "."]);
+  }
+  return "Something went wrong: " + lines.join("\n");
+}
@@ -1,23 +1,62 @@
+/**
+ * Rules for where the data below the header row ends, set with the "Data End" parameter:
+ *   {"Data End":{"Name":"first_blank"}}                      - the first row whose first cell is blank (the default).
+ *   {"Data End":{"Name":"all_rows"}}                         - every row with a value in a mapped column.
+ *   {"Data End":{"Name":"key_column","header":"Product"}}    - the first row whose "Product" cell is blank.
+ *   {"Data End":{"Name":"sentinel","value":"END"}}           - the first row with a cell reading END.
+ *   {"Data End":{"Name":"named_range","range":"QuoteLines"}} - the last row of the named range QuoteLines.
+ * Rows with no value in any mapped column are skipped by all rules but first_blank.
+ */
+var DATA_END_RULES = ["first_blank", "all_rows", "key_column", "sentinel", "named_range"];
+
 /**
  * Builds an in-memory data table from the input sheet using parameter settings.
  *
  * It uses:
  *   - The "Input Sheet" parameter to determine the input sheet name.
  *   - The "Table Header Row" parameter to get the header row number.
- *   - The "jeellyfish_line_item" group in the parameters to map header columns.
+ *   - The "jeellyfish_line_item" group in the parameters to map header columns. Headers are matched
+ *     ignoring case and extra whitespace, against the object_label and then its "aliases"; a mapping
+ *     with a "column" letter reads that column whatever its header (see findHeaderColumn).
+ *   - The optional "Data End" parameter to decide which rows hold data (see DATA_END_RULES).
  *
- * For each row in the input sheet (starting at header row+1, until a blank row is encountered),
- * the function builds an object where:
+ * The parameters are validated first (see validateParameters); an invalid JF_SCRIPT_PARAMS
+ * sheet stops the build with the full list of problems.
+ *
+ * For each data row in the input sheet (starting at header row+1, until the data end), the
+ * function builds an object where:
  *   - For groupings with a single mapping, the object gets an entry with key = object_api_name.
  *   - For groupings with multiple mappings, the values are nested under the group key.
  *
+ * Each value is converted according to the type and transforms declared on its mapping
+ * (see FieldTypes.js), then constants and expressions are computed (see ComputedFields.js). Every
+ * value that cannot be converted or computed is reported, by sheet row and column, in a single error.
+ * Lookup mappings are then resolved to record Ids (see LookupResolver.js).
+ *
  * @returns {Array<Object>} An array of records representing the data table.
  */
 function buildDataTableFromParamsDynamic(ss) {
+  return buildInputTable(ss).records;
+}
+
+/**
+ * Does the work of buildDataTableFromParamsDynamic() and also returns where each value
+ * came from, so that later checks can report problems by sheet row and column.
+ *
+ * @returns {Object} The table:
+ *   - params:          the loaded parameters.
+ *   - sheet:           the input sheet.
+ *   - headerRowNumber: the header row number.
+ *   - records:         the records, as returned by buildDataTableFromParamsDynamic().
+ *   - rowNumbers:      the sheet row number of each record (same order as records).
+ *   - columns:         the mapped columns, as { group, api, col, label, mapping } (col is 0-based, -1 for
+ *                      constants and expressions).
+ */
+function buildInputTable(ss) {
   logMessage(ss,"Starting buildDataTableFromParamsDynamic with " + ss + ".");
   
-  // Load parameters.
-  var params = loadParametersFromJson(ss);
+  // Load parameters (validated against PARAMETER_SCHEMA, so the keys used below exist).
+  var params = loadValidatedParameters(ss);
   logMessage(ss,"Loaded parameters: " + JSON.stringify(params));
   
   Logger.log("Your Parames Are: " + params );
@@ -32,56 +71,62 @@ function buildDataTableFromParamsDynamic(ss) {
   logMessage(ss,"Processing input sheet: " + inputSheetName + ", header row: " + headerRowNumber);
   
   // Read the header row.
-  var lastColumn = sheet.getLastColumn();
+  var lastColumn = Math.max(sheet.getLastColumn(), 1);
   var headerRow = sheet.getRange(headerRowNumber, 1, 1, lastColumn).getValues()[0];
   
-  // Build mapping for each grouping (keys other than "Input Sheet" and "Table Header Row").
-  var overallMapping = {}; // key: grouping key, value: array of mapping objects { api: <object_api_name>, col: <columnIndex> }
-  for (var key in params) {
-    if (key === "Input Sheet" || key === "Table Header Row") {
-      continue;
+  // Build mapping for each grouping (every mapping group of the parameters, see isMappingGroup).
+  var overallMapping = {}; // key: grouping key, value: array of mapping objects { api: <object_api_name>, col: <columnIndex>, label, mapping }
+  var readColumns = lastColumn;
+  var entries = getMappingEntries(params);
+  var missingEntries = [];
+  for (var i = 0; i < entries.length; i++) {
+    var key = entries[i].group;
+    if (!overallMapping.hasOwnProperty(key)) {
+      overallMapping[key] = [];
     }
-    // For each grouping, normalize value to an array.
-    var groupData = params[key];
-    var groupArray = Array.isArray(groupData) ? groupData : [groupData];
-    overallMapping[key] = [];
     
-    for (var i = 0; i < groupArray.length; i++) {
-      var item = groupArray[i];
-      if (!item.object_label || !item.object_api_name) {
-        continue;
-      }
-      var labelToFind = String(item.object_label).trim();
-      var apiName = item.object_api_name;
-      var found = false;
-      for (var j = 0; j < headerRow.length; j++) {
-        if (String(headerRow[j]).trim() === labelToFind) {
-          overallMapping[key].push({ api: apiName, col: j });
-          found = true;
-          break;
-        }
-      }
-      if (!found) {
-        logMessage(ss,"Warning: Header label '" + labelToFind + "' for group '" + key + "' not found.");
-      }
+    var labelToFind = entries[i].label;
+    // Constants and expressions read no column (see ComputedFields.js).
+    if (entries[i].computed) {
+      overallMapping[key].push({ api: entries[i].api, col: -1, label: labelToFind, mapping: entries[i].mapping });
+      continue;
+    }
+    var found = findHeaderColumn(headerRow, entries[i]);
+    if (found.col === -1) {
+      logWarn(ss,"Header label '" + labelToFind + "' for group '" + key + "' not found.", { group: key, label: labelToFind });
+      missingEntries.push(entries[i]);
+      continue;
     }
+    if (found.matches.length > 1) {
+      logWarn(ss,"Header '" + found.header + "' appears in columns " + found.matches.map(columnIndexToLetter).join(", ") +
+        "; using column " + columnIndexToLetter(found.col) + " for '" + labelToFind + "'.", { group: key, label: labelToFind });
+    }
+    overallMapping[key].push({ api: entries[i].api, col: found.col, label: labelToFind, mapping: entries[i].mapping });
+    readColumns = Math.max(readColumns, found.col + 1);
   }
   
   logMessage(ss,"Final overall mapping: " + JSON.stringify(overallMapping));
+  var computedColumns = orderComputedColumns(entries, missingEntries);
   
-  // Read data rows from headerRowNumber + 1 until a blank row is encountered.
-  var lastRow = sheet.getLastRow();
-  var dataRange = sheet.getRange(headerRowNumber + 1, 1, lastRow - headerRowNumber, lastColumn);
+  // Read the data rows below the header row, up to the data end.
+  var lastRow = Math.max(sheet.getLastRow(), headerRowNumber + 1);
+  var dataRange = sheet.getRange(headerRowNumber + 1, 1, lastRow - headerRowNumber, readColumns);
   var dataRows = dataRange.getValues();
+  var mappedCols = [];
+  for (var mappedKey in overallMapping) {
+    overallMapping[mappedKey].forEach(function(column) {
+      if (column.col !== -1) mappedCols.push(column.col);
+    });
+  }
+  var rowIndexes = findDataRowIndexes(ss, params, sheet, headerRow, headerRowNumber, dataRows, mappedCols);
   
+  var timeZone = ss.getSpreadsheetTimeZone();
+  var conversionErrors = [];
   var records = [];
-  for (var r = 0; r < dataRows.length; r++) {
+  var rowNumbers = [];
+  for (var n = 0; n < rowIndexes.length; n++) {
+    var r = rowIndexes[n];
     var row = dataRows[r];
-    // Stop if the first cell is blank (assumes that indicates end-of-data).
-    if (row[0] === "" || row[0] === null) {
-      logMessage(ss,"Blank row encountered at row " + (headerRowNumber + 1 + r) + ". Stopping data processing.");
-      break;
-    }
     
     var record = {};
     // For each group in the overall mapping, assign values.
@@ -90,22 +135,247 @@ function buildDataTableFromParamsDynamic(ss) {
       if (mappings.length === 0) continue;
       
       // If only one mapping, add directly under its API field.
-      if (mappings.length === 1) {
-        record[mappings[0].api] = row[mappings[0].col];
-      } else {
-        // If multiple mappings, nest the values under the group key.
+      // If multiple mappings, nest the values under the group key.
+      var target = record;
+      if (mappings.length > 1) {
         record[group] = {};
-        for (var k = 0; k < mappings.length; k++) {
-          record[group][mappings[k].api] = row[mappings[k].col];
+        target = record[group];
+      }
+      for (var k = 0; k < mappings.length; k++) {
+        if (mappings[k].col === -1) continue;
+        try {
+          target[mappings[k].api] = convertCellValue(row[mappings[k].col], mappings[k].mapping, timeZone);
+        } catch (e) {
+          conversionErrors.push({
+            row: headerRowNumber + 1 + r,
+            column: mappings[k].label,
+            field: mappings[k].api,
+            message: JSON.stringify(row[mappings[k].col]) + " " + e.message
+          });
         }
       }
     }
+    // Then the computed fields, in dependency order.
+    for (var c = 0; c < computedColumns.length; c++) {
+      var computed = computedColumns[c].column;
+      var values = overallMapping[computed.group].length > 1 ? record[computed.group] : record;
+      try {
+        values[computed.api] = computeFieldValue(computedColumns[c], values);
+      } catch (e) {
+        conversionErrors.push({
+          row: headerRowNumber + 1 + r,
+          column: computed.label,
+          field: computed.api,
+          message: "could not be computed: " + e.message
+        });
+      }
+    }
     records.push(record);
+    rowNumbers.push(headerRowNumber + 1 + r);
     // logMessage(ss,"Processed row " + (headerRowNumber + 1 + r) + ": " + JSON.stringify(record));
   }
   
-  logMessage(ss,"Built data table with " + records.length + " records.");
+  if (conversionErrors.length > 0) {
+    var conversionReport = "Could not convert " + conversionErrors.length + " cell(s):\n" + formatRecordProblems(conversionErrors);
+    logError(ss,conversionReport);
+    throw new Error(conversionReport);
+  }
+  
+  var columns = [];
+  for (var mappedGroup in overallMapping) {
+    overallMapping[mappedGroup].forEach(function(column) {
+      columns.push({ group: mappedGroup, api: column.api, col: column.col, label: column.label, mapping: column.mapping });
+    });
+  }
+  var table = {
+    params: params,
+    sheet: sheet,
+    headerRowNumber: headerRowNumber,
+    records: records,
+    rowNumbers: rowNumbers,
+    columns: columns
+  };
+  
+  // Replace product names, SKUs, etc. with record Ids for lookup mappings.
+  resolveLookups(ss, table);
+  
+  logInfo(ss,"Built data table with " + records.length + " records.", { sheet: inputSheetName });
   logMessage(ss,"Final Data Table:\n" + JSON.stringify(records, null, 2));
-  flushLogs(ss);
-  return records;
-}
\ No newline at end of file
+  return table;
+}
+
+/**
+ * Lists the column mappings declared in the parameters, in sheet order.
+ *
+ * @param {Object} params - The parameters, as returned by loadParametersFromJson().
+ * @returns {Array<Object>} One entry per mapping: { group, label, api, computed, mapping }, mapping being
+ *   the raw entry (with its type, transforms, lookup settings, ...) and computed telling constants and
+ *   expressions (which read no column; their label defaults to the API name) from column mappings.
+ */
+function getMappingEntries(params) {
+  var entries = [];
+  Object.keys(params).filter(isMappingGroup).forEach(function(group) {
+    // For each grouping, normalize value to an array.
+    var groupArray = Array.isArray(params[group]) ? params[group] : [params[group]];
+    groupArray.forEach(function(item) {
+      if (!isPlainObject(item)) return;
+      var computed = isComputedMapping(item);
+      if ((!item.object_label && !computed) || !item.object_api_name) return;
+      entries.push({
+        group: group,
+        label: String(item.object_label || item.object_api_name).trim(),
+        api: String(item.object_api_name).trim(),
+        computed: computed,
+        mapping: item
+      });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Finds the column of a mapping in the header row.
+ *
+ * A "column" letter on the mapping wins, whatever the header in that column. Otherwise the
+ * object_label and then each of the "aliases" are looked up, ignoring case and extra whitespace.
+ *
+ * @param {Array} headerRow - The header row values.
+ * @param {Object} entry - A mapping entry, as returned by getMappingEntries().
+ * @returns {Object} { col, header, matches }: col is 0-based (-1 when not found), header is the label
+ *   or alias that matched and matches lists every column with that header (to report repeated headers).
+ */
+function findHeaderColumn(headerRow, entry) {
+  if (entry.mapping.column) {
+    var col = columnLetterToIndex(entry.mapping.column);
+    return { col: col, header: String(entry.mapping.column).trim().toUpperCase(), matches: [col] };
+  }
+  var candidates = [entry.label].concat(toValueList(entry.mapping.aliases));
+  for (var c = 0; c < candidates.length; c++) {
+    var matches = findHeaderMatches(headerRow, candidates[c]);
+    if (matches.length > 0) {
+      return { col: matches[0], header: candidates[c], matches: matches };
+    }
+  }
+  return { col: -1, header: null, matches: [] };
+}
+
+/**
+ * @returns {Array<Number>} The 0-based columns whose header equals the label, ignoring case and extra whitespace.
+ */
+function findHeaderMatches(headerRow, label) {
+  var wanted = normalizeHeader(label);
+  var matches = [];
+  for (var j = 0; j < headerRow.length; j++) {
+    if (wanted !== "" && normalizeHeader(headerRow[j]) === wanted) {
+      matches.push(j);
+    }
+  }
+  return matches;
+}
+
+function normalizeHeader(value) {
+  return value === null || value === undefined ? "" : String(value).replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Converts a column letter (A, Z, AA, ...) to a 0-based column index.
+ */
+function columnLetterToIndex(letter) {
+  var text = String(letter).trim().toUpperCase();
+  var index = 0;
+  for (var i = 0; i < text.length; i++) {
+    index = index * 26 + (text.charCodeAt(i) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Converts a 0-based column index to its column letter (0 is A, 26 is AA).
+ */
+function columnIndexToLetter(index) {
+  var letter = "";
+  for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Picks the data rows below the header row according to the "Data End" parameter (see DATA_END_RULES).
+ *
+ * @param {Array<Array>} dataRows - The rows from header row+1 to the last row of the sheet.
+ * @param {Array<Number>} mappedCols - The 0-based mapped columns; rows blank in all of them are skipped.
+ * @returns {Array<Number>} The indexes (into dataRows) of the rows to read, in sheet order.
+ */
+function findDataRowIndexes(ss, params, sheet, headerRow, headerRowNumber, dataRows, mappedCols) {
+  var dataEnd = params["Data End"] || { Name: "first_blank" };
+  var rule = String(dataEnd.Name).trim().toLowerCase();
+  var isBlank = function(value) {
+    return value === "" || value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+  };
+  var hasMappedValue = function(row) {
+    return mappedCols.some(function(col) { return !isBlank(row[col]); });
+  };
+  var first = 0;
+  var end = dataRows.length;
+
+  if (rule === "first_blank") {
+    for (var r = 0; r < dataRows.length; r++) {
+      // Stop if the first cell is blank (assumes that indicates end-of-data).
+      if (dataRows[r][0] === "" || dataRows[r][0] === null) {
+        logMessage(ss,"Blank row encountered at row " + (headerRowNumber + 1 + r) + ". Stopping data processing.");
+        end = r;
+        break;
+      }
+    }
+    var leading = [];
+    for (var l = 0; l < end; l++) {
+      leading.push(l);
+    }
+    return leading;
+
+  } else if (rule === "key_column") {
+    var keyCols = findHeaderMatches(headerRow, dataEnd.header);
+    if (keyCols.length === 0) {
+      throw new Error("Data End key column '" + dataEnd.header + "' not found in header row " + headerRowNumber + ".");
+    }
+    for (var k = 0; k < dataRows.length; k++) {
+      if (isBlank(dataRows[k][keyCols[0]])) {
+        logMessage(ss,"Blank '" + dataEnd.header + "' cell at row " + (headerRowNumber + 1 + k) + ". Stopping data processing.");
+        end = k;
+        break;
+      }
+    }
+
+  } else if (rule === "sentinel") {
+    var sentinel = normalizeHeader(dataEnd.value);
+    var isSentinel = function(cell) { return normalizeHeader(cell) === sentinel; };
+    for (var s = 0; s < dataRows.length; s++) {
+      if (dataRows[s].some(isSentinel)) {
+        logMessage(ss,"End marker '" + dataEnd.value + "' found at row " + (headerRowNumber + 1 + s) + ". Stopping data processing.");
+        end = s;
+        break;
+      }
+    }
+
+  } else if (rule === "named_range") {
+    var range = ss.getRangeByName(dataEnd.range);
+    if (!range) {
+      throw new Error("Data End named range '" + dataEnd.range + "' not found.");
+    }
+    if (range.getSheet().getName() !== sheet.getName()) {
+      throw new Error("Data End named range '" + dataEnd.range + "' is on sheet '" + range.getSheet().getName() +
+        "', not on the input sheet '" + sheet.getName() + "'.");
+    }
+    first = Math.max(range.getRow() - headerRowNumber - 1, 0);
+    end = Math.min(range.getLastRow() - headerRowNumber, dataRows.length);
+  }
+
+  var indexes = [];
+  for (var i = first; i < end; i++) {
+    if (hasMappedValue(dataRows[i])) {
+      indexes.push(i);
+    }
+  }
+  return indexes;
+}
@@ -0,0 +1,377 @@
+var PREVIEW_SHEET_NAME = "JF_PREVIEW";
+
+/**
+ * Returns the fields that are not compared: the record attributes and the active and version fields,
+ * which processOliRecords() sets itself and which always differ between revisions.
+ */
+function getPreviewIgnoredFields() {
+  var target = getTargetObject();
+  return ["attributes", target.activeField, target.versionField];
+}
+
+/**
+ * previewOliRecords(ss)
+ *
+ * Dry-run counterpart of processOliRecords(). Nothing is written to Salesforce.
+ *
+ * Steps:
+ * 1. Build the in-memory OLI table from the input sheet using the parameter mappings.
+ * 2. Group the rows by Opportunity, as processOliRecords() does.
+ * 3. For each Opportunity (see previewOpportunityLineItems):
+ *    - Flatten its rows with formatOLIs(), prepare each record exactly as createLineItems() would
+ *      and check it against the Salesforce describe metadata.
+ *    - Query the currently active records of the target object (jellyfish_line_item__c by default).
+ *    - Compare both sets and classify every line as added, removed, changed or unchanged. In delta
+ *      mode lines are paired on their key and the keys are checked as syncLineItemDelta() does.
+ * 4. Write the result, including the revision number a real run would write (the active one in delta
+ *    mode), to the "JF_PREVIEW" sheet.
+ *
+ * @returns {Array<Object>} One summary per Opportunity (Opportunity Id, revisions, line counts per
+ *   change type and, if the preview failed for it, the error).
+ */
+function previewOliRecords(ss) {
+  beginLogRun(ss);
+  try {
+    // STEP 1: Build the in-memory OLI table from the input sheet.
+    var table = buildInputTable(ss);
+    if (table.records.length === 0) {
+      throw new Error("No line items found in the input sheet.");
+    }
+
+    // STEP 2: Group the rows by Opportunity.
+    var groups = groupRecordsByOpportunity(table);
+    logMessage(ss, "Previewing " + table.records.length + " line items for " + groups.length + " Opportunity group(s).");
+
+    // STEP 3: Compare each Opportunity with Salesforce.
+    var summaries = [];
+    var changes = [];
+    groups.forEach(function(group, g) {
+      reportProgress("Previewing Opportunity " + (g + 1) + " of " + groups.length + " (" + (group.oppId || "no Id") + ")...");
+      var result = previewOpportunityLineItems(ss, table, group);
+      summaries.push(result.summary);
+      changes = changes.concat(result.changes);
+    });
+
+    // STEP 4: Write the preview sheet.
+    writePreviewSheet(ss, summaries, changes);
+
+    logInfo(ss, "Preview completed:\n" + JSON.stringify(summaries, null, 2));
+    return summaries;
+
+  } catch (e) {
+    logError(ss, "Error in previewOliRecords: " + e.message);
+    throw e;
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Previews one Opportunity's rows. Errors are recorded in the summary rather than thrown.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @param {Object} group - { oppId, indexes } from groupRecordsByOpportunity().
+ * @returns {Object} { summary, changes }, each change carrying its opportunityId.
+ */
+function previewOpportunityLineItems(ss, table, group) {
+  var rows = group.indexes.map(function(index) { return table.rowNumbers[index]; });
+  var summary = {
+    opportunityId: group.oppId,
+    currentRevision: null,
+    newRevision: null,
+    added: 0,
+    removed: 0,
+    changed: 0,
+    unchanged: 0,
+    error: null
+  };
+
+  try {
+    if (!group.oppId) {
+      throw new Error("These rows have no " + getTargetObject().parentObject + " Id.");
+    }
+    var oppId = validateParentId(group.oppId);
+
+    // Prepare the records the way createLineItems() sends them, and check them
+    // against the Salesforce metadata and the business rules as a real run would.
+    var syncOptions = getSyncOptions(table.params);
+    var keyField = syncOptions.externalIdField;
+    var oliData = group.indexes.map(function(index) { return table.records[index]; });
+    var proposed = formatOLIs(oliData).map(function(item) {
+      return toLineItemRecord(oppId, item);
+    });
+    validateLineItemsAgainstDescribe(ss, { columns: table.columns, rowNumbers: rows }, proposed, keyField);
+    enforceBusinessRules(ss, getBusinessRules(table.params), { columns: table.columns, rowNumbers: rows }, proposed);
+    var fields = collectPreviewFields(proposed);
+
+    // Read what is currently active in Salesforce.
+    var current = getActiveLineItems(oppId, fields);
+    var highestRevision = getHighestRevisionNumber(oppId);
+    summary.currentRevision = highestRevision;
+    summary.newRevision = getSyncRevisionNumber(oppId, highestRevision, syncOptions);
+
+    // Compare. Delta syncs pair lines on their key, which must pass the same checks as in a real run.
+    var changes;
+    if (keyField) {
+      var keys = proposed.map(function(record) { return normalizeLineKey(record[keyField]); });
+      var existing = getLineItemsForKeys(keyField, keys, fields);
+      checkLineKeys(oppId, keys, existing, { rows: rows, columns: table.columns, externalIdField: keyField });
+      changes = diffLineItemsByKey(current, existing, proposed, fields, keyField, rows);
+    } else {
+      changes = diffLineItems(current, proposed, fields, rows);
+    }
+    changes.forEach(function(change) {
+      change.opportunityId = oppId;
+      summary[change.type]++;
+    });
+    return { summary: summary, changes: changes };
+
+  } catch (e) {
+    summary.error = e.message;
+    logError(ss, "Error previewing Opportunity " + (group.oppId || "(blank)") + ": " + e.message);
+    return { summary: summary, changes: [] };
+  }
+}
+
+/**
+ * Returns the API names present on the prepared records, minus the bookkeeping fields.
+ *
+ * @param {Array<Object>} records - Records as returned by toLineItemRecord().
+ * @returns {Array<String>} The field API names to compare.
+ */
+function collectPreviewFields(records) {
+  var fields = [];
+  var ignored = getPreviewIgnoredFields();
+  records.forEach(function(record) {
+    for (var key in record) {
+      if (record.hasOwnProperty(key) && ignored.indexOf(key) === -1 && fields.indexOf(key) === -1) {
+        fields.push(key);
+      }
+    }
+  });
+  return fields;
+}
+
+/**
+ * Compares the active Salesforce line items with the proposed ones.
+ *
+ * Lines are paired in two passes:
+ *   - First, a proposed line whose compared fields all equal an active record is "unchanged".
+ *   - Then, remaining lines with the same values in the match fields of the target object (Product__c
+ *     by default; see configureTargetObject) are "changed". If none of those fields are mapped, the
+ *     remaining lines are paired in order.
+ * Anything left over is "added" (sheet only) or "removed" (Salesforce only).
+ *
+ * @param {Array<Object>} current - Active records from getActiveLineItems().
+ * @param {Array<Object>} proposed - Records as returned by toLineItemRecord().
+ * @param {Array<String>} fields - The field API names to compare.
+ * @param {Array<Number>} [lineNumbers] - The sheet row of each proposed record (defaults to 1, 2, 3, ...).
+ * @returns {Array<Object>} One entry per line: { type, line, id, differences: [{ field, current, proposed }] }.
+ */
+function diffLineItems(current, proposed, fields, lineNumbers) {
+  var matchFields = getTargetObject().matchFields.filter(function(field) {
+    return fields.indexOf(field) !== -1;
+  });
+  var usedCurrent = [];
+  var pairedWith = [];
+
+  // Pass 1: identical lines.
+  proposed.forEach(function(record, p) {
+    for (var c = 0; c < current.length; c++) {
+      if (!usedCurrent[c] && fieldDifferences(current[c], record, fields).length === 0) {
+        usedCurrent[c] = true;
+        pairedWith[p] = c;
+        return;
+      }
+    }
+  });
+
+  // Pass 2: the same line with different values.
+  proposed.forEach(function(record, p) {
+    if (pairedWith[p] !== undefined) return;
+    for (var c = 0; c < current.length; c++) {
+      if (usedCurrent[c]) continue;
+      var sameLine = matchFields.every(function(field) {
+        return previewValuesEqual(current[c][field], record[field]);
+      });
+      if (sameLine) {
+        usedCurrent[c] = true;
+        pairedWith[p] = c;
+        return;
+      }
+    }
+  });
+
+  var changes = [];
+  proposed.forEach(function(record, p) {
+    var c = pairedWith[p];
+    if (c === undefined) {
+      changes.push({ type: "added", line: lineNumbers ? lineNumbers[p] : p + 1, id: "", differences: fieldDifferences({}, record, fields) });
+      return;
+    }
+    var differences = fieldDifferences(current[c], record, fields);
+    changes.push({
+      type: differences.length === 0 ? "unchanged" : "changed",
+      line: lineNumbers ? lineNumbers[p] : p + 1,
+      id: current[c].Id,
+      differences: differences
+    });
+  });
+  current.forEach(function(record, c) {
+    if (!usedCurrent[c]) {
+      changes.push({ type: "removed", line: "", id: record.Id, differences: fieldDifferences(record, {}, fields) });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Delta-mode counterpart of diffLineItems(): pairs lines on their key, as syncLineItemDelta() does.
+ *
+ *   - A proposed line whose key is on an active record with the same values is "unchanged".
+ *   - One whose key is on any other record is "changed": its values differ, or the record is inactive
+ *     and the upsert reactivates it (shown as a difference of the active field).
+ *   - Other proposed lines are "added", and active records whose key is not in the sheet are "removed".
+ *
+ * @param {Array<Object>} current - Active records from getActiveLineItems(), with the key field.
+ * @param {Array<Object>} existing - The records holding the proposed keys, from getLineItemsForKeys().
+ * @param {Array<Object>} proposed - Records as returned by toLineItemRecord().
+ * @param {Array<String>} fields - The field API names to compare.
+ * @param {String} keyField - The External Id field.
+ * @param {Array<Number>} [lineNumbers] - The sheet row of each proposed record (defaults to 1, 2, 3, ...).
+ * @returns {Array<Object>} One entry per line, as for diffLineItems().
+ */
+function diffLineItemsByKey(current, existing, proposed, fields, keyField, lineNumbers) {
+  var activeField = getTargetObject().activeField;
+  var existingByKey = {};
+  existing.forEach(function(record) {
+    existingByKey[normalizeLineKey(record[keyField])] = record;
+  });
+  var keys = proposed.map(function(record) { return normalizeLineKey(record[keyField]); });
+
+  var changes = proposed.map(function(record, p) {
+    var line = lineNumbers ? lineNumbers[p] : p + 1;
+    var match = existingByKey[keys[p]];
+    if (!match) {
+      return { type: "added", line: line, id: "", differences: fieldDifferences({}, record, fields) };
+    }
+    var differences = fieldDifferences(match, record, fields);
+    if (!match[activeField]) {
+      differences.push({ field: activeField, current: normalizePreviewValue(match[activeField]), proposed: "true" });
+    }
+    return { type: differences.length === 0 ? "unchanged" : "changed", line: line, id: match.Id, differences: differences };
+  });
+  current.forEach(function(record) {
+    if (keys.indexOf(normalizeLineKey(record[keyField])) === -1) {
+      changes.push({ type: "removed", line: "", id: record.Id, differences: fieldDifferences(record, {}, fields) });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Lists the compared fields whose values differ between two records.
+ *
+ * @returns {Array<Object>} Entries of the form { field, current, proposed } using display values.
+ */
+function fieldDifferences(currentRecord, proposedRecord, fields) {
+  var differences = [];
+  fields.forEach(function(field) {
+    if (!previewValuesEqual(currentRecord[field], proposedRecord[field])) {
+      differences.push({
+        field: field,
+        current: normalizePreviewValue(currentRecord[field]),
+        proposed: normalizePreviewValue(proposedRecord[field])
+      });
+    }
+  });
+  return differences;
+}
+
+/**
+ * Converts a sheet or Salesforce value to a comparable string.
+ * Dates become yyyy-MM-dd (the format Salesforce returns), blanks become "".
+ */
+function normalizePreviewValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), "yyyy-MM-dd");
+  }
+  return String(value).trim();
+}
+
+function previewValuesEqual(a, b) {
+  var left = normalizePreviewValue(a);
+  var right = normalizePreviewValue(b);
+  if (left === right) {
+    return true;
+  }
+  // Salesforce returns 18-character Ids; the sheet may hold the 15-character form of the same Id.
+  var shorter = left.length < right.length ? left : right;
+  var longer = shorter === left ? right : left;
+  if (/^[A-Za-z0-9]{15}$/.test(shorter) && longer.length === 18 && toEighteenCharacterId(shorter) === longer) {
+    return true;
+  }
+  // Treat 450 and "450.00" as the same value.
+  return left !== "" && right !== "" && !isNaN(left) && !isNaN(right) && Number(left) === Number(right);
+}
+
+/**
+ * Writes the preview to the "JF_PREVIEW" sheet, replacing its previous contents.
+ *
+ * Layout:
+ *   - One summary row per Opportunity with the current and new revision, the line counts and any error.
+ *   - One row per field difference (or a single row for unchanged lines), colored by change type.
+ */
+function writePreviewSheet(ss, summaries, changes) {
+  var sheet = ss.getSheetByName(PREVIEW_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PREVIEW_SHEET_NAME);
+  }
+  sheet.clear();
+
+  var width = 8;
+  var header = [
+    ["Opportunity", "Current Revision", "New Revision", "Added", "Removed", "Changed", "Unchanged", "Error"]
+  ];
+  summaries.forEach(function(summary) {
+    header.push([summary.opportunityId, summary.currentRevision, summary.newRevision, summary.added,
+      summary.removed, summary.changed, summary.unchanged, summary.error || ""]);
+  });
+  header.push(["Generated", new Date(), "", "", "", "", "", ""]);
+  header.push(["", "", "", "", "", "", "", ""]);
+  header.push(["Opportunity", "Change", "Input Row", "Salesforce Id", "Field", "Current Value", "New Value", ""]);
+  var colors = { added: "#d9ead3", removed: "#f4cccc", changed: "#fff2cc", unchanged: null };
+
+  var rows = [];
+  var rowColors = [];
+  changes.forEach(function(change) {
+    if (change.differences.length === 0) {
+      rows.push([change.opportunityId, change.type, change.line, change.id, "", "", "", ""]);
+      rowColors.push(colors[change.type]);
+      return;
+    }
+    change.differences.forEach(function(difference) {
+      rows.push([change.opportunityId, change.type, change.line, change.id, difference.field,
+        difference.current, difference.proposed, ""]);
+      rowColors.push(colors[change.type]);
+    });
+  });
+
+  var values = header.concat(rows);
+  sheet.getRange(1, 1, values.length, width).setValues(values);
+  sheet.getRange(1, 1, 1, width).setFontWeight("bold");
+  sheet.getRange(header.length, 1, 1, width).setFontWeight("bold");
+  if (rows.length > 0) {
+    sheet.getRange(header.length + 1, 1, rows.length, width).setBackgrounds(
+      rowColors.map(function(color) {
+        var rowColor = [];
+        for (var i = 0; i < width; i++) rowColor.push(color);
+        return rowColor;
+      })
+    );
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * pullLineItemsFromSalesforce(ss, oppId, version)
+ *
+ * Reverse sync: writes an Opportunity's line items from Salesforce into the input sheet, so a
+ * rep can start a new revision from what is actually in Salesforce.
+ *
+ * Steps:
+ * 1. Load the JF_SCRIPT_PARAMS mappings that buildDataTableFromParamsDynamic() reads.
+ * 2. Query the active records of the target object (jellyfish_line_item__c by default) of the Opportunity,
+ *    or those of the given revision.
+ * 3. Convert each value back to its sheet form (see revertCellValue): percent and scale are undone,
+ *    dates become date cells and lookup Ids become the value reps type (e.g. the ProductCode).
+ * 4. Write the rows below the header row, one column per mapping (matched by label, alias or column letter). Mapped columns are cleared
+ *    first; missing headers are added at the end of the header row. Other columns are left untouched.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet holding the input sheet.
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Number} [version] - The revision (Version_Number__c) to pull; the active lines when omitted.
+ * @returns {Object} { opportunityId, version, lines, sheet } describing what was written.
+ */
+function pullLineItemsFromSalesforce(ss, oppId, version) {
+  beginLogRun(ss);
+  try {
+    // STEP 1: Load the mappings (and the target object, which decides how the Id is checked).
+    var params = loadValidatedParameters(ss);
+    oppId = validateParentId(oppId);
+    var inputSheetName = params["Input Sheet"].Name;
+    var headerRowNumber = params["Table Header Row"].Name;
+    var sheet = ss.getSheetByName(inputSheetName);
+    if (!sheet) {
+      throw new Error("Input sheet '" + inputSheetName + "' not found.");
+    }
+    // Constants and expressions have no column to write to.
+    var entries = getMappingEntries(params).filter(function(entry) { return !entry.computed; });
+    var fields = entries.map(function(entry) { return entry.api; });
+
+    // STEP 2: Query the line items.
+    var records;
+    if (version === undefined || version === null || version === "") {
+      records = getActiveLineItems(oppId, fields);
+    } else {
+      version = Number(version);
+      records = getAllLineItems(oppId, fields).filter(function(record) {
+        return record[getTargetObject().versionField] === version;
+      });
+    }
+    logMessage(ss, "Pulled " + records.length + " line item(s) for " + oppId +
+      (version ? " (revision " + version + ")" : " (active revision)"));
+
+    // STEP 3: Convert back to sheet values.
+    var lookupLabels = fetchLookupLabels(entries, records);
+    var rows = records.map(function(record) {
+      return entries.map(function(entry) {
+        var value = readRecordField(record, entry.api);
+        if (entry.mapping.lookup_object && value) {
+          return lookupLabels[entry.api][value] !== undefined ? lookupLabels[entry.api][value] : value;
+        }
+        return revertCellValue(value, entry.mapping);
+      });
+    });
+
+    // STEP 4: Write to the input sheet.
+    writePulledRows(sheet, headerRowNumber, entries, rows);
+    // Results of an earlier sync no longer describe these rows.
+    clearSyncResults(sheet, headerRowNumber);
+
+    var result = { opportunityId: oppId, version: version || null, lines: rows.length, sheet: inputSheetName };
+    logInfo(ss, "Pull completed.", result);
+    return result;
+
+  } catch (e) {
+    logError(ss, "Error in pullLineItemsFromSalesforce: " + e.message);
+    throw e;
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * For each lookup mapping, fetches the first lookup_field value of the referenced records
+ * (one batched query per lookup column), so that Ids can be written back as names or SKUs.
+ *
+ * @returns {Object} labels[api][recordId] = the value to show in the sheet.
+ */
+function fetchLookupLabels(entries, records) {
+  var labels = {};
+  entries.forEach(function(entry) {
+    if (!entry.mapping.lookup_object) return;
+    labels[entry.api] = {};
+
+    var ids = [];
+    records.forEach(function(record) {
+      var id = readRecordField(record, entry.api);
+      if (id && ids.indexOf(id) === -1) ids.push(id);
+    });
+    var labelField = toValueList(entry.mapping.lookup_field)[0];
+
+    for (var start = 0; start < ids.length; start += LOOKUP_BATCH_SIZE) {
+      var soql = buildSoql(
+        "SELECT " + soqlFieldList(["Id", labelField]) + " FROM " + soqlFieldList([entry.mapping.lookup_object]) +
+        " WHERE Id IN :ids",
+        { ids: ids.slice(start, start + LOOKUP_BATCH_SIZE) }
+      );
+      var result = getSalesforceClient().query(soql);
+      (result.records || []).forEach(function(found) {
+        var label = readFieldPath(found, labelField);
+        // Match both the 15- and 18-character forms of the Id.
+        ids.forEach(function(id) {
+          if (sameRecordId(found.Id, id) && label !== null && label !== undefined) {
+            labels[entry.api][id] = label;
+          }
+        });
+      });
+    }
+  });
+  return labels;
+}
+
+/**
+ * Writes pulled rows under the header row, in the column of each mapping (see findHeaderColumn).
+ */
+function writePulledRows(sheet, headerRowNumber, entries, rows) {
+  var lastColumn = Math.max(sheet.getLastColumn(), 1);
+  var headerRow = sheet.getRange(headerRowNumber, 1, 1, lastColumn).getValues()[0];
+
+  // Find (or add) the column of each mapping, the way buildInputTable() reads it.
+  var columns = entries.map(function(entry) {
+    var found = findHeaderColumn(headerRow, entry);
+    if (found.col !== -1) {
+      return found.col + 1;
+    }
+    headerRow.push(entry.label);
+    sheet.getRange(headerRowNumber, headerRow.length).setValue(entry.label);
+    return headerRow.length;
+  });
+
+  // Clear the previous data in the mapped columns.
+  var lastRow = sheet.getLastRow();
+  if (lastRow > headerRowNumber) {
+    columns.forEach(function(column) {
+      sheet.getRange(headerRowNumber + 1, column, lastRow - headerRowNumber, 1).clearContent();
+    });
+  }
+  if (rows.length === 0) {
+    return;
+  }
+
+  columns.forEach(function(column, e) {
+    var values = rows.map(function(row) { return [row[e]]; });
+    sheet.getRange(headerRowNumber + 1, column, values.length, 1).setValues(values);
+  });
+}
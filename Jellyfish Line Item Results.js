@@ -0,0 +1,174 @@
+// Result columns written after the mapped columns of the input sheet, in this order.
+var RESULT_HEADERS = ["Sync Status", "Salesforce Id", "Sync Revision", "Sync Errors"];
+
+var RESULT_FAILED_BACKGROUND = "#f4cccc";
+
+/**
+ * writeSyncResults(ss, table, opportunities)
+ *
+ * Writes the outcome of processOliRecords() next to each input row, so reps can see which
+ * line failed without matching the composite response to sheet rows by hand.
+ *
+ * Steps:
+ * 1. Find the RESULT_HEADERS columns in the header row, adding any that are missing at the end.
+ * 2. Clear their values and highlights below the header row (results of the previous run).
+ * 3. For every row of every Opportunity, work out the row's result (see syncRowResults) and write
+ *    status, Salesforce Id, revision and errors, one call per column. The result cells of failed rows
+ *    are highlighted.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @param {Array<Object>} opportunities - The per-Opportunity summaries from syncOpportunityLineItems().
+ */
+function writeSyncResults(ss, table, opportunities) {
+  var sheet = table.sheet;
+  var headerRowNumber = table.headerRowNumber;
+
+  // STEP 1 and 2: Locate and clear the result columns.
+  var columns = clearSyncResults(sheet, headerRowNumber);
+
+  // STEP 3: Collect one result per row, then write each column in a single call.
+  var results = {};
+  opportunities.forEach(function(summary) {
+    syncRowResults(summary).forEach(function(result, i) {
+      results[summary.rows[i]] = result;
+    });
+  });
+  var rowNumbers = Object.keys(results).map(Number);
+  var failed = rowNumbers.filter(function(rowNumber) { return results[rowNumber].failed; }).length;
+  if (rowNumbers.length > 0) {
+    var firstRow = Math.min.apply(null, rowNumbers);
+    var height = Math.max.apply(null, rowNumbers) - firstRow + 1;
+    ["status", "id", "revision", "errors"].forEach(function(key, c) {
+      var values = [];
+      var backgrounds = [];
+      for (var r = firstRow; r < firstRow + height; r++) {
+        values.push([results[r] ? results[r][key] : ""]);
+        backgrounds.push([results[r] && results[r].failed ? RESULT_FAILED_BACKGROUND : null]);
+      }
+      var range = sheet.getRange(firstRow, columns[c], height, 1);
+      range.setValues(values);
+      range.setBackgrounds(backgrounds);
+    });
+  }
+  logInfo(ss, "Wrote sync results to " + table.rowNumbers.length + " input row(s); " + failed + " failed.");
+}
+
+/**
+ * Finds (or adds) the result columns and clears their values and highlights below the header row.
+ *
+ * @param {Sheet} sheet - The input sheet.
+ * @param {Number} headerRowNumber - The row holding the column headers.
+ * @param {Boolean} [addMissing] - Whether to add the missing result columns (the default); when false
+ *   they are left out and their column number is null.
+ * @returns {Array<Number>} The column number of each RESULT_HEADERS entry.
+ */
+function clearSyncResults(sheet, headerRowNumber, addMissing) {
+  var lastColumn = Math.max(sheet.getLastColumn(), 1);
+  var headerRow = sheet.getRange(headerRowNumber, 1, 1, lastColumn).getValues()[0];
+  var columns = RESULT_HEADERS.map(function(header) {
+    for (var j = 0; j < headerRow.length; j++) {
+      if (String(headerRow[j]).trim() === header) {
+        return j + 1;
+      }
+    }
+    if (addMissing === false) {
+      return null;
+    }
+    headerRow.push(header);
+    sheet.getRange(headerRowNumber, headerRow.length).setValue(header).setFontWeight("bold");
+    return headerRow.length;
+  });
+
+  var lastRow = sheet.getLastRow();
+  if (lastRow > headerRowNumber) {
+    columns.forEach(function(column) {
+      if (column === null) return;
+      sheet.getRange(headerRowNumber + 1, column, lastRow - headerRowNumber, 1).clearContent().setBackground(null);
+    });
+  }
+  return columns;
+}
+
+/**
+ * Clears the results of the previous sync as soon as a new one starts, so that a run which stops
+ * before writing its own (invalid parameters, build errors, business rule failures) leaves no stale
+ * results next to the rows. Only existing result columns are cleared.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet holding the input sheet.
+ * @param {Object} params - The parameters, as returned by loadParametersFromJson().
+ */
+function clearPreviousSyncResults(ss, params) {
+  var sheet = params["Input Sheet"] ? ss.getSheetByName(String(params["Input Sheet"].Name)) : null;
+  var headerRowNumber = params["Table Header Row"] ? Number(params["Table Header Row"].Name) : 0;
+  // Missing or invalid settings are reported by buildInputTable().
+  if (!sheet || !(headerRowNumber >= 1 && Math.floor(headerRowNumber) === headerRowNumber && headerRowNumber <= sheet.getLastRow())) {
+    return;
+  }
+  clearSyncResults(sheet, headerRowNumber, false);
+}
+
+/**
+ * Works out the result of each row of one Opportunity, in the order of summary.rows.
+ *
+ *   - committed:        "Synced", with the new record Id and revision. Delta syncs add what
+ *                       happened to the line: "Synced (inserted)", "(updated)" or "(unchanged)".
+ *                       Business rule warnings on the row are listed as its errors.
+ *   - rolled back:      "Rolled back"; rows Salesforce rejected carry its error codes and messages,
+ *                       the others say they were undone because another line failed.
+ *   - rollback failed:  "Rollback failed", with the summary error (manual cleanup is needed).
+ *   - failed:           "Not synced"; rows named in a problem report get their own problems,
+ *                       the others the first line of the error.
+ *
+ * @param {Object} summary - A summary from syncOpportunityLineItems().
+ * @returns {Array<Object>} { status, id, revision, errors, failed } per row.
+ */
+function syncRowResults(summary) {
+  // A delta sync reports one entry per line (see syncLineItemDelta); a revision swap its insert results.
+  var insertion = summary.lines || summary.insertion || [];
+  return summary.rows.map(function(rowNumber, i) {
+    var inserted = insertion[i];
+    var result = { status: "", id: "", revision: "", errors: "", failed: true };
+
+    if (summary.outcome === "committed") {
+      result.status = inserted && inserted.change ? "Synced (" + inserted.change + ")" : "Synced";
+      result.id = inserted ? inserted.id : "";
+      result.revision = summary.revision;
+      result.errors = rowProblems(formatRecordProblems(summary.warnings || []), rowNumber);
+      result.failed = false;
+    } else if (summary.outcome === "rolled back" || summary.outcome === "rollback failed") {
+      result.status = summary.outcome === "rolled back" ? "Rolled back" : "Rollback failed";
+      if (inserted && !inserted.success) {
+        result.errors = formatSalesforceErrors(inserted.errors);
+      } else if (summary.outcome === "rolled back" && insertion.length > 0) {
+        result.errors = "Not saved: another line of this Opportunity failed. " + summary.error;
+      } else {
+        result.errors = summary.error;
+      }
+    } else {
+      result.status = "Not synced";
+      result.errors = rowProblems(summary.error, rowNumber) || String(summary.error || "").split("\n")[0];
+    }
+    return result;
+  });
+}
+
+/**
+ * Formats the errors of one composite response entry as "STATUS_CODE: message [fields]" lines.
+ */
+function formatSalesforceErrors(errors) {
+  return (errors || []).map(function(error) {
+    var text = (error.statusCode ? error.statusCode + ": " : "") + (error.message || "");
+    return error.fields && error.fields.length ? text + " [" + error.fields.join(", ") + "]" : text;
+  }).join("\n");
+}
+
+/**
+ * Picks the lines of a problem report (see formatRecordProblems) that concern one sheet row.
+ */
+function rowProblems(report, rowNumber) {
+  var prefix = "Row " + rowNumber;
+  return String(report || "").split("\n").filter(function(line) {
+    return line.indexOf(prefix + ",") === 0 || line.indexOf(prefix + ":") === 0;
+  }).join("\n");
+}
@@ -0,0 +1,219 @@
+var REVISIONS_SHEET_NAME = "JF_REVISIONS";
+
+/**
+ * listRevisions(ss, oppId)
+ *
+ * Lists every revision (Version_Number__c, or the version field of the "Target Object" setting)
+ * of an Opportunity's line items and writes them
+ * to the "JF_REVISIONS" sheet, newest first.
+ *
+ * For each revision the sheet shows the number of lines, how many are active, the total
+ * (sum of Quantity__c x Sales_Price__c, or of the product of the "total_fields" of the "Target Object"
+ * setting; blank when there are none or the object lacks one of them) and when its lines were created.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet to write to.
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @returns {Array<Object>} The revisions: { version, lines, activeLines, total, firstCreated, lastCreated, status },
+ *   total being null when there is no total.
+ */
+function listRevisions(ss, oppId) {
+  beginLogRun(ss);
+  try {
+    // The parameters name the target object.
+    loadParametersFromJson(ss);
+    oppId = validateParentId(oppId);
+    var totalFields = getRevisionTotalFields();
+    var records = getAllLineItems(oppId, totalFields || []);
+    var revisions = summarizeRevisions(records, totalFields);
+    logMessage(ss, "Found " + revisions.length + " revision(s) for Opportunity " + oppId);
+
+    var sheet = ss.getSheetByName(REVISIONS_SHEET_NAME);
+    if (!sheet) {
+      sheet = ss.insertSheet(REVISIONS_SHEET_NAME);
+    }
+    sheet.clear();
+
+    var values = [
+      ["Opportunity", oppId, "", "", "", "", ""],
+      ["Generated", new Date(), "", "", "", "", ""],
+      ["", "", "", "", "", "", ""],
+      ["Version", "Status", "Lines", "Active Lines", "Total", "First Created", "Last Created"]
+    ];
+    revisions.forEach(function(revision) {
+      values.push([revision.version, revision.status, revision.lines, revision.activeLines,
+        revision.total === null ? "" : revision.total,
+        revision.firstCreated, revision.lastCreated]);
+    });
+    sheet.getRange(1, 1, values.length, 7).setValues(values);
+    sheet.getRange(4, 1, 1, 7).setFontWeight("bold");
+
+    return revisions;
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Returns the total fields of the target object (see configureTargetObject) when it has all of them
+ * (per its describe), or null.
+ */
+function getRevisionTotalFields() {
+  var target = getTargetObject();
+  if (target.totalFields.length === 0) {
+    return null;
+  }
+  var names = describeSObject(target.object).fields.map(function(field) {
+    return field.name.toLowerCase();
+  });
+  var missing = target.totalFields.filter(function(field) {
+    return names.indexOf(field.toLowerCase()) === -1;
+  });
+  return missing.length === 0 ? target.totalFields : null;
+}
+
+/**
+ * Aggregates line item records into one summary per revision, newest first.
+ *
+ * @param {Array<Object>} records - Records from getAllLineItems().
+ * @param {Array<String>} [totalFields] - The fields multiplied per line for the total; no total when null.
+ * @returns {Array<Object>} See listRevisions().
+ */
+function summarizeRevisions(records, totalFields) {
+  var byVersion = {};
+  var target = getTargetObject();
+  records.forEach(function(record) {
+    var version = record[target.versionField] === null || record[target.versionField] === undefined ? 0 : record[target.versionField];
+    var revision = byVersion[version] || (byVersion[version] = {
+      version: version,
+      lines: 0,
+      activeLines: 0,
+      total: totalFields ? 0 : null,
+      firstCreated: null,
+      lastCreated: null,
+      status: ""
+    });
+    revision.lines++;
+    if (record[target.activeField]) revision.activeLines++;
+    if (totalFields) {
+      revision.total += totalFields.reduce(function(product, field) {
+        return product * (Number(record[field]) || 0);
+      }, 1);
+    }
+    var created = record.CreatedDate ? new Date(record.CreatedDate) : null;
+    if (created && (!revision.firstCreated || created < revision.firstCreated)) revision.firstCreated = created;
+    if (created && (!revision.lastCreated || created > revision.lastCreated)) revision.lastCreated = created;
+  });
+
+  return Object.keys(byVersion).map(function(version) {
+    var revision = byVersion[version];
+    if (revision.total !== null) revision.total = Math.round(revision.total * 100) / 100;
+    revision.status = revision.activeLines === 0 ? "Inactive" :
+      (revision.activeLines === revision.lines ? "Active" : "Partially active");
+    return revision;
+  }).sort(function(a, b) {
+    return b.version - a.version;
+  });
+}
+
+/**
+ * restoreRevision(oppId, version)
+ *
+ * Makes an earlier revision of an Opportunity's line items the active one again: the
+ * currently active lines are deactivated (deactivateAllActiveLineItems) and the lines of the chosen
+ * revision are activated.
+ * If either step fails, the previous state is restored; a step that throws partway (e.g. a
+ * network error on a later chunk) is undone for all of its lines.
+ *
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Number} version - The revision (Version_Number__c) to restore (between 1 and getHighestRevisionNumber()).
+ * @param {Spreadsheet} [ss] - The spreadsheet to log to (defaults to the active spreadsheet).
+ * @returns {Object} { opportunityId, version, outcome, deactivation, activation, rollback, error } where
+ *   outcome is "restored", "rolled back" or "rollback failed".
+ */
+function restoreRevision(oppId, version, ss) {
+  ss = ss || SpreadsheetApp.getActiveSpreadsheet();
+  beginLogRun(ss);
+  try {
+    loadParametersFromJson(ss);
+    oppId = validateParentId(oppId);
+    version = Number(version);
+
+    var highestRevision = getHighestRevisionNumber(oppId);
+    if (!(version >= 1 && version <= highestRevision && Math.floor(version) === version)) {
+      throw new Error("Revision " + version + " does not exist for Opportunity " + oppId +
+        " (revisions run from 1 to " + highestRevision + ").");
+    }
+
+    var targetIds = getAllLineItems(oppId, [])
+      .filter(function(record) { return record[getTargetObject().versionField] === version; })
+      .map(function(record) { return record.Id; });
+    if (targetIds.length === 0) {
+      throw new Error("Revision " + version + " of Opportunity " + oppId + " has no line items.");
+    }
+    var previousIds = getActiveLineItemIds(oppId);
+
+    var summary = {
+      opportunityId: oppId,
+      version: version,
+      outcome: "rolled back",
+      deactivation: [],
+      activation: [],
+      rollback: null,
+      error: null
+    };
+    logMessage(ss, "Restoring revision " + version + " (" + targetIds.length + " lines) for " + oppId +
+      "; deactivating " + previousIds.length + " active lines.");
+
+    var deactivationThrew = false;
+    var activationThrew = false;
+    try {
+      // Same deactivation as a sync; previousIds (read above) are what the rollback reactivates.
+      summary.deactivation = deactivateAllActiveLineItems(oppId);
+    } catch (e) {
+      deactivationThrew = true;
+      summary.deactivation = [{ success: false, errors: [{ message: e.message }] }];
+    }
+    var deactivated = previousIds.length === 0 || compositeSucceeded(summary.deactivation);
+    if (deactivated) {
+      try {
+        summary.activation = setLineItemsActive(targetIds, true);
+      } catch (e) {
+        activationThrew = true;
+        summary.activation = [{ success: false, errors: [{ message: e.message }] }];
+      }
+      if (compositeSucceeded(summary.activation)) {
+        summary.outcome = "restored";
+        logInfo(ss, "Revision " + version + " restored for " + oppId);
+        return summary;
+      }
+    }
+
+    // Put back what was active before: undo any activation, then reactivate the previous lines.
+    summary.error = deactivated ?
+      "Activating revision " + version + " failed; the previous revision was reactivated." :
+      "Deactivating the current revision failed; the previous revision was left active.";
+    var activatedIds = (activationThrew ? targetIds : succeededIds(summary.activation)).filter(function(id) {
+      return previousIds.indexOf(id) === -1;
+    });
+    var deactivatedIds = deactivationThrew ? previousIds : succeededIds(summary.deactivation);
+    summary.rollback = { deactivated: [], reactivated: [] };
+    try {
+      summary.rollback.deactivated = setLineItemsActive(activatedIds, false);
+      summary.rollback.reactivated = setLineItemsActive(deactivatedIds, true);
+    } catch (e) {
+      summary.rollback.error = e.message;
+    }
+    var rollbackOk = !summary.rollback.error &&
+      (activatedIds.length === 0 || compositeSucceeded(summary.rollback.deactivated)) &&
+      (deactivatedIds.length === 0 || compositeSucceeded(summary.rollback.reactivated));
+    if (!rollbackOk) {
+      summary.outcome = "rollback failed";
+      summary.error = "Restoring revision " + version + " failed and the rollback did not complete. " +
+        "Check the line items for Opportunity " + oppId + " in Salesforce.";
+    }
+    logError(ss, "Restore " + summary.outcome + ":\n" + JSON.stringify(summary, null, 2));
+    return summary;
+  } finally {
+    endLogRun(ss);
+  }
+}
@@ -1,89 +1,580 @@
+// How processOliRecords() replaces the lines of an Opportunity (the "Sync Mode" setting):
+//   revision  deactivate every active line and insert the sheet as a new revision (the default)
+//   delta     match lines on an External Id column, upsert new and changed lines and deactivate
+//             only the lines removed from the sheet (see syncLineItemDelta)
+var SYNC_MODES = ["revision", "delta"];
+
 /**
  * processOliRecords(ss)
  *
  * End-to-end function to process Opportunity Line Items (OLIs).
  *
  * Steps:
- * 1. Load parameters from the "JF_SCRIPT_PARAMS" sheet.
+ * 1. Load parameters from the "JF_SCRIPT_PARAMS" sheet and clear the results of the previous run
+ *    (see clearPreviousSyncResults).
  * 2. Build the in-memory OLI table from the input sheet using the parameter mappings.
- * 3. Deactivate any existing active OLIs for the Opportunity.
- * 4. Retrieve the highest existing revision number for OLIs and compute the new revision.
- * 5. For each new OLI record, set:
- *    - Opportunity__c to the given Opportunity Id.
- *    - Active__c to true.
- *    - Version_Number__c to (highest revision + 1).
- * 6. Insert the new OLI records into Salesforce.
+ * 3. Group the rows by their own parent Id, opportunity_id__c by default (see groupRecordsByOpportunity).
+ * 4. For each Opportunity, independently (see syncOpportunityLineItems):
+ *    - Retrieve the highest existing revision number and compute the new revision.
+ *    - Set opportunity_id__c, Active__c = true and Version_Number__c = (highest revision + 1), or the
+ *      fields named by the "Target Object" setting (see configureTargetObject).
+ *    - Validate the records against the target object's describe metadata (see
+ *      validateLineItemsAgainstDescribe) and the business rules (see enforceBusinessRules); any problem,
+ *      other than a rule warning, stops that Opportunity before Salesforce is changed.
+ *    - Swap revisions: deactivate the existing active OLIs and insert the new ones as a single unit
+ *      (see swapLineItemRevision). If the insert fails, the previous revision is restored.
+ *      In delta mode only the lines that changed are written instead (see syncLineItemDelta).
+ *    A failure on one Opportunity is recorded in its summary and does not stop the others.
+ * 5. Write each row's status, Salesforce Id, revision and errors into result columns of the input
+ *    sheet (see writeSyncResults); failed rows are highlighted.
  *
  * This function leverages:
  *    - exampleLoadParameters() [from your parameter loader code]
- *    - buildOliDataTableFromParams() [from your OLI builder code]
+ *    - buildInputTable() [from your OLI builder code]
  *    - Library functions from Jellyfish Revops SFDC Integrations:
  *         getHighestRevisionNumber(oppId)
- *         deactivateAllActiveLineItems(oppId)
- *         createLineItems(oppId, lineItems)
+ *         swapLineItemRevision(ss, oppId, lineItems) - deactivateAllActiveLineItems(oppId) then
+ *           createLineItems(oppId, lineItems), with a compensating rollback if either step fails
+ *         syncLineItemDelta(ss, oppId, lineItems, options) - in delta mode
  *
- * @returns {Object} An object summarizing the deactivation and insertion results.
+ * @returns {Object} { outcome, mode, opportunities, counts } where opportunities holds one summary per
+ *   Opportunity (see syncOpportunityLineItems), outcome is "committed" (all committed),
+ *   "partially committed" or "failed" (none committed), and counts totals the inserted, updated,
+ *   unchanged and removed lines of committed delta syncs (null in revision mode).
  */
 function processOliRecords(ss) {
+  beginLogRun(ss);
   try {
     // STEP 1: Load parameters from the parameter sheet.
     // This function returns an object of parameters (including Input Sheet, Table Header Row, and oli mappings).
     var params = exampleLoadParameters(ss);
     // logMessage(ss,"Parameters loaded successfully: " + JSON.stringify(params, null, 2));
+    // Results of the previous run go first, so that a run which stops early leaves none behind.
+    clearPreviousSyncResults(ss, params);
+    var syncOptions = getSyncOptions(params);
     
     // STEP 2: Build the in-memory OLI table from the input sheet.
-    var oliData = buildDataTableFromParamsDynamic(ss);
+    var table = buildInputTable(ss);
+    var oliData = table.records;
     logMessage(ss,"OLI Data Table built successfully. Number of records: " + oliData.length);
     
-    var oppId = oliData[0]["jellyfish_line_item__c"]["opportunity_id__c"];
-    logMessage(ss,'Found Opportunity ID: ' + oppId)
-    // STEP 3: Query and deactivate existing active OLIs.
-    // Note: The library functions are referenced via the attached library namespace.
+    // STEP 3: Group the rows by Opportunity.
+    var groups = groupRecordsByOpportunity(table);
+    logMessage(ss,"Found " + groups.length + " Opportunity group(s): " +
+      groups.map(function(group) { return group.oppId || "(blank)"; }).join(", "));
     
-    var deactivationResults = deactivateAllActiveLineItems(oppId);
-    logMessage(ss,"Deactivation results:\n" + JSON.stringify(deactivationResults, null, 2));
+    // STEP 4: Sync each Opportunity on its own.
+    var opportunities = groups.map(function(group, g) {
+      reportProgress("Syncing Opportunity " + (g + 1) + " of " + groups.length + " (" + (group.oppId || "no Id") + ")...");
+      return syncOpportunityLineItems(ss, table, group, syncOptions);
+    });
     
-    // STEP 4: Retrieve the highest revision number from Salesforce.
-    var highestRevision = getHighestRevisionNumber(oppId);
+    // STEP 5: Write each row's result back into the input sheet.
+    writeSyncResults(ss, table, opportunities);
+    
+    var committed = opportunities.filter(function(summary) { return summary.outcome === "committed"; }).length;
+    var resultSummary = {
+      outcome: committed === opportunities.length ? "committed" : (committed === 0 ? "failed" : "partially committed"),
+      mode: syncOptions.mode,
+      opportunities: opportunities,
+      counts: syncOptions.mode === "delta" ? totalDeltaCounts(opportunities) : null
+    };
+    logInfo(ss,"Process " + resultSummary.outcome + ":\n" + JSON.stringify(resultSummary, null, 2));
+    return resultSummary;
+    
+  } catch (e) {
+    logError(ss,"Error in processOliRecords: " + e.message);
+    throw e;
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Groups the records of an input table by their parent field value (opportunity_id__c unless the
+ * "Target Object" setting names another), in order of first appearance.
+ *
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @returns {Array<Object>} One group per Opportunity: { oppId, indexes }, indexes pointing into
+ *   table.records and oppId being the 18-character Id (or the value as typed when it is not a valid Id).
+ *   Rows without an Opportunity Id form a group whose oppId is "".
+ */
+function groupRecordsByOpportunity(table) {
+  var groups = [];
+  var byId = {};
+  table.records.forEach(function(record, index) {
+    var value = readRecordField(record, getTargetObject().parentField);
+    var oppId = value === null || value === undefined ? "" : String(value).trim();
+    // The 15- and 18-character forms of one Id are one Opportunity.
+    try {
+      oppId = toEighteenCharacterId(validateParentId(oppId));
+    } catch (e) {
+      // Invalid Ids are kept as typed; syncOpportunityLineItems() reports them.
+    }
+    if (!byId.hasOwnProperty(oppId)) {
+      byId[oppId] = { oppId: oppId, indexes: [] };
+      groups.push(byId[oppId]);
+    }
+    byId[oppId].indexes.push(index);
+  });
+  return groups;
+}
 
-    var newRevision = highestRevision + 1;
+/**
+ * Reads the "Sync Mode" setting and, for delta syncs, the key column: the mapping marked "external_id": true.
+ *
+ * @param {Object} params - The parameters from loadParametersFromJson().
+ * @returns {Object} { mode, externalIdField } (externalIdField is null in revision mode).
+ */
+function getSyncOptions(params) {
+  var mode = params["Sync Mode"] ? String(params["Sync Mode"].Name).trim().toLowerCase() : "revision";
+  if (SYNC_MODES.indexOf(mode) === -1) {
+    throw new Error("Unknown Sync Mode '" + mode + "'. Expected one of: " + SYNC_MODES.join(", ") + ".");
+  }
+  if (mode !== "delta") {
+    return { mode: mode, externalIdField: null };
+  }
+  var keys = getMappingEntries(params).filter(function(entry) { return entry.mapping.external_id === true; });
+  if (keys.length !== 1) {
+    throw new Error("Delta sync needs exactly one column mapping with \"external_id\": true (found " + keys.length + ").");
+  }
+  return { mode: mode, externalIdField: keys[0].api };
+}
+
+/**
+ * Syncs the rows of one Opportunity: revision number, describe checks and revision swap
+ * (or, in delta mode, the delta sync).
+ * Errors are caught and recorded so that the caller can continue with other Opportunities.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Object} table - The input table, as returned by buildInputTable().
+ * @param {Object} group - { oppId, indexes } from groupRecordsByOpportunity().
+ * @param {Object} [syncOptions] - { mode, externalIdField } from getSyncOptions(); revision mode when omitted.
+ * @returns {Object} { opportunityId, rows, revision, outcome, deactivation, insertion, rollback, error, warnings },
+ *   rows being the sheet rows of the group, warnings the business rule warnings (see enforceBusinessRules)
+ *   and outcome one of "committed", "rolled back",
+ *   "rollback failed" or "failed" (stopped before Salesforce was changed). Delta syncs report
+ *   lines, upsert and counts instead of insertion (see syncLineItemDelta).
+ */
+function syncOpportunityLineItems(ss, table, group, syncOptions) {
+  var delta = !!syncOptions && syncOptions.mode === "delta";
+  var rows = group.indexes.map(function(index) { return table.rowNumbers[index]; });
+  var summary = { opportunityId: group.oppId, rows: rows, revision: null, outcome: "failed", error: null, warnings: [] };
+  
+  try {
+    var target = getTargetObject();
+    if (!group.oppId) {
+      throw new Error("These rows have no " + target.parentObject + " Id.");
+    }
+    var oppId = validateParentId(group.oppId);
+    logMessage(ss,'Processing Opportunity ID: ' + oppId + " (rows " + rows.join(", ") + ")");
+    
+    // Retrieve the highest revision number from Salesforce.
+    var highestRevision = getHighestRevisionNumber(oppId);
+    var newRevision = getSyncRevisionNumber(oppId, highestRevision, syncOptions);
     logMessage(ss,"Highest Revision: " + highestRevision + ", New Revision: " + newRevision);
     
-    // STEP 5: Augment each new OLI record with necessary fields.
+    // Augment each new OLI record with necessary fields.
+    var oliData = group.indexes.map(function(index) { return table.records[index]; });
     for (var i = 0; i < oliData.length; i++) {
       var record = oliData[i];
-      // Ensure the Opportunity__c field is set.
-      record.opportunity_id__c = oppId;
-      // Set the Active__c flag to true.
-      record.Active__c = true;
-      // Set the Version_Number__c field to the new revision number.
-      record.Version_Number__c = newRevision;
+      // Ensure the parent field (opportunity_id__c) is set.
+      record[target.parentField] = oppId;
+      // Set the active flag (Active__c) to true.
+      record[target.activeField] = true;
+      // Set the version field (Version_Number__c) to the new revision number.
+      record[target.versionField] = newRevision;
     }
     logMessage(ss,"New OLI records after augmentation:\n" + JSON.stringify(oliData, null, 2));
     
-    // STEP 6: Insert new OLI records into Salesforce.
-
-    formattedOliData = formatOLIs(oliData); 
+    var formattedOliData = formatOLIs(oliData); 
     logMessage(ss,formattedOliData)
 
-    var insertionResults = createLineItems(oppId, formattedOliData);
-    
-    logMessage(ss,"Insertion results:\n" + JSON.stringify(insertionResults, null, 2));
+    // Check the fields and values against Salesforce metadata before anything is deactivated.
+    validateLineItemsAgainstDescribe(ss, { columns: table.columns, rowNumbers: rows }, formattedOliData,
+      delta ? syncOptions.externalIdField : null);
+
+    // Check the business rules of JF_SCRIPT_PARAMS; blocking violations stop the Opportunity here too.
+    summary.warnings = enforceBusinessRules(ss, getBusinessRules(table.params), { columns: table.columns, rowNumbers: rows },
+      formattedOliData);
+
+    // Deactivate the current revision and insert the new one (or write only what changed).
+    var swapSummary = delta ?
+      syncLineItemDelta(ss, oppId, formattedOliData, { rows: rows, columns: table.columns, externalIdField: syncOptions.externalIdField }) :
+      swapLineItemRevision(ss, oppId, formattedOliData);
+    for (var key in swapSummary) {
+      summary[key] = swapSummary[key];
+    }
+    summary.revision = newRevision;
     
-    // Return a summary of the operations.
-    var resultSummary = {
-      deactivation: deactivationResults,
-      insertion: insertionResults
+  } catch (e) {
+    summary.error = e.message;
+    logError(ss,"Error syncing Opportunity " + (group.oppId || "(blank)") + ": " + e.message);
+  }
+  return summary;
+}
+
+/**
+ * Returns the revision number a sync stamps on the lines it writes. A full sync starts the next
+ * revision; a delta sync changes the active revision in place, so it keeps the version of the active
+ * lines (the next revision when none is active), which is not the highest one after restoreRevision().
+ *
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Number} highestRevision - The highest revision, as returned by getHighestRevisionNumber().
+ * @param {Object} [syncOptions] - { mode } from getSyncOptions(); revision mode when omitted.
+ * @returns {Number} The revision number.
+ */
+function getSyncRevisionNumber(oppId, highestRevision, syncOptions) {
+  var activeRevision = syncOptions && syncOptions.mode === "delta" ? getActiveRevisionNumber(oppId) : 0;
+  return activeRevision || highestRevision + 1;
+}
+
+/**
+ * Replaces the active revision of an Opportunity's line items with new ones, all or nothing.
+ *
+ * Both Salesforce calls run with allOrNone, but large revisions are sent in chunks of 200 records,
+ * so either step can stop partway. The pair is made atomic with compensating actions:
+ *   - If the deactivation fails, any lines it did deactivate are reactivated and the insert
+ *     is not attempted.
+ *   - If the insert fails, any records it created are deleted and the previous revision
+ *     is reactivated.
+ * A call that throws partway (e.g. a network error on a later chunk) does not say which chunks were
+ * committed, so the rollback then reactivates every previous line, or deletes every line that is
+ * active after the deactivation.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Array<Object>} lineItems - Flattened line items, as produced by formatOLIs().
+ * @returns {Object} { outcome, deactivation, insertion, rollback, error } where outcome is
+ *   "committed", "rolled back" (the previous revision is active again) or "rollback failed"
+ *   (manual cleanup is needed; see rollback for the details).
+ */
+function swapLineItemRevision(ss, oppId, lineItems) {
+  var summary = {
+    outcome: "rolled back",
+    deactivation: [],
+    insertion: [],
+    rollback: null,
+    error: null
+  };
+
+  var previousIds = getActiveLineItemIds(oppId);
+  logMessage(ss, "Deactivating " + previousIds.length + " active line items for " + oppId);
+
+  var deactivationThrew = false;
+  try {
+    summary.deactivation = deactivateAllActiveLineItems(oppId);
+  } catch (e) {
+    deactivationThrew = true;
+    summary.deactivation = [{ success: false, errors: [{ message: e.message }] }];
+  }
+  if (previousIds.length > 0 && !compositeSucceeded(summary.deactivation)) {
+    summary.error = "Deactivation of the current revision failed; the previous revision was left active.";
+    logError(ss, "Deactivation failed:\n" + JSON.stringify(summary.deactivation, null, 2));
+
+    var deactivatedIds = deactivationThrew ? previousIds : succeededIds(summary.deactivation);
+    summary.rollback = { deleted: [], reactivated: [] };
+    try {
+      summary.rollback.reactivated = setLineItemsActive(deactivatedIds, true);
+    } catch (e) {
+      summary.rollback.error = e.message;
+    }
+    if (summary.rollback.error || (deactivatedIds.length > 0 && !compositeSucceeded(summary.rollback.reactivated))) {
+      summary.outcome = "rollback failed";
+      summary.error = "Deactivation of the current revision failed and the rollback did not complete. " +
+        "Check the line items for Opportunity " + oppId + " in Salesforce.";
+    }
+    return summary;
+  }
+
+  var insertionThrew = false;
+  try {
+    summary.insertion = createLineItems(oppId, lineItems);
+  } catch (e) {
+    insertionThrew = true;
+    summary.insertion = [{ success: false, errors: [{ message: e.message }] }];
+  }
+  if (compositeSucceeded(summary.insertion)) {
+    summary.outcome = "committed";
+    return summary;
+  }
+
+  // The insert failed: undo whatever happened so the previous revision is the active one again.
+  summary.error = "Insertion of the new revision failed; the previous revision was restored.";
+  logError(ss, "Insertion failed, rolling back:\n" + JSON.stringify(summary.insertion, null, 2));
+
+  var createdIds = insertionThrew ? [] : succeededIds(summary.insertion);
+
+  summary.rollback = { deleted: [], reactivated: [] };
+  try {
+    if (insertionThrew) {
+      // The previous lines are inactive now, so every active line was created by this insert.
+      createdIds = getActiveLineItemIds(oppId);
+    }
+    summary.rollback.deleted = deleteRecords(createdIds);
+    summary.rollback.reactivated = setLineItemsActive(previousIds, true);
+  } catch (e) {
+    summary.rollback.error = e.message;
+  }
+
+  var rollbackOk = !summary.rollback.error &&
+    (createdIds.length === 0 || compositeSucceeded(summary.rollback.deleted)) &&
+    (previousIds.length === 0 || compositeSucceeded(summary.rollback.reactivated));
+  if (!rollbackOk) {
+    summary.outcome = "rollback failed";
+    summary.error = "Insertion of the new revision failed and the rollback did not complete. " +
+      "Check the line items for Opportunity " + oppId + " in Salesforce.";
+  }
+  logMessage(ss, "Rollback results:\n" + JSON.stringify(summary.rollback, null, 2));
+  return summary;
+}
+
+/**
+ * Applies the sheet to the active lines of an Opportunity in place, matching lines on an External Id
+ * column: new and changed lines are upserted, lines no longer in the sheet are deactivated and
+ * unchanged lines are left alone, so a small edit only writes the lines that changed.
+ *
+ * Like swapLineItemRevision(), the steps are made all or nothing with compensating actions: if the
+ * upsert or the deactivation fails, created lines are deleted, updated lines get their previous
+ * values back and deactivated lines are reactivated.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Array<Object>} lineItems - Flattened line items, as produced by formatOLIs(), one per row.
+ * @param {Object} options - { rows, columns, externalIdField }: the sheet rows of the lines, the
+ *   input table columns (for problem reports) and the key field.
+ * @returns {Object} { outcome, lines, upsert, deactivation, rollback, error, counts } where lines holds
+ *   one { id, success, errors, change } per line (change being "inserted", "updated" or "unchanged"),
+ *   counts is { inserted, updated, unchanged, removed } and outcome is as for swapLineItemRevision().
+ */
+function syncLineItemDelta(ss, oppId, lineItems, options) {
+  var target = getTargetObject();
+  var keyField = options.externalIdField;
+  var summary = {
+    outcome: "rolled back",
+    lines: [],
+    upsert: [],
+    deactivation: [],
+    rollback: null,
+    error: null,
+    counts: { inserted: 0, updated: 0, unchanged: 0, removed: 0 }
+  };
+
+  // Read the records the keys already point to, on this Opportunity or another one.
+  var records = lineItems.map(function(item) { return toLineItemRecord(oppId, item); });
+  var keys = records.map(function(record) { return normalizeLineKey(record[keyField]); });
+  var fields = collectPreviewFields(records);
+  var existing = getLineItemsForKeys(keyField, keys, fields);
+  checkLineKeys(oppId, keys, existing, options);
+  var existingByKey = {};
+  existing.forEach(function(record) {
+    existingByKey[normalizeLineKey(record[keyField])] = record;
+  });
+
+  // Compare: only new and changed lines are sent.
+  var upserts = [];
+  var upsertLines = [];
+  records.forEach(function(record, i) {
+    var current = existingByKey[keys[i]];
+    if (current && current[target.activeField] && fieldDifferences(current, record, fields).length === 0) {
+      summary.lines[i] = { id: current.Id, success: true, errors: [], change: "unchanged" };
+      summary.counts.unchanged++;
+    } else {
+      upserts.push(record);
+      upsertLines.push(i);
+    }
+  });
+  var removedIds = getActiveLineItems(oppId, [keyField])
+    .filter(function(record) { return keys.indexOf(normalizeLineKey(record[keyField])) === -1; })
+    .map(function(record) { return record.Id; });
+  logMessage(ss, "Delta for " + oppId + ": " + upserts.length + " line(s) to upsert, " + summary.counts.unchanged +
+    " unchanged, " + removedIds.length + " to deactivate");
+
+  try {
+    summary.upsert = upsertLineItems(upserts, keyField);
+  } catch (e) {
+    summary.upsert = upserts.map(function() { return { success: false, errors: [{ message: e.message }] }; });
+  }
+  upsertLines.forEach(function(line, u) {
+    var result = summary.upsert[u] || { success: false, errors: [] };
+    summary.lines[line] = {
+      id: result.id || "",
+      success: result.success === true,
+      errors: result.errors || [],
+      change: result.created ? "inserted" : "updated"
     };
-    logMessage(ss,"Process completed successfully:\n" + JSON.stringify(resultSummary, null, 2));
-    return resultSummary;
-    
+  });
+  if (upserts.length > 0 && !compositeSucceeded(summary.upsert)) {
+    summary.error = "Upsert of the changed lines failed; the previous lines were restored.";
+    logError(ss, "Upsert failed, rolling back:\n" + JSON.stringify(summary.upsert, null, 2));
+    return rollbackLineItemDelta(ss, oppId, summary, existing, []);
+  }
+
+  try {
+    summary.deactivation = setLineItemsActive(removedIds, false);
   } catch (e) {
-    logMessage(ss,"Error in processOliRecords: " + e.message);
-    throw e;
+    summary.deactivation = removedIds.map(function() { return { success: false, errors: [{ message: e.message }] }; });
+  }
+  if (removedIds.length > 0 && !compositeSucceeded(summary.deactivation)) {
+    summary.error = "Deactivation of the removed lines failed; the previous lines were restored.";
+    logError(ss, "Deactivation failed, rolling back:\n" + JSON.stringify(summary.deactivation, null, 2));
+    return rollbackLineItemDelta(ss, oppId, summary, existing, succeededIds(summary.deactivation));
+  }
+
+  summary.lines.forEach(function(line) {
+    if (line.change !== "unchanged") summary.counts[line.change]++;
+  });
+  summary.counts.removed = removedIds.length;
+  summary.outcome = "committed";
+  return summary;
+}
+
+/**
+ * Checks the keys of a delta sync before anything is written: every line needs a key, no key may
+ * repeat, no key may be on more than one record in Salesforce (the upsert could not tell which one
+ * to update) and no key may belong to a line of another Opportunity (the upsert would move it here).
+ * Throws one error listing every problem by sheet row (see formatRecordProblems).
+ *
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Array<String>} keys - The normalized key of each line (see normalizeLineKey).
+ * @param {Array<Object>} existing - The records holding those keys, as returned by getLineItemsByExternalId().
+ * @param {Object} options - { rows, columns, externalIdField }, as for syncLineItemDelta().
+ */
+function checkLineKeys(oppId, keys, existing, options) {
+  var target = getTargetObject();
+  var recordsByKey = {};
+  existing.forEach(function(record) {
+    var key = normalizeLineKey(record[options.externalIdField]);
+    (recordsByKey[key] = recordsByKey[key] || []).push(record);
+  });
+  var keyColumn = options.columns.filter(function(column) {
+    return column.api.toLowerCase() === options.externalIdField.toLowerCase();
+  })[0];
+  var problems = [];
+  var report = function(i, message) {
+    problems.push({ row: options.rows[i], column: keyColumn ? keyColumn.label : "", field: options.externalIdField, message: message });
+  };
+
+  keys.forEach(function(key, i) {
+    var first = keys.indexOf(key);
+    var matches = recordsByKey[key] || [];
+    var owner = matches.length > 0 ? String(matches[0][target.parentField] || "") : "";
+    if (key === "") {
+      report(i, "is blank; a delta sync needs a key on every line.");
+    } else if (first !== i) {
+      report(i, "repeats the key '" + key + "' of row " + options.rows[first] + ".");
+    } else if (matches.length > 1) {
+      report(i, "key '" + key + "' is on " + matches.length + " records in Salesforce (" +
+        matches.map(function(record) { return record.Id; }).join(", ") + "); remove the duplicates first.");
+    } else if (owner && owner.slice(0, 15) !== oppId.slice(0, 15)) {
+      report(i, "key '" + key + "' already belongs to a line of " + target.parentObject + " " + owner + ".");
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error("Found " + problems.length + " problem(s) with the line keys:\n" + formatRecordProblems(problems));
   }
 }
 
+/**
+ * Undoes a failed delta sync: deletes the lines it created, writes the previous values back to the
+ * lines it updated and reactivates the lines it deactivated.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {String} oppId - The Salesforce Opportunity Id.
+ * @param {Object} summary - The summary of syncLineItemDelta(), updated in place.
+ * @param {Array<Object>} previous - The records as they were before the upsert (getLineItemsByExternalId()).
+ * @param {Array<String>} deactivatedIds - The Ids of the lines that were deactivated.
+ * @returns {Object} The summary, with rollback set and outcome "rolled back" or "rollback failed".
+ */
+function rollbackLineItemDelta(ss, oppId, summary, previous, deactivatedIds) {
+  var upserted = (Array.isArray(summary.upsert) ? summary.upsert : []).filter(function(result) {
+    return result.success === true && result.id;
+  });
+  var createdIds = upserted.filter(function(result) { return result.created; })
+    .map(function(result) { return result.id; });
+  var restores = upserted.filter(function(result) { return !result.created; }).map(function(result) {
+    return previous.filter(function(record) { return record.Id === result.id; })[0];
+  }).filter(Boolean);
+
+  summary.rollback = { deleted: [], restored: [], reactivated: [] };
+  try {
+    summary.rollback.deleted = deleteRecords(createdIds);
+    summary.rollback.restored = updateLineItems(restores);
+    summary.rollback.reactivated = setLineItemsActive(deactivatedIds, true);
+  } catch (e) {
+    summary.rollback.error = e.message;
+  }
+
+  var rollbackOk = !summary.rollback.error &&
+    (createdIds.length === 0 || compositeSucceeded(summary.rollback.deleted)) &&
+    (restores.length === 0 || compositeSucceeded(summary.rollback.restored)) &&
+    (deactivatedIds.length === 0 || compositeSucceeded(summary.rollback.reactivated));
+  if (!rollbackOk) {
+    summary.outcome = "rollback failed";
+    summary.error = "The delta sync failed and the rollback did not complete. " +
+      "Check the line items for Opportunity " + oppId + " in Salesforce.";
+  }
+  logMessage(ss, "Rollback results:\n" + JSON.stringify(summary.rollback, null, 2));
+  return summary;
+}
+
+/**
+ * Reads the records holding the given keys, on any Opportunity and whether active or not.
+ * Blank and repeated keys are left out of the query (checkLineKeys() reports them).
+ *
+ * @param {String} keyField - The External Id field.
+ * @param {Array<String>} keys - The normalized key of each line (see normalizeLineKey).
+ * @param {Array<String>} fields - The other fields to read.
+ * @returns {Array<Object>} The records, as returned by getLineItemsByExternalId().
+ */
+function getLineItemsForKeys(keyField, keys, fields) {
+  return getLineItemsByExternalId(keyField, keys.filter(function(key, i) {
+    return key !== "" && keys.indexOf(key) === i;
+  }), fields);
+}
+
+/**
+ * Turns a key cell into the string it is matched on ("" when blank).
+ */
+function normalizeLineKey(value) {
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+/**
+ * Adds up the counts of the committed delta syncs.
+ *
+ * @param {Array<Object>} opportunities - The per-Opportunity summaries.
+ * @returns {Object} { inserted, updated, unchanged, removed }.
+ */
+function totalDeltaCounts(opportunities) {
+  var totals = { inserted: 0, updated: 0, unchanged: 0, removed: 0 };
+  opportunities.forEach(function(summary) {
+    if (summary.outcome !== "committed" || !summary.counts) return;
+    for (var key in totals) {
+      totals[key] += summary.counts[key];
+    }
+  });
+  return totals;
+}
+
+/**
+ * Formats delta counts as "2 inserted, 1 updated, 5 unchanged, 0 removed".
+ */
+function formatDeltaCounts(counts) {
+  return ["inserted", "updated", "unchanged", "removed"].map(function(key) {
+    return counts[key] + " " + key;
+  }).join(", ");
+}
+
+/**
+ * Returns the record Ids of the successful entries in a composite sObject collection response.
+ */
+function succeededIds(results) {
+  return (Array.isArray(results) ? results : [])
+    .filter(function(result) { return result.success === true && result.id; })
+    .map(function(result) { return result.id; });
+}
+
 /**
  * Flattens the records produced by buildDataTableFromParamsDynamic().
  *
@@ -128,17 +619,19 @@ function formatOLIs(oliData) {
  */
 function processJellyfishLineItems(ss) {
   var startTime = new Date(); // Capture the start time
-  logMessage(ss,"Starting processJellyfishLineItems at " + startTime.toISOString());
+  beginLogRun(ss);
+  try {
+    logInfo(ss,"Starting processJellyfishLineItems at " + startTime.toISOString());
 
-  var results = processOliRecords(ss);
+    var results = processOliRecords(ss);
 
-  var endTime = new Date(); // Capture the end time
-  var executionTime = (endTime - startTime) / 1000; // Convert to seconds
+    var endTime = new Date(); // Capture the end time
+    var executionTime = (endTime - startTime) / 1000; // Convert to seconds
 
-  logMessage(ss,"Completed processJellyfishLineItems at " + endTime.toISOString());
-  logMessage(ss,"Total Execution Time: " + executionTime.toFixed(2) + " seconds");
-  logMessage(ss, "Final results:\n" + JSON.stringify(results, null, 2));
-  
-  flushLogs(ss);
-  return results;
+    logInfo(ss,"Completed processJellyfishLineItems at " + endTime.toISOString(), { seconds: executionTime, outcome: results.outcome });
+    logMessage(ss, "Final results:\n" + JSON.stringify(results, null, 2));
+    return results;
+  } finally {
+    endLogRun(ss);
+  }
 }
@@ -1,52 +1,179 @@
 /**
- * Logs a message to both Logger and the "JF_SCRIPT_LOG" sheet.
- * If the log sheet does not exist, it is created and headers are added.
+ * Leveled, buffered logging to Logger and the "JF_SCRIPT_LOG" sheet.
  *
- * @param {String} message The message to log.
+ * Every entry carries a timestamp, the id of the run that produced it, a level
+ * (debug, info, warn, error), a message and optional structured context (written as JSON).
+ *
+ * Entries are buffered in memory and written to the sheet in one batch by flushLogs().
+ * Entry points wrap their work in beginLogRun() / endLogRun(); while a run is in progress,
+ * flushLogs() calls from helpers are deferred so the whole run is written once, at the end.
+ *
+ * Configuration (JF_SCRIPT_PARAMS, applied whenever the parameters are loaded):
+ *   {"Log Level":{"Name":"info"}}     Lowest level written to the sheet (default: debug).
+ *   {"Log Max Rows":{"Name":2000}}    Older entries are deleted beyond this many rows (default: 5000).
+ *   {"Redact Fields":{"Name":"..."}}  Fields whose values are masked in every entry (see Redaction.js).
  */
 
-var DEBUG_MODE = true; // Set to true for debugging
+var DEBUG_MODE = true; // Set to true to also echo entries to Logger (the Apps Script execution log)
+
+var LOG_SHEET_NAME = "JF_SCRIPT_LOG";
+var LOG_HEADERS = ["Timestamp", "Run Id", "Level", "Message", "Context"];
+var LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+var LOG_DEFAULT_MAX_ROWS = 5000;
+// Google Sheets rejects cells longer than 50,000 characters.
+var LOG_MAX_CELL_LENGTH = 50000;
 
 var logBuffer = [];
+var logLevel = "debug";
+var logMaxRows = LOG_DEFAULT_MAX_ROWS;
+var logRunId = null;
+var logRunDepth = 0;
 
+/**
+ * Logs a message at debug level. Kept for the many existing call sites; new code should
+ * pick a level with logDebug, logInfo, logWarn or logError.
+ *
+ * @param {Spreadsheet} ss The spreadsheet whose log sheet receives the entry.
+ * @param {String} message The message to log.
+ */
 function logMessage(ss, message) {
-  if (DEBUG_MODE) {
-    Logger.log(message);
-    // Optionally, write to a custom log sheet if needed.
-    var logSheet = ss.getSheetByName("JF_SCRIPT_LOG");
-    
-    if (!logSheet) {
-      logSheet = ss.insertSheet("JF_SCRIPT_LOG");
-      logSheet.appendRow(["Timestamp", "Message"]);
-    }
-    
-    var timestamp = new Date();
-    logSheet.appendRow([timestamp, message]);
+  writeLogEntry("debug", message);
+}
+
+function logDebug(ss, message, context) {
+  writeLogEntry("debug", message, context);
+}
+
+function logInfo(ss, message, context) {
+  writeLogEntry("info", message, context);
+}
+
+function logWarn(ss, message, context) {
+  writeLogEntry("warn", message, context);
+}
+
+function logError(ss, message, context) {
+  writeLogEntry("error", message, context);
+}
+
+/**
+ * Redacts one entry (see Redaction.js), buffers it and, in DEBUG_MODE, echoes it to Logger.
+ */
+function writeLogEntry(level, message, context) {
+  if (!logRunId) {
+    logRunId = newLogRunId();
+  }
+  var text = redactLogText(typeof message === "string" ? message : JSON.stringify(message));
+  context = context === undefined ? undefined : redactLogValue(context);
+  if (DEBUG_MODE && LOG_LEVELS[level] >= LOG_LEVELS[logLevel]) {
+    Logger.log("[" + level.toUpperCase() + "] " + text + (context !== undefined ? " " + shortenLogText(JSON.stringify(context)) : ""));
   }
   logBuffer.push({
     timestamp: new Date(),
-    message: message
+    runId: logRunId,
+    level: level,
+    message: text,
+    context: context
   });
 }
 
+/**
+ * Starts (or joins) a logging run. The outermost call assigns a new run id.
+ *
+ * @returns {String} The run id.
+ */
+function beginLogRun(ss) {
+  if (logRunDepth === 0) {
+    logRunId = newLogRunId();
+  }
+  logRunDepth++;
+  return logRunId;
+}
+
+/**
+ * Ends a logging run started with beginLogRun(). The outermost call writes the buffered entries.
+ */
+function endLogRun(ss) {
+  logRunDepth = Math.max(logRunDepth - 1, 0);
+  if (logRunDepth === 0) {
+    flushLogs(ss);
+  }
+}
+
+/**
+ * Applies the logging settings from the loaded parameters (see the top of this file).
+ *
+ * @param {Object} params The parameters, as returned by loadParametersFromJson().
+ */
+function configureLogging(params) {
+  if (params["Log Level"] && LOG_LEVELS.hasOwnProperty(String(params["Log Level"].Name).toLowerCase())) {
+    logLevel = String(params["Log Level"].Name).toLowerCase();
+  }
+  if (params["Log Max Rows"] && params["Log Max Rows"].Name > 0) {
+    logMaxRows = params["Log Max Rows"].Name;
+  }
+  if (params["Redact Fields"] && params["Redact Fields"].Name) {
+    configureRedaction(params["Redact Fields"].Name);
+  }
+}
+
+/**
+ * Writes the buffered entries at or above the configured level to the log sheet in a single
+ * call, then deletes the oldest rows beyond the retention limit. Deferred while a run is in progress.
+ */
 function flushLogs(ss) {
-  if (logBuffer.length > 0) {
-    var logSheet = ss.getSheetByName("JF_SCRIPT_LOG");
-    if (!logSheet) {
-      logSheet = ss.insertSheet("JF_SCRIPT_LOG");
-      logSheet.appendRow(["Timestamp", "Message"]);
-    }
-    
-    // Map each log entry to a row, preserving the original timestamp.
-    var logRows = logBuffer.map(function(logEntry) {
-      return [logEntry.timestamp, logEntry.message];
-    });
-    
-    // Append the rows starting from the next empty row.
-    logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, logRows[0].length)
-            .setValues(logRows);
-    
-    // Clear the buffer after flushing.
-    logBuffer = [];
-  }
-}
\ No newline at end of file
+  if (logRunDepth > 0 || logBuffer.length === 0) {
+    return;
+  }
+
+  var logRows = logBuffer.filter(function(logEntry) {
+    return LOG_LEVELS[logEntry.level] >= LOG_LEVELS[logLevel];
+  }).map(function(logEntry) {
+    return [
+      logEntry.timestamp,
+      logEntry.runId,
+      logEntry.level,
+      truncateLogCell(logEntry.message),
+      logEntry.context === undefined ? "" : truncateLogCell(shortenLogText(JSON.stringify(logEntry.context)))
+    ];
+  });
+  // Clear the buffer before writing, so a failed write does not duplicate entries on the next flush.
+  logBuffer = [];
+  if (logRows.length === 0) {
+    return;
+  }
+
+  var logSheet = getLogSheet(ss);
+  logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, LOG_HEADERS.length).setValues(logRows);
+
+  // Retention: keep the header and the newest logMaxRows entries.
+  var excess = logSheet.getLastRow() - 1 - logMaxRows;
+  if (excess > 0) {
+    logSheet.deleteRows(2, excess);
+  }
+}
+
+/**
+ * Returns the log sheet, creating it if needed. The header row is rewritten whenever it is not
+ * LOG_HEADERS, e.g. on a sheet created by an older version with only "Timestamp" and "Message".
+ */
+function getLogSheet(ss) {
+  var logSheet = ss.getSheetByName(LOG_SHEET_NAME);
+  if (!logSheet) {
+    logSheet = ss.insertSheet(LOG_SHEET_NAME);
+  }
+  var headerRange = logSheet.getRange(1, 1, 1, LOG_HEADERS.length);
+  if (headerRange.getValues()[0].join("\t") !== LOG_HEADERS.join("\t")) {
+    headerRange.setValues([LOG_HEADERS]);
+    logSheet.setFrozenRows(1);
+  }
+  return logSheet;
+}
+
+function truncateLogCell(text) {
+  return text.length > LOG_MAX_CELL_LENGTH ? text.slice(0, LOG_MAX_CELL_LENGTH - 20) + "... [truncated]" : text;
+}
+
+function newLogRunId() {
+  return Utilities.getUuid().slice(0, 8);
+}
@@ -0,0 +1,233 @@
+/**
+ * Lookup mappings: resolve what reps type in the quote sheet (a product name, a SKU, a price
+ * book name) to the Salesforce record Id the line item field expects.
+ *
+ * A mapping entry becomes a lookup by declaring:
+ *   - "lookup_object": the object to search, e.g. "Product2".
+ *   - "lookup_field":  the field(s) to match the cell against, comma-separated and tried together,
+ *                      e.g. "ProductCode,Name". Relationship paths such as "Product2.ProductCode" work.
+ *   - "lookup_scope":  optional, an object (or its JSON string) restricting the match to records whose
+ *                      field equals another field of the same row, e.g. {"Pricebook2Id":"Price_Book__c"}.
+ *
+ * Examples:
+ *   {"jellyfish_line_item__c":{"object_label":"Product","object_api_name":"Product__c","lookup_object":"Product2","lookup_field":"ProductCode,Name"}}
+ *   {"jellyfish_line_item__c":{"object_label":"Price Book","object_api_name":"Price_Book__c","lookup_object":"Pricebook2","lookup_field":"Name"}}
+ *   {"jellyfish_line_item__c":{"object_label":"SKU","object_api_name":"Price_Book_Entry__c","lookup_object":"PricebookEntry","lookup_field":"Product2.ProductCode","lookup_scope":{"Pricebook2Id":"Price_Book__c"}}}
+ *
+ * Cells that already hold an Id of the lookup object are kept as they are.
+ */
+
+// Maximum number of values per IN list, to keep each query well under the SOQL length limit.
+var LOOKUP_BATCH_SIZE = 200;
+
+// Candidate records fetched during this execution: lookupCache[object|fields|scopeFields][lower-case value] = [records].
+var lookupCache = {};
+
+/**
+ * Replaces the values of lookup columns in table.records with the matching record Ids.
+ * Lookups without a scope are resolved first, so a scope may refer to another lookup column.
+ *
+ * @param {Spreadsheet} ss - The spreadsheet (for logging).
+ * @param {Object} table - The input table, as built by buildInputTable().
+ * @throws {Error} Listing, by sheet row and column, every value that matched no record or several.
+ */
+function resolveLookups(ss, table) {
+  var lookupColumns = table.columns.filter(function(column) {
+    return column.mapping.lookup_object;
+  });
+  if (lookupColumns.length === 0) {
+    return;
+  }
+  lookupColumns.sort(function(a, b) {
+    return (a.mapping.lookup_scope ? 1 : 0) - (b.mapping.lookup_scope ? 1 : 0);
+  });
+
+  var problems = [];
+  lookupColumns.forEach(function(column) {
+    problems = problems.concat(resolveLookupColumn(ss, table, column));
+  });
+
+  if (problems.length > 0) {
+    var report = "Could not resolve " + problems.length + " lookup value(s):\n" + formatRecordProblems(problems);
+    logError(ss, report);
+    throw new Error(report);
+  }
+}
+
+/**
+ * Resolves one lookup column in place.
+ *
+ * @returns {Array<Object>} Problems as { row, column, field, message }.
+ */
+function resolveLookupColumn(ss, table, column) {
+  var mapping = column.mapping;
+  var object = mapping.lookup_object;
+  var matchFields = toValueList(mapping.lookup_field);
+  var scope = mapping.lookup_scope ? toValueMap(mapping.lookup_scope) : {};
+  var scopeFields = Object.keys(scope);
+  var keyPrefix = describeSObject(object).keyPrefix;
+
+  // Collect the values that still need a query.
+  var pending = [];
+  table.records.forEach(function(record) {
+    var value = lookupCellValue(record, column);
+    if (value === "" || isRecordIdOf(value, keyPrefix)) return;
+    if (pending.indexOf(value) === -1) pending.push(value);
+  });
+  var candidates = fetchLookupCandidates(object, matchFields, scopeFields, pending);
+  logMessage(ss, "Lookup " + column.label + " -> " + object + " (" + matchFields.join(", ") + "): " +
+    pending.length + " distinct value(s).");
+
+  var problems = [];
+  table.records.forEach(function(record, index) {
+    var value = lookupCellValue(record, column);
+    if (value === "" || isRecordIdOf(value, keyPrefix)) return;
+
+    var matches = (candidates[value.toLowerCase()] || []).filter(function(candidate) {
+      return scopeFields.every(function(scopeField) {
+        return sameRecordId(readFieldPath(candidate, scopeField), readRecordField(record, scope[scopeField]));
+      });
+    });
+    var ids = matches.map(function(match) { return match.Id; }).filter(function(id, i, all) {
+      return all.indexOf(id) === i;
+    });
+
+    var problem = { row: table.rowNumbers[index], column: column.label, field: column.api, message: null };
+    if (ids.length === 1) {
+      writeRecordField(record, column, ids[0]);
+    } else if (ids.length === 0) {
+      problem.message = JSON.stringify(value) + " matches no " + object + " by " + matchFields.join(" or ") +
+        (scopeFields.length ? " within " + scopeFields.map(function(f) { return f + " = " + scope[f]; }).join(", ") : "") + ".";
+      problems.push(problem);
+    } else {
+      problem.message = JSON.stringify(value) + " matches " + ids.length + " " + object + " records (" +
+        ids.slice(0, 3).join(", ") + (ids.length > 3 ? ", ..." : "") + "); use a more specific value or the record Id.";
+      problems.push(problem);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Queries the records of an object whose match fields equal any of the values, in batches,
+ * reusing results already fetched during this execution.
+ *
+ * @returns {Object} Candidate records keyed by lower-case matched value.
+ */
+function fetchLookupCandidates(object, matchFields, scopeFields, values) {
+  var cacheKey = [object, matchFields.join(","), scopeFields.join(",")].join("|");
+  var cache = lookupCache[cacheKey] || (lookupCache[cacheKey] = {});
+
+  var missing = values.filter(function(value) {
+    return !cache.hasOwnProperty(value.toLowerCase());
+  });
+  for (var start = 0; start < missing.length; start += LOOKUP_BATCH_SIZE) {
+    var batch = missing.slice(start, start + LOOKUP_BATCH_SIZE);
+    batch.forEach(function(value) {
+      cache[value.toLowerCase()] = [];
+    });
+
+    var selectFields = ["Id"].concat(matchFields, scopeFields).filter(function(field, i, all) {
+      return all.indexOf(field) === i;
+    });
+    var soql = buildSoql(
+      "SELECT " + soqlFieldList(selectFields) + " FROM " + soqlFieldList([object]) + " WHERE " +
+      matchFields.map(function(field) { return soqlFieldList([field]) + " IN :values"; }).join(" OR "),
+      { values: batch }
+    );
+    var result = getSalesforceClient().query(soql);
+    if (!result || !result.records) {
+      throw new Error("Lookup query on " + object + " failed: " + JSON.stringify(result));
+    }
+
+    result.records.forEach(function(candidate) {
+      matchFields.forEach(function(field) {
+        var matched = readFieldPath(candidate, field);
+        if (matched === null || matched === undefined) return;
+        var key = String(matched).toLowerCase();
+        if (cache.hasOwnProperty(key) && cache[key].indexOf(candidate) === -1) {
+          cache[key].push(candidate);
+        }
+      });
+    });
+  }
+  return cache;
+}
+
+/**
+ * Reads a lookup column's value from a record built by buildInputTable(), as trimmed text.
+ */
+function lookupCellValue(record, column) {
+  var value = readRecordField(record, column.api);
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+/**
+ * Reads a field from a built record or a query result, whether it sits at the top level or under its
+ * group. Field names are compared ignoring case: query results keep Salesforce's spelling of field
+ * names, while mappings and business rules may use another case.
+ */
+function readRecordField(record, api) {
+  var key = findRecordKey(record, api);
+  if (key !== null) {
+    return record[key];
+  }
+  for (var group in record) {
+    if (group !== "attributes" && isPlainObject(record[group]) && (key = findRecordKey(record[group], api)) !== null) {
+      return record[group][key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the key of an object that names a field, preferring the exact spelling, or null.
+ */
+function findRecordKey(record, api) {
+  if (record.hasOwnProperty(api)) {
+    return api;
+  }
+  var lower = String(api).toLowerCase();
+  for (var key in record) {
+    if (record.hasOwnProperty(key) && key.toLowerCase() === lower) {
+      return key;
+    }
+  }
+  return null;
+}
+
+function writeRecordField(record, column, value) {
+  if (isPlainObject(record[column.group]) && record[column.group].hasOwnProperty(column.api)) {
+    record[column.group][column.api] = value;
+  } else {
+    record[column.api] = value;
+  }
+}
+
+/**
+ * Follows a relationship path such as "Product2.ProductCode" in a query result record.
+ */
+function readFieldPath(record, path) {
+  return path.split(".").reduce(function(value, part) {
+    return value === null || value === undefined ? value : value[part];
+  }, record);
+}
+
+function isRecordIdOf(value, keyPrefix) {
+  try {
+    validateSalesforceId(value);
+  } catch (e) {
+    return false;
+  }
+  return !keyPrefix || value.slice(0, 3) === keyPrefix;
+}
+
+/**
+ * Compares Ids regardless of their 15- or 18-character form.
+ */
+function sameRecordId(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return String(a).slice(0, 15) === String(b).trim().slice(0, 15);
+}
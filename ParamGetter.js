@@ -5,15 +5,14 @@
  * For example:
  *   {"Input Sheet":{"Name":"Test Opp"}}
  *   {"Table Header Row":{"Name":1}}
- *   {"oli":{"object_label":"Opportunity","object_api_name":"Opportunity__c"}}
- *   {"oli":{"object_label":"Product","object_api_name":"Product__c"}}
- *   {"un":{"object_label":"Customer ID","object_api_name":"Customer_ID__c"}}
- *   {"un":{"object_label":"Customer Name","object_api_name":"Customer_Name__c"}}
+ *   {"jellyfish_line_item__c":{"object_label":"Opportunity","object_api_name":"opportunity_id__c"}}
+ *   {"jellyfish_line_item__c":{"object_label":"Product","object_api_name":"Product__c"}}
+ *   {"jellyfish_line_item__c":{"object_label":"Quantity","object_api_name":"Quantity__c"}}
+ *
+ * The allowed settings and mapping groups are declared in PARAMETER_SCHEMA (ParamValidator.js).
  *
  * The function works as follows:
- *   - It first reads all rows from column A.
- *   - It checks whether the first row is a header row by attempting to parse its cell.
- *     If it fails, it assumes that row 1 is a header and starts processing from row 2.
+ *   - It reads the rows with readParameterRows(), which skips a non-JSON header row.
  *   - For each parsed JSON object, it iterates over its top-level keys.
  *     If a key already exists in the resulting dictionary:
  *       - If its value is not already an array, convert it to an array.
@@ -25,6 +24,54 @@
 function loadParametersFromJson(ss) {
   logMessage(ss,"Starting loadParametersFromJson()", ss);
   
+  var rows = readParameterRows(ss);
+  var params = {};
+  
+  // Process each parsed row in sheet order.
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i].error) {
+      logMessage(ss,"Error parsing JSON at row " + rows[i].row + ": " + rows[i].error);
+      throw new Error("Error parsing JSON at row " + rows[i].row + ": " + rows[i].error);
+    }
+    var parsed = rows[i].parsed;
+    
+    // For each top-level key in the parsed object:
+    for (var key in parsed) {
+      var value = parsed[key];
+      // If the key already exists, aggregate it.
+      if (params.hasOwnProperty(key)) {
+        if (!Array.isArray(params[key])) {
+          // Convert to array if it isn't already.
+          params[key] = [ params[key] ];
+        }
+        params[key].push(value);
+        // logMessage(ss,"Appended parameter for key '" + key + "': " + JSON.stringify(value));
+      } else {
+        // Otherwise, set it directly.
+        params[key] = value;
+        // logMessage(ss,"Added parameter: '" + key + "' -> " + JSON.stringify(value));
+      }
+    }
+  }
+  
+  logMessage(ss,"Finished loadParametersFromJson(). Final parameters: " + JSON.stringify(params));
+  configureLogging(params);
+  configureSalesforceProfile(params);
+  configureTargetObject(params);
+  return params;
+}
+
+/**
+ * Reads the non-blank rows of the "JF_SCRIPT_PARAMS" sheet without aggregating them.
+ *
+ * A first row that does not parse as JSON is treated as a header row and skipped.
+ * Rows that fail to parse are returned with an error instead of throwing, so that
+ * validateParameters() can report every problem at once.
+ *
+ * @returns {Array<Object>} One entry per non-blank row: { row, text, parsed, error },
+ *   where row is the 1-based sheet row number.
+ */
+function readParameterRows(ss) {
   var sheet = ss.getSheetByName("JF_SCRIPT_PARAMS");
   if (!sheet) {
     logMessage(ss,"Sheet 'JF_SCRIPT_PARAMS' not found.");
@@ -53,9 +100,7 @@ function loadParametersFromJson(ss) {
     startRow = 1;
   }
   
-  var params = {};
-  
-  // Process each row from startRow onward.
+  var rows = [];
   for (var i = startRow; i < data.length; i++) {
     var cellValue = String(data[i][0]).trim();
     if (!cellValue) {
@@ -63,36 +108,15 @@ function loadParametersFromJson(ss) {
       continue;
     }
     
+    var entry = { row: i + 1, text: cellValue, parsed: null, error: null };
     try {
-      var parsed = JSON.parse(cellValue);
-      // logMessage(ss,"Parsed JSON at row " + (i + 1) + ": " + JSON.stringify(parsed));
-      
-      // For each top-level key in the parsed object:
-      for (var key in parsed) {
-        var value = parsed[key];
-        // If the key already exists, aggregate it.
-        if (params.hasOwnProperty(key)) {
-          if (!Array.isArray(params[key])) {
-            // Convert to array if it isn't already.
-            params[key] = [ params[key] ];
-          }
-          params[key].push(value);
-          // logMessage(ss,"Appended parameter for key '" + key + "': " + JSON.stringify(value));
-        } else {
-          // Otherwise, set it directly.
-          params[key] = value;
-          // logMessage(ss,"Added parameter: '" + key + "' -> " + JSON.stringify(value));
-        }
-      }
+      entry.parsed = JSON.parse(cellValue);
     } catch (e) {
-      logMessage(ss,"Error parsing JSON at row " + (i + 1) + ": " + e.message);
-      throw new Error("Error parsing JSON at row " + (i + 1) + ": " + e.message);
+      entry.error = e.message;
     }
+    rows.push(entry);
   }
-  
-  logMessage(ss,"Finished loadParametersFromJson(). Final parameters: " + JSON.stringify(params));
-  flushLogs(ss);
-  return params;
+  return rows;
 }
 
 /**
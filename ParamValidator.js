@@ -0,0 +1,538 @@
+/**
+ * Declared schema for the rows of the "JF_SCRIPT_PARAMS" sheet.
+ *
+ * Each row holds a JSON object whose top-level key is either:
+ *   - a setting (e.g. "Input Sheet"), which may appear at most once,
+ *   - a rule group ("Business Rule"), which may appear once per rule, or
+ *   - a mapping group, which maps one input sheet column to one Salesforce field and may appear
+ *     once per column. Any other key holding a mapping object is a mapping group, so the names are
+ *     free ("jellyfish_line_item__c", or "oli" and "un" in older sheets).
+ *
+ * For every key inside a row, "type" names an entry in PARAMETER_TYPE_CHECKS and
+ * "required" marks keys that must be present. Keys that are not declared are reported,
+ * so typos such as "object_api_nam" do not pass silently.
+ */
+var PARAMETER_SCHEMA = {
+  settings: {
+    "Input Sheet": {
+      required: true,
+      keys: { Name: { type: "string", required: true } }
+    },
+    "Table Header Row": {
+      required: true,
+      keys: { Name: { type: "positiveInteger", required: true } }
+    },
+    // Logging (see Logging.js).
+    "Log Level": {
+      keys: { Name: { type: "logLevel", required: true } }
+    },
+    "Log Max Rows": {
+      keys: { Name: { type: "positiveInteger", required: true } }
+    },
+    "Redact Fields": {
+      keys: { Name: { type: "fieldList", required: true } }
+    },
+    // Where the data ends (see DATA_END_RULES in Jellyfish Line Item Prepper.js).
+    "Data End": {
+      keys: {
+        Name: { type: "dataEndRule", required: true },
+        header: { type: "string" },
+        value: { type: "string" },
+        range: { type: "string" }
+      }
+    },
+    // Delta syncs (see SYNC_MODES in Jellyfish Line Item Writer.gs.js).
+    "Sync Mode": {
+      keys: { Name: { type: "syncMode", required: true } }
+    },
+    // Synced object (see configureTargetObject in SalesforceHelpers.js).
+    "Target Object": {
+      keys: {
+        Name: { type: "apiName", required: true },
+        parent_object: { type: "parentObject" },
+        parent_field: { type: "apiName" },
+        active_field: { type: "apiName" },
+        version_field: { type: "apiName" },
+        match_fields: { type: "fieldList" },
+        total_fields: { type: "fieldList" }
+      }
+    },
+    // Connection profile (see getProfileSettings in SalesforceClient.js).
+    "Salesforce Profile": {
+      keys: { Name: { type: "profileName", required: true } }
+    }
+  },
+  // The mapping group of rows written by the mapping wizard when the sheet has no mappings yet.
+  defaultMappingGroup: "jellyfish_line_item__c",
+  // Business rules (see BusinessRules.js), which may appear once per rule.
+  ruleGroups: ["Business Rule"],
+  rule: {
+    rule: { type: "ruleKind", required: true },
+    field: { type: "apiName" },
+    min: { type: "numberOrField" },
+    max: { type: "numberOrField" },
+    pattern: { type: "pattern" },
+    start_field: { type: "apiName" },
+    end_field: { type: "apiName" },
+    group_by: { type: "fieldList" },
+    severity: { type: "severity" },
+    message: { type: "string" }
+  },
+  mapping: {
+    // Optional for constants and expressions, which read no column (see validateParameterRows).
+    object_label: { type: "string" },
+    object_api_name: { type: "apiName", required: true },
+    // Header matching (see findHeaderColumn in Jellyfish Line Item Prepper.js).
+    aliases: { type: "valueList" },
+    column: { type: "columnLetter" },
+    // Field types and transforms (see FieldTypes.js).
+    type: { type: "fieldType" },
+    max_length: { type: "positiveInteger" },
+    values: { type: "valueList" },
+    trim: { type: "boolean" },
+    upper: { type: "boolean" },
+    value_map: { type: "valueMap" },
+    scale: { type: "number" },
+    round: { type: "nonNegativeInteger" },
+    // Lookups (see LookupResolver.js).
+    lookup_object: { type: "apiName" },
+    lookup_field: { type: "fieldList" },
+    lookup_scope: { type: "valueMap" },
+    // The key column of delta syncs.
+    external_id: { type: "boolean" },
+    // Defaults, constants and expressions (see ComputedFields.js).
+    default: { type: "scalar" },
+    constant: { type: "scalar" },
+    expression: { type: "expression" }
+  }
+};
+
+/**
+ * Type checks used by PARAMETER_SCHEMA. Each returns null when the value is valid,
+ * otherwise a short description of what was expected.
+ */
+var PARAMETER_TYPE_CHECKS = {
+  string: function(value) {
+    return typeof value === "string" && value.trim() !== "" ? null : "must be a non-empty string";
+  },
+  positiveInteger: function(value) {
+    return typeof value === "number" && value > 0 && Math.floor(value) === value ? null :
+      "must be a positive whole number (without quotes)";
+  },
+  nonNegativeInteger: function(value) {
+    return typeof value === "number" && value >= 0 && Math.floor(value) === value ? null :
+      "must be a whole number of 0 or more (without quotes)";
+  },
+  logLevel: function(value) {
+    return typeof value === "string" && LOG_LEVELS.hasOwnProperty(value.toLowerCase()) ? null :
+      "must be one of " + Object.keys(LOG_LEVELS).join(", ");
+  },
+  parentObject: function(value) {
+    return typeof value === "string" && (SF_KEY_PREFIXES.hasOwnProperty(value) || /^[A-Za-z0-9]{3}$/.test(value)) ? null :
+      "must be one of " + Object.keys(SF_KEY_PREFIXES).join(", ") + " or a 3-character Id prefix such as 0Q0";
+  },
+  dataEndRule: function(value) {
+    return typeof value === "string" && DATA_END_RULES.indexOf(value.trim().toLowerCase()) !== -1 ? null :
+      "must be one of " + DATA_END_RULES.join(", ");
+  },
+  columnLetter: function(value) {
+    return typeof value === "string" && /^[A-Za-z]{1,3}$/.test(value.trim()) ? null :
+      "must be a column letter such as C";
+  },
+  syncMode: function(value) {
+    return typeof value === "string" && SYNC_MODES.indexOf(value.trim().toLowerCase()) !== -1 ? null :
+      "must be one of " + SYNC_MODES.join(", ");
+  },
+  profileName: function(value) {
+    return typeof value === "string" && /^[A-Za-z][A-Za-z0-9_]*$/.test(value.trim()) ? null :
+      "must be a profile name such as sandbox (letters, digits and underscores)";
+  },
+  ruleKind: function(value) {
+    return typeof value === "string" && BUSINESS_RULE_KEYS.hasOwnProperty(value.trim().toLowerCase()) ? null :
+      "must be one of " + Object.keys(BUSINESS_RULE_KEYS).join(", ");
+  },
+  severity: function(value) {
+    return typeof value === "string" && BUSINESS_RULE_SEVERITIES.indexOf(value.trim().toLowerCase()) !== -1 ? null :
+      "must be one of " + BUSINESS_RULE_SEVERITIES.join(", ");
+  },
+  numberOrField: function(value) {
+    return (typeof value === "number" && isFinite(value)) ||
+      (typeof value === "string" && /^[A-Za-z][A-Za-z0-9_]*$/.test(value.trim())) ? null :
+      "must be a number (without quotes) or a field API name such as List_Price__c";
+  },
+  pattern: function(value) {
+    if (typeof value !== "string" || value === "") {
+      return "must be a regular expression such as [A-Z]{3}-\\d+";
+    }
+    try {
+      new RegExp(value);
+      return null;
+    } catch (e) {
+      return "is not a valid regular expression: " + e.message;
+    }
+  },
+  scalar: function(value) {
+    return value === null || ["string", "number", "boolean"].indexOf(typeof value) !== -1 ? null :
+      "must be text, a number, true, false or null";
+  },
+  expression: function(value) {
+    if (typeof value !== "string" || value.trim() === "") {
+      return "must be an expression such as Quantity__c * Sales_Price__c";
+    }
+    try {
+      parseExpression(value);
+      return null;
+    } catch (e) {
+      return "is not a valid expression: " + e.message;
+    }
+  },
+  number: function(value) {
+    return typeof value === "number" && isFinite(value) ? null : "must be a number (without quotes)";
+  },
+  boolean: function(value) {
+    return typeof value === "boolean" ? null : "must be true or false (without quotes)";
+  },
+  apiName: function(value) {
+    return typeof value === "string" && /^[A-Za-z][A-Za-z0-9_]*$/.test(value.trim()) ? null :
+      "must be a Salesforce API name such as Quantity__c";
+  },
+  fieldList: function(value) {
+    return typeof value === "string" && toValueList(value).length > 0 && toValueList(value).every(function(field) {
+      return /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/.test(field);
+    }) ? null : "must be one or more comma-separated field names such as ProductCode,Name";
+  },
+  fieldType: function(value) {
+    return FIELD_TYPE_CONVERTERS.hasOwnProperty(value) ? null :
+      "must be one of: " + Object.keys(FIELD_TYPE_CONVERTERS).join(", ");
+  },
+  valueList: function(value) {
+    return Array.isArray(value) || (typeof value === "string" && value.trim() !== "") ? null :
+      "must be a list of values or a comma-separated string";
+  },
+  valueMap: function(value) {
+    try {
+      return isPlainObject(toValueMap(value)) ? null : "must be an object such as {\"Yes\":true}";
+    } catch (e) {
+      return "must be an object such as {\"Yes\":true}";
+    }
+  }
+};
+
+/**
+ * Mapping keys that only make sense for a column, so constants and expressions cannot have them.
+ */
+var COMPUTED_EXCLUDED_KEYS = ["aliases", "column", "default", "lookup_object", "lookup_field", "lookup_scope"];
+
+/**
+ * The "Data End" key each rule needs (see DATA_END_RULES).
+ */
+var DATA_END_KEYS = { key_column: "header", sentinel: "value", named_range: "range" };
+
+// Column of JF_SCRIPT_PARAMS that holds the validator's messages, next to the JSON in column A.
+var PARAMS_PROBLEM_COLUMN = 2;
+// Document property listing the rows that hold a message (see writeParameterProblems).
+var PARAMS_PROBLEM_ROWS_PROPERTY = "JF_PARAMS_PROBLEM_ROWS";
+
+var PARAMS_PROBLEM_BACKGROUND = "#f4cccc";
+var PARAMS_WARNING_BACKGROUND = "#fff2cc";
+
+// Mapped fields whose name suggests a percentage (see findParameterWarnings).
+var PERCENT_FIELD_PATTERN = /discount|percent/i;
+
+/**
+ * validateParameters(ss)
+ *
+ * Checks every row of the "JF_SCRIPT_PARAMS" sheet against PARAMETER_SCHEMA and reports
+ * the problems on the sheet itself: column B of each offending row describes the problems,
+ * on a red background. Messages from a previous run are cleared.
+ * Problems that do not belong to a row (such as a missing setting) are written next to row 1.
+ * Warnings (see findParameterWarnings) are written the same way on a yellow background and
+ * do not make the parameters invalid.
+ *
+ * @returns {Object} { valid: Boolean, problems: [{ row, message }], warnings: [{ row, message }] },
+ *   row being the sheet row (or null).
+ */
+function validateParameters(ss) {
+  beginLogRun(ss);
+  try {
+    var rows = readParameterRows(ss);
+    var problems = validateParameterRows(rows);
+    var warnings = findParameterWarnings(rows);
+
+    writeParameterProblems(ss, problems, warnings);
+
+    if (problems.length === 0) {
+      logInfo(ss, "JF_SCRIPT_PARAMS passed validation (" + rows.length + " rows).");
+    } else {
+      logWarn(ss, "JF_SCRIPT_PARAMS has " + problems.length + " problem(s):\n" + formatParameterProblems(problems));
+    }
+    if (warnings.length > 0) {
+      logWarn(ss, "JF_SCRIPT_PARAMS has " + warnings.length + " warning(s):\n" + formatParameterProblems(warnings));
+    }
+    return { valid: problems.length === 0, problems: problems, warnings: warnings };
+  } finally {
+    endLogRun(ss);
+  }
+}
+
+/**
+ * Loads the parameters after validating them, so that a sync stops before reading the
+ * input sheet instead of failing partway through.
+ *
+ * @returns {Object} The parameters, as returned by loadParametersFromJson().
+ */
+function loadValidatedParameters(ss) {
+  var result = validateParameters(ss);
+  if (!result.valid) {
+    throw new Error("JF_SCRIPT_PARAMS is invalid:\n" + formatParameterProblems(result.problems));
+  }
+  return loadParametersFromJson(ss);
+}
+
+/**
+ * Validates parsed parameter rows against PARAMETER_SCHEMA.
+ *
+ * @param {Array<Object>} rows - Rows as returned by readParameterRows().
+ * @returns {Array<Object>} The problems found, as { row, message }.
+ */
+function validateParameterRows(rows) {
+  var problems = [];
+  var settingRows = {};
+  var labelRows = {};
+  var apiNameRows = {};
+  var externalIdRows = [];
+  var syncMode = "revision";
+
+  rows.forEach(function(entry) {
+    var report = function(message) {
+      problems.push({ row: entry.row, message: message });
+    };
+
+    if (entry.error) {
+      report("Not valid JSON: " + entry.error);
+      return;
+    }
+    if (!isPlainObject(entry.parsed) || Object.keys(entry.parsed).length === 0) {
+      report("Expected a JSON object such as {\"Input Sheet\":{\"Name\":\"Quote\"}}.");
+      return;
+    }
+
+    for (var key in entry.parsed) {
+      var value = entry.parsed[key];
+
+      if (PARAMETER_SCHEMA.settings.hasOwnProperty(key)) {
+        if (settingRows.hasOwnProperty(key)) {
+          report("Duplicate setting '" + key + "' (already defined on row " + settingRows[key] + ").");
+          continue;
+        }
+        settingRows[key] = entry.row;
+        validateParameterKeys(key, value, PARAMETER_SCHEMA.settings[key].keys).forEach(report);
+        if (key === "Sync Mode" && isPlainObject(value) && typeof value.Name === "string") {
+          syncMode = value.Name.trim().toLowerCase();
+        }
+        if (key === "Data End" && isPlainObject(value) && typeof value.Name === "string") {
+          var dataEndKey = DATA_END_KEYS[value.Name.trim().toLowerCase()];
+          if (dataEndKey && (typeof value[dataEndKey] !== "string" || value[dataEndKey].trim() === "")) {
+            report("Data End '" + value.Name.trim() + "' needs '" + dataEndKey + "'.");
+          }
+        }
+
+      } else if (isMappingGroup(key) && isPlainObject(value) && Object.keys(value).some(isMappingKey)) {
+        var mappingProblems = validateParameterKeys(key, value, PARAMETER_SCHEMA.mapping);
+        mappingProblems.forEach(report);
+        if (mappingProblems.length > 0) {
+          continue;
+        }
+
+        if (isComputedMapping(value)) {
+          if (value.constant !== undefined && value.expression !== undefined) {
+            report("'" + key + "' can have a 'constant' or an 'expression', not both.");
+          }
+          COMPUTED_EXCLUDED_KEYS.forEach(function(excluded) {
+            if (value[excluded] !== undefined) {
+              report("'" + key + "' with a constant or expression reads no column, so it cannot have '" + excluded + "'.");
+            }
+          });
+        } else if (value.object_label === undefined) {
+          report("'" + key + "' is missing required key 'object_label'.");
+          continue;
+        }
+
+        if (!value.lookup_object !== !value.lookup_field) {
+          report("'" + key + "' lookups need both 'lookup_object' and 'lookup_field'.");
+        }
+        if (value.lookup_scope && !value.lookup_object) {
+          report("'" + key + "' has 'lookup_scope' without 'lookup_object'.");
+        }
+        if (value.external_id === true) {
+          if (externalIdRows.length > 0) {
+            report("Only one column can be the external_id (already set on row " + externalIdRows[0] + ").");
+          }
+          externalIdRows.push(entry.row);
+        }
+
+        // Compared the way headers are matched, ignoring case and extra whitespace (see findHeaderColumn).
+        var label = String(value.object_label || value.object_api_name).trim();
+        var labelKey = normalizeHeader(label);
+        if (labelRows.hasOwnProperty(labelKey)) {
+          report("Duplicate column label '" + label + "' (already mapped on row " + labelRows[labelKey] + ").");
+        } else {
+          labelRows[labelKey] = entry.row;
+        }
+
+        var apiKey = key + "." + value.object_api_name.trim();
+        if (apiNameRows.hasOwnProperty(apiKey)) {
+          report("Field '" + value.object_api_name + "' is mapped twice in group '" + key +
+            "' (already mapped on row " + apiNameRows[apiKey] + ").");
+        } else {
+          apiNameRows[apiKey] = entry.row;
+        }
+
+      } else if (PARAMETER_SCHEMA.ruleGroups.indexOf(key) !== -1) {
+        var ruleProblems = validateParameterKeys(key, value, PARAMETER_SCHEMA.rule);
+        ruleProblems.forEach(report);
+        if (ruleProblems.length > 0) {
+          continue;
+        }
+        var kind = value.rule.trim().toLowerCase();
+        BUSINESS_RULE_KEYS[kind].forEach(function(needed) {
+          if (value[needed] === undefined) {
+            report("'" + key + "' rule '" + kind + "' needs '" + needed + "'.");
+          }
+        });
+        if (kind === "range" && value.min === undefined && value.max === undefined) {
+          report("'" + key + "' rule 'range' needs 'min', 'max' or both.");
+        }
+
+      } else {
+        report("Unknown parameter '" + key + "'. Expected one of: " +
+          Object.keys(PARAMETER_SCHEMA.settings).concat(PARAMETER_SCHEMA.ruleGroups).join(", ") +
+          ", or a mapping group such as {\"" + key + "\":{\"object_label\":\"Quantity\",\"object_api_name\":\"Quantity__c\"}}.");
+      }
+    }
+  });
+
+  if (syncMode === "delta" && externalIdRows.length === 0) {
+    problems.push({ row: settingRows["Sync Mode"], message: "Sync Mode 'delta' needs a column mapping with \"external_id\": true." });
+  }
+
+  for (var setting in PARAMETER_SCHEMA.settings) {
+    if (PARAMETER_SCHEMA.settings[setting].required && !settingRows.hasOwnProperty(setting)) {
+      problems.push({ row: null, message: "Missing required setting '" + setting + "'." });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Finds mappings that are valid but probably not what was meant. Currently: a column mapped to a
+ * discount or percent field without "type": "percent" (or a "scale"). Sheets store 15% as 0.15, and
+ * before mappings had types, Sales_Discount__c was multiplied by 100 for every sheet; such a mapping
+ * now sends 0.15 instead of 15.
+ *
+ * @param {Array<Object>} rows - Rows as returned by readParameterRows().
+ * @returns {Array<Object>} The warnings, as { row, message }.
+ */
+function findParameterWarnings(rows) {
+  var warnings = [];
+  rows.forEach(function(entry) {
+    if (entry.error || !isPlainObject(entry.parsed)) return;
+    Object.keys(entry.parsed).filter(isMappingGroup).forEach(function(group) {
+      var value = entry.parsed[group];
+      if (!isPlainObject(value) || typeof value.object_api_name !== "string" || isComputedMapping(value)) return;
+      if (PERCENT_FIELD_PATTERN.test(value.object_api_name) && value.type !== "percent" && value.scale === undefined) {
+        warnings.push({ row: entry.row, message: "'" + group + "' maps " + value.object_api_name +
+          " without \"type\": \"percent\", so a cell showing 15% is sent as 0.15. Add \"type\": \"percent\" " +
+          "to send 15 (discounts are no longer multiplied by 100 without it)." });
+      }
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Checks one parameter value against its declared keys.
+ *
+ * @returns {Array<String>} Problem messages.
+ */
+function validateParameterKeys(kind, value, keySchema) {
+  if (!isPlainObject(value)) {
+    return ["'" + kind + "' must be an object of key/value pairs."];
+  }
+  var messages = [];
+  for (var key in keySchema) {
+    if (keySchema[key].required && !value.hasOwnProperty(key)) {
+      messages.push("'" + kind + "' is missing required key '" + key + "'.");
+    }
+  }
+  for (var present in value) {
+    if (!keySchema.hasOwnProperty(present)) {
+      messages.push("'" + kind + "' has unknown key '" + present + "'. Allowed keys: " +
+        Object.keys(keySchema).join(", ") + ".");
+      continue;
+    }
+    var problem = PARAMETER_TYPE_CHECKS[keySchema[present].type](value[present]);
+    if (problem) {
+      messages.push("'" + kind + "." + present + "' " + problem + " (got " + JSON.stringify(value[present]) + ").");
+    }
+  }
+  return messages;
+}
+
+/**
+ * Tells whether a top-level parameter key names a mapping group: any key that is neither a setting
+ * nor a rule group.
+ */
+function isMappingGroup(key) {
+  return !PARAMETER_SCHEMA.settings.hasOwnProperty(key) && PARAMETER_SCHEMA.ruleGroups.indexOf(key) === -1;
+}
+
+function isMappingKey(key) {
+  return PARAMETER_SCHEMA.mapping.hasOwnProperty(key);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function formatParameterProblems(problems) {
+  return problems.map(function(problem) {
+    return (problem.row ? "Row " + problem.row : "Sheet") + ": " + problem.message;
+  }).join("\n");
+}
+
+/**
+ * Writes the problems (on a red background) and the warnings (on a yellow one) in column B, next to the
+ * JSON of their row; a row with both stays red. Problems that do not belong to a row go next to row 1.
+ *
+ * Only cells this function wrote are touched: the rows it wrote last time are kept in a document
+ * property and cleared first, so the user's own notes and formatting in JF_SCRIPT_PARAMS are left alone.
+ */
+function writeParameterProblems(ss, problems, warnings) {
+  var sheet = ss.getSheetByName("JF_SCRIPT_PARAMS");
+  var properties = PropertiesService.getDocumentProperties();
+  var previousRows = JSON.parse(properties.getProperty(PARAMS_PROBLEM_ROWS_PROPERTY) || "[]");
+
+  var messages = {};
+  var backgrounds = {};
+  var add = function(entry, background) {
+    var row = entry.row || 1;
+    messages[row] = messages[row] ? messages[row] + "\n" + entry.message : entry.message;
+    backgrounds[row] = background;
+  };
+  (warnings || []).forEach(function(warning) { add(warning, PARAMS_WARNING_BACKGROUND); });
+  problems.forEach(function(problem) { add(problem, PARAMS_PROBLEM_BACKGROUND); });
+
+  previousRows.forEach(function(row) {
+    if (!messages.hasOwnProperty(row)) {
+      sheet.getRange(row, PARAMS_PROBLEM_COLUMN).clearContent().setBackground(null);
+    }
+  });
+  var rows = Object.keys(messages).map(Number);
+  rows.forEach(function(row) {
+    sheet.getRange(row, PARAMS_PROBLEM_COLUMN).setValue(messages[row]).setBackground(backgrounds[row]);
+  });
+  if (rows.length > 0 || previousRows.length > 0) {
+    properties.setProperty(PARAMS_PROBLEM_ROWS_PROPERTY, JSON.stringify(rows));
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Redaction applied to every log entry before it reaches Logger or the "JF_SCRIPT_LOG" sheet
+ * (see writeLogEntry in Logging.js).
+ *
+ * - Credentials: bearer tokens, Salesforce session ids, OAuth fields (access_token, client_secret, ...)
+ *   and every value registered with registerLogSecret() are replaced by "[REDACTED]".
+ * - Sensitive fields: the values of REDACTED_LOG_FIELDS and of the fields listed in the
+ *   "Redact Fields" setting are masked, both in context objects and in JSON written into messages.
+ * - Large payloads: messages and context longer than LOG_MAX_PAYLOAD_LENGTH are shortened.
+ *
+ * Configuration (JF_SCRIPT_PARAMS):
+ *   {"Redact Fields":{"Name":"Sales_Price__c,Discount__c"}}
+ */
+
+var REDACTED = "[REDACTED]";
+
+// Keys whose values are never logged, compared case-insensitively.
+var REDACTED_LOG_FIELDS = [
+  "access_token", "refresh_token", "id_token", "client_secret", "client_assertion",
+  "assertion", "password", "authorization", "signature", "private_key"
+];
+
+var LOG_MAX_PAYLOAD_LENGTH = 5000;
+
+// Values known to be secret during this execution (tokens, client secrets), and the extra field names.
+var logSecrets = [];
+var redactedLogFields = [];
+
+/**
+ * Marks a value (e.g. a freshly issued access token) as secret, so that it is masked wherever it
+ * appears in later log entries. Short values are ignored to avoid masking ordinary words.
+ */
+function registerLogSecret(value) {
+  if (typeof value === "string" && value.length >= 8 && logSecrets.indexOf(value) === -1) {
+    logSecrets.push(value);
+  }
+}
+
+/**
+ * Adds field names whose values must not be logged (from the "Redact Fields" setting).
+ *
+ * @param {String|Array<String>} fields - Comma-separated names or an array of names.
+ */
+function configureRedaction(fields) {
+  toValueList(fields).forEach(function(field) {
+    if (redactedLogFields.indexOf(field.toLowerCase()) === -1) {
+      redactedLogFields.push(field.toLowerCase());
+    }
+  });
+}
+
+function isRedactedLogField(key) {
+  var name = String(key).toLowerCase();
+  return REDACTED_LOG_FIELDS.indexOf(name) !== -1 || redactedLogFields.indexOf(name) !== -1;
+}
+
+/**
+ * Masks credentials and sensitive field values in a piece of text, then shortens it.
+ *
+ * @param {String} text - A log message, possibly containing JSON or a URL-encoded payload.
+ * @returns {String} The redacted text.
+ */
+function redactLogText(text) {
+  var redacted = String(text);
+
+  logSecrets.forEach(function(secret) {
+    redacted = redacted.split(secret).join(REDACTED);
+  });
+  // Authorization headers and Salesforce session ids (00D... org id, "!", token).
+  redacted = redacted.replace(/(Bearer\s+)[A-Za-z0-9._~+\/=!-]+/gi, "$1" + REDACTED);
+  redacted = redacted.replace(/\b00D[A-Za-z0-9]{12,15}![A-Za-z0-9._-]+/g, REDACTED);
+
+  // "field": value in JSON, and field=value in URL-encoded payloads.
+  var fields = REDACTED_LOG_FIELDS.concat(redactedLogFields).map(function(field) {
+    return field.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }).join("|");
+  redacted = redacted.replace(
+    new RegExp('("(?:' + fields + ')"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\]\\s]+)', "gi"),
+    '$1"' + REDACTED + '"'
+  );
+  redacted = redacted.replace(new RegExp("\\b((?:" + fields + ")=)[^&\\s]+", "gi"), "$1" + REDACTED);
+
+  return shortenLogText(redacted);
+}
+
+/**
+ * Returns a copy of a context value with sensitive keys masked and strings redacted.
+ */
+function redactLogValue(value) {
+  if (typeof value === "string") {
+    return redactLogText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactLogValue);
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    var copy = {};
+    for (var key in value) {
+      if (value.hasOwnProperty(key)) {
+        copy[key] = isRedactedLogField(key) ? REDACTED : redactLogValue(value[key]);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Shortens text beyond LOG_MAX_PAYLOAD_LENGTH, keeping the start and saying how much was dropped.
+ */
+function shortenLogText(text) {
+  if (text.length <= LOG_MAX_PAYLOAD_LENGTH) {
+    return text;
+  }
+  return text.slice(0, LOG_MAX_PAYLOAD_LENGTH) + "... [" + (text.length - LOG_MAX_PAYLOAD_LENGTH) + " more characters]";
+}
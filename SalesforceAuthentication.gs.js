@@ -1,59 +1,129 @@
+/**
+ * Returns an access token for the Salesforce org of the selected profile, reusing the shared client's cached token.
+ * @returns {String} The access token.
+ */
 function getSalesforceAccessToken() {
-  const props = PropertiesService.getScriptProperties();
-  
-  // Retrieve Salesforce credentials from Script Properties
-  const instanceUrl   = props.getProperty('SF_INSTANCE_URL');      // e.g., "https://myDomain.my.salesforce.com"
-  const clientId      = props.getProperty('SF_CLIENT_ID');         // Consumer Key
-  const clientSecret  = props.getProperty('SF_CLIENT_SECRET');     // Consumer Secret
+  return getSalesforceClient().getAccessToken();
+}
+
+// Salesforce rejects JWT bearer assertions that expire more than 3 minutes from now.
+const SF_JWT_LIFETIME_SECONDS = 180;
+const SF_DEFAULT_JWT_AUDIENCE = 'https://login.salesforce.com';
+
+/**
+ * The supported OAuth flows, chosen with the SF_AUTH_FLOW property (SF_<PROFILE>_AUTH_FLOW for a
+ * profile, see getProfileSettings); client_credentials is the default. Each builds the token
+ * request payload from the profile settings, reading these properties (without the SF_ prefix):
+ *
+ *   client_credentials  CLIENT_ID, CLIENT_SECRET
+ *   jwt_bearer          CLIENT_ID, USERNAME, PRIVATE_KEY (PEM; "\n" escapes are accepted) and
+ *                       optionally AUDIENCE (default https://login.salesforce.com; https://test.salesforce.com for sandboxes)
+ *   refresh_token       CLIENT_ID, REFRESH_TOKEN and, if the connected app requires it, CLIENT_SECRET
+ */
+const SF_AUTH_FLOWS = {
+  client_credentials: settings => ({
+    grant_type: 'client_credentials',
+    client_id: settings.require('CLIENT_ID'),
+    client_secret: requireSecret(settings, 'CLIENT_SECRET')
+  }),
+
+  jwt_bearer: settings => ({
+    grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+    assertion: buildJwtAssertion(settings)
+  }),
+
+  refresh_token: settings => {
+    const payload = {
+      grant_type: 'refresh_token',
+      client_id: settings.require('CLIENT_ID'),
+      refresh_token: requireSecret(settings, 'REFRESH_TOKEN')
+    };
+    if (settings.get('CLIENT_SECRET')) {
+      payload.client_secret = requireSecret(settings, 'CLIENT_SECRET');
+    }
+    return payload;
+  }
+};
+
+/**
+ * Requests a new access token from the Salesforce token endpoint, using the profile's OAuth flow.
+ * Callers should use getSalesforceAccessToken() (cached) instead of calling this directly.
+ * @param {String} instanceUrl - e.g. "https://myDomain.my.salesforce.com"
+ * @param {Object} settings - The profile settings holding the credentials (see getProfileSettings).
+ * @returns {Object} The parsed token response (access_token, instance_url, issued_at, ...).
+ * @throws {SalesforceApiError} When the endpoint cannot be reached or rejects the credentials.
+ */
+function requestSalesforceToken(instanceUrl, settings) {
+  const flow = String(settings.get('AUTH_FLOW') || 'client_credentials').trim().toLowerCase();
+  if (!SF_AUTH_FLOWS.hasOwnProperty(flow)) {
+    throw new Error('Script property ' + settings.propertyName('AUTH_FLOW') + ' must be one of ' +
+      Object.keys(SF_AUTH_FLOWS).join(', ') + ' (found "' + flow + '").');
+  }
+  // Builds the payload and registers its secrets with the redacting logger (Redaction.js).
+  const payload = SF_AUTH_FLOWS[flow](settings);
 
   // Build the token endpoint URL
-  const tokenUrl = instanceUrl + 'services/oauth2/token';
-  Logger.log('Requesting token from URL: ' + tokenUrl);
-
-  // Payload for username-password flow
-  const payload = {
-    'grant_type':    'client_credentials',
-    'client_id':     clientId,
-    'client_secret': clientSecret,
-  };
+  const tokenUrl = joinUrl(instanceUrl, 'services/oauth2/token');
+  // The token endpoint logs go through the redacting logger; there is no spreadsheet here.
+  logDebug(null, 'Requesting a ' + flow + ' token from URL: ' + tokenUrl);
 
   // Configure the request
   const options = {
     method: 'post',
-    payload: payload,
-    muteHttpExceptions: true
+    payload: payload
   };
 
-  // Make the call
-  let response;
-  try {
-    response = UrlFetchApp.fetch(tokenUrl, options);
-  } catch (e) {
-    Logger.log('Error making token request: ' + e);
-    throw new Error('Failed to reach Salesforce token endpoint: ' + e);
-  }
-  
-  // Log the HTTP status code
-  Logger.log('Response Code: ' + response.getResponseCode());
-
-  // Parse the JSON response
-  const body = response.getContentText();
-  Logger.log('Response Body: ' + body);
-  
+  // Make the call (transient failures are retried, see fetchWithRetry; a token request can be repeated safely)
   let json;
   try {
-    json = JSON.parse(body);
+    const response = fetchWithRetry(tokenUrl, options, true);
+    logDebug(null, 'Response Code: ' + response.getResponseCode());
+    json = readSalesforceResponse(response, tokenUrl, 'Failed to get access token');
   } catch (e) {
-    Logger.log('JSON parse error: ' + e);
-    throw new Error('Invalid JSON response from token request: ' + e);
+    logError(null, 'Error making token request: ' + e.message);
+    if (e instanceof SalesforceApiError && !e.status) {
+      throw new SalesforceApiError('Failed to reach Salesforce token endpoint: ' + e.message, e);
+    }
+    throw e;
   }
 
   // Check for access token
-  if (json.access_token) {
-    Logger.log('Successfully retrieved access token: ' + json.access_token);
-    return json.access_token;
-  } else {
-    Logger.log('Failed to get access token. Full response: ' + body);
-    throw new Error('Failed to get access token: ' + body);
+  if (json && json.access_token) {
+    registerLogSecret(json.access_token);
+    logInfo(null, 'Retrieved a Salesforce access token for ' + (json.instance_url || instanceUrl));
+    return json;
   }
-}
\ No newline at end of file
+  throw new SalesforceApiError('Failed to get access token: the response has no access_token',
+    { status: 200, errorCode: 'INVALID_RESPONSE', url: tokenUrl });
+}
+
+/**
+ * Reads a credential and registers it with the redacting logger before it can reach a log entry.
+ */
+function requireSecret(settings, key) {
+  const value = settings.require(key);
+  registerLogSecret(value);
+  return value;
+}
+
+/**
+ * Builds the signed assertion of the JWT bearer flow: the connected app (iss) asks for a token
+ * for the pre-authorized user (sub), signed with the private key of the app's certificate.
+ * @param {Object} settings - The profile settings (see SF_AUTH_FLOWS for the properties used).
+ * @returns {String} The assertion (header.claims.signature, base64url encoded).
+ */
+function buildJwtAssertion(settings) {
+  const privateKey = requireSecret(settings, 'PRIVATE_KEY').replace(/\\n/g, '\n');
+  const encode = data => Utilities.base64EncodeWebSafe(data).replace(/=+$/, '');
+  const encodeJson = object => encode(Utilities.newBlob(JSON.stringify(object)).getBytes());
+
+  const unsigned = encodeJson({ alg: 'RS256' }) + '.' + encodeJson({
+    iss: settings.require('CLIENT_ID'),
+    sub: settings.require('USERNAME'),
+    aud: settings.get('AUDIENCE') || SF_DEFAULT_JWT_AUDIENCE,
+    exp: Math.floor(Date.now() / 1000) + SF_JWT_LIFETIME_SECONDS
+  });
+  const assertion = unsigned + '.' + encode(Utilities.computeRsaSha256Signature(unsigned, privateKey));
+  registerLogSecret(assertion);
+  return assertion;
+}
@@ -0,0 +1,459 @@
+const SF_DEFAULT_API_VERSION = 'v58.0';
+const SF_TOKEN_CACHE_KEY = 'SF_ACCESS_TOKEN';
+// Salesforce does not report a lifetime for client-credentials tokens; stay well inside the default session timeout.
+const SF_DEFAULT_TOKEN_TTL_SECONDS = 25 * 60;
+// The composite sObject collection endpoints accept at most 200 records (or Ids) per call.
+const SF_COLLECTION_CHUNK_SIZE = 200;
+// Rate limiting (429) and server-side failures usually clear up; they are retried with exponential backoff.
+const SF_RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+// Statuses meaning the request was turned away before it was processed, so a write can be sent again.
+const SF_WRITE_RETRY_STATUS_CODES = [429, 503];
+// Methods that can be repeated without changing the outcome.
+const SF_IDEMPOTENT_METHODS = ['get', 'delete'];
+const SF_MAX_ATTEMPTS = 4;
+const SF_RETRY_BASE_DELAY_MS = 1000;
+const SF_RETRY_MAX_DELAY_MS = 16000;
+// How much of a non-JSON body (e.g. an HTML error page) is quoted in an error message.
+const SF_ERROR_BODY_PREVIEW_LENGTH = 200;
+
+/**
+ * An error returned by Salesforce (or met on the way to it).
+ *   status     the HTTP status code, or 0 when no response was received
+ *   errorCode  the Salesforce errorCode (e.g. MALFORMED_QUERY), the OAuth error (e.g. invalid_grant),
+ *              or NETWORK_ERROR, INVALID_RESPONSE or HTTP_<status> when the body does not name one
+ *   fields     the fields named by the first error
+ *   errors     every error of the response as { errorCode, message, fields }
+ */
+class SalesforceApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SalesforceApiError';
+    this.status = details.status || 0;
+    this.errorCode = details.errorCode || (this.status ? 'HTTP_' + this.status : 'NETWORK_ERROR');
+    this.fields = details.fields || [];
+    this.errors = details.errors || [{ errorCode: this.errorCode, message: message, fields: this.fields }];
+    this.url = details.url || '';
+  }
+}
+
+let salesforceClient = null;
+// The connection profile selected by the "Salesforce Profile" setting ('' for the unprefixed SF_* properties).
+let salesforceProfile = '';
+
+/**
+ * Returns the shared Salesforce REST client for this execution, creating it on first use.
+ * Every helper in SalesforceHelpers.js goes through this client so that a sync requests
+ * (at most) one access token and builds every URL the same way.
+ * @returns {Object} The client (see createSalesforceClient).
+ */
+function getSalesforceClient() {
+  if (!salesforceClient) {
+    salesforceClient = createSalesforceClient(PropertiesService.getScriptProperties(), salesforceProfile);
+  }
+  return salesforceClient;
+}
+
+/**
+ * Selects the connection profile named by the "Salesforce Profile" setting of JF_SCRIPT_PARAMS,
+ * e.g. {"Salesforce Profile":{"Name":"sandbox"}}, so that the same spreadsheet can be synced to a
+ * sandbox before production. Called by loadParametersFromJson(); choosing another profile drops the shared client.
+ * @param {Object} params - The parameters from loadParametersFromJson().
+ */
+function configureSalesforceProfile(params) {
+  const setting = params['Salesforce Profile'];
+  const profile = setting && setting.Name ? String(setting.Name).trim() : '';
+  if (profile !== salesforceProfile) {
+    salesforceProfile = profile;
+    salesforceClient = null;
+  }
+}
+
+/**
+ * Reads the script properties of a connection profile. Every property of the "sandbox" profile
+ * is prefixed with SF_SANDBOX_ (get('INSTANCE_URL') reads SF_SANDBOX_INSTANCE_URL); without a
+ * profile the plain SF_ properties are read (SF_INSTANCE_URL).
+ * @param {Properties} props - The script properties.
+ * @param {String} [profile] - The profile name: letters, digits and underscores, in any case.
+ * @returns {Object} { profile, propertyName(key), get(key), require(key) }; require throws when the property is not set.
+ */
+function getProfileSettings(props, profile) {
+  const name = profile ? String(profile).trim() : '';
+  if (name && !/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error('Invalid Salesforce profile name "' + name + '": use letters, digits and underscores.');
+  }
+  const propertyName = key => 'SF_' + (name ? name.toUpperCase() + '_' : '') + key;
+  const get = key => props.getProperty(propertyName(key));
+  return {
+    profile: name,
+    propertyName: propertyName,
+    get: get,
+    require: key => {
+      const value = get(key);
+      if (!value) {
+        throw new Error('Script property ' + propertyName(key) + ' is not set' +
+          (name ? ' (required by Salesforce profile "' + name + '").' : '.'));
+      }
+      return value;
+    }
+  };
+}
+
+/**
+ * Creates a Salesforce REST client from the script properties of a connection profile.
+ *
+ * Properties used (SF_<PROFILE>_... with a profile, see getProfileSettings):
+ *   SF_INSTANCE_URL  e.g. "https://myDomain.my.salesforce.com" (with or without a trailing slash)
+ *   SF_API_VERSION   optional, e.g. "v60.0" or "60.0" (defaults to v58.0)
+ *   SF_AUTH_FLOW     optional, and the credentials of that flow (see SF_AUTH_FLOWS)
+ *
+ * The access token is cached in memory and in the script cache (one entry per profile) until shortly before it expires.
+ *
+ * @param {Properties} props - The script properties to read the configuration from.
+ * @param {String} [profile] - The connection profile; omitted for the unprefixed properties.
+ * @returns {Object} A client with profile, getAccessToken, invalidateAccessToken, dataUrl, request, query, create, update, upsert,
+ *   del, describe and composite.
+ */
+function createSalesforceClient(props, profile) {
+  const settings = getProfileSettings(props, profile);
+  const instanceUrl = settings.require('INSTANCE_URL');
+  const apiVersion = normalizeApiVersion(settings.get('API_VERSION') || SF_DEFAULT_API_VERSION);
+  const tokenCacheKey = SF_TOKEN_CACHE_KEY + (settings.profile ? '_' + settings.profile.toUpperCase() : '');
+  logInfo(null, 'Using Salesforce ' + (settings.profile ? 'profile "' + settings.profile + '" at ' : '') + instanceUrl);
+
+  let accessToken = null;
+
+  const getAccessToken = () => {
+    if (accessToken) {
+      return accessToken;
+    }
+    const cache = CacheService.getScriptCache();
+    accessToken = cache.get(tokenCacheKey);
+    if (accessToken) {
+      registerLogSecret(accessToken);
+      return accessToken;
+    }
+
+    const tokenResponse = requestSalesforceToken(instanceUrl, settings);
+    accessToken = tokenResponse.access_token;
+    registerLogSecret(accessToken);
+    const ttl = Number(tokenResponse.expires_in) || SF_DEFAULT_TOKEN_TTL_SECONDS;
+    // CacheService keeps entries for 1 second to 6 hours. A token that expires within the minute
+    // is only kept in memory.
+    if (ttl > 60) {
+      cache.put(tokenCacheKey, accessToken, Math.min(ttl - 60, 21600));
+    }
+    return accessToken;
+  };
+
+  // Forgets the token everywhere it is cached, so that the next call requests a new one.
+  const invalidateAccessToken = () => {
+    accessToken = null;
+    CacheService.getScriptCache().remove(tokenCacheKey);
+  };
+
+  const dataUrl = path => joinUrl(instanceUrl, 'services/data/' + apiVersion, path);
+
+  // Single fetch path for every REST call. Returns the parsed JSON body (null when the body is empty)
+  // and throws a SalesforceApiError for any other status. An expired session is renewed once.
+  const fetchJson = (method, url, payload) => {
+    const send = () => {
+      const options = {
+        method: method,
+        headers: {
+          'Authorization': 'Bearer ' + getAccessToken()
+        }
+      };
+      if (payload !== undefined) {
+        options.contentType = 'application/json';
+        options.payload = JSON.stringify(payload);
+      }
+      return fetchWithRetry(url, options);
+    };
+
+    let response = send();
+    if (response.getResponseCode() === 401 && response.getContentText().indexOf('INVALID_SESSION_ID') !== -1) {
+      logInfo(null, 'Salesforce session expired or was revoked; requesting a new access token.');
+      invalidateAccessToken();
+      response = send();
+    }
+    return readSalesforceResponse(response, url, 'Salesforce request failed');
+  };
+
+  const request = (method, path, payload) => fetchJson(method, dataUrl(path), payload);
+
+  // Runs a SOQL query and follows nextRecordsUrl until every page has been read.
+  const query = soql => {
+    const result = request('get', 'query?q=' + encodeURIComponent(soql));
+    let page = result;
+    while (page && page.records && !page.done && page.nextRecordsUrl) {
+      page = fetchJson('get', joinUrl(instanceUrl, page.nextRecordsUrl));
+      if (!page || !page.records) {
+        throw new Error('Query pagination failed: ' + JSON.stringify(page));
+      }
+      result.records = result.records.concat(page.records);
+    }
+    if (result && result.records) {
+      result.done = true;
+      delete result.nextRecordsUrl;
+    }
+    return result;
+  };
+
+  // Sends items to a collection endpoint in chunks and merges the per-item results in the original order.
+  const inChunks = (items, send) => {
+    let results = [];
+    for (let start = 0; start < items.length; start += SF_COLLECTION_CHUNK_SIZE) {
+      const chunk = items.slice(start, start + SF_COLLECTION_CHUNK_SIZE);
+      let response;
+      try {
+        response = send(chunk);
+      } catch (e) {
+        // A rejected request (e.g. 400 for an invalid payload) fails each of its records. Without
+        // a response (network error) nothing is known about the chunk, so the error is rethrown.
+        if (!(e instanceof SalesforceApiError) || !e.status) {
+          throw e;
+        }
+        response = e.errors.map(error => ({ statusCode: error.errorCode, message: error.message, fields: error.fields }));
+      }
+      results = results.concat(toChunkResults(response, chunk.length));
+    }
+    return results;
+  };
+
+  return {
+    profile: settings.profile,
+    instanceUrl: instanceUrl,
+    apiVersion: apiVersion,
+    getAccessToken: getAccessToken,
+    invalidateAccessToken: invalidateAccessToken,
+    dataUrl: dataUrl,
+    request: request,
+
+    /** Runs a SOQL query and returns the response body ({ totalSize, done, records }) with every page of records. */
+    query: query,
+
+    /**
+     * Inserts records (each with attributes.type) through the composite sObject collection endpoint.
+     * allOrNone applies per chunk of 200 records; earlier chunks stay committed if a later one fails.
+     */
+    create: (records, allOrNone) => inChunks(records, chunk =>
+      request('post', 'composite/sobjects', { allOrNone: !!allOrNone, records: chunk })),
+
+    /** Updates records (each with attributes.type and Id), 200 at a time. See create for allOrNone. */
+    update: (records, allOrNone) => inChunks(records, chunk =>
+      request('patch', 'composite/sobjects', { allOrNone: !!allOrNone, records: chunk })),
+
+    /**
+     * Inserts or updates records (each with attributes.type, all of one sObject) matched on an External Id
+     * field, 200 at a time. Each result carries created: true for inserts. See create for allOrNone.
+     */
+    upsert: (records, externalIdField, allOrNone) => inChunks(records, chunk =>
+      request('patch', 'composite/sobjects/' + encodeURIComponent(chunk[0].attributes.type) + '/' + encodeURIComponent(externalIdField),
+        { allOrNone: !!allOrNone, records: chunk })),
+
+    /** Deletes records by Id, 200 at a time. See create for allOrNone. */
+    del: (ids, allOrNone) => inChunks(ids, chunk =>
+      request('delete', 'composite/sobjects?allOrNone=' + !!allOrNone + '&ids=' + chunk.map(encodeURIComponent).join(','))),
+
+    /** Returns the describe metadata (fields, types, lengths, picklist values, ...) of an sObject. */
+    describe: sobject => request('get', 'sobjects/' + encodeURIComponent(sobject) + '/describe'),
+
+    /** Sends a composite request: subrequests are { method, url, referenceId, body } with url relative to the data URL. */
+    composite: (subrequests, allOrNone) => request('post', 'composite', {
+      allOrNone: !!allOrNone,
+      compositeRequest: subrequests.map(subrequest => Object.assign({}, subrequest, {
+        url: '/' + joinUrl('services/data/' + apiVersion, subrequest.url)
+      }))
+    })
+  };
+}
+
+/**
+ * Fetches a URL, retrying transient failures up to SF_MAX_ATTEMPTS times, waiting twice as long before
+ * each retry (or as long as a Retry-After header asks). Every callout to Salesforce, the token request
+ * included, goes through here.
+ *
+ * Idempotent calls are retried after network errors and the statuses in SF_RETRY_STATUS_CODES. Writes
+ * (POST, PATCH) may have been applied when those happen, so they are only retried on the statuses in
+ * SF_WRITE_RETRY_STATUS_CODES; sending them again could create duplicate records.
+ * @param {String} url - The URL to fetch.
+ * @param {Object} options - UrlFetchApp options; muteHttpExceptions is always set.
+ * @param {Boolean} [idempotent] - Whether the call can be repeated safely; by default only GET and DELETE are.
+ * @returns {HTTPResponse} The final response, whatever its status (see readSalesforceResponse).
+ */
+function fetchWithRetry(url, options, idempotent) {
+  const fetchOptions = Object.assign({}, options, { muteHttpExceptions: true });
+  const method = String(fetchOptions.method || 'get').toLowerCase();
+  const repeatable = idempotent === undefined ? SF_IDEMPOTENT_METHODS.indexOf(method) !== -1 : idempotent;
+  const retryStatusCodes = repeatable ? SF_RETRY_STATUS_CODES : SF_WRITE_RETRY_STATUS_CODES;
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let failure;
+    try {
+      response = UrlFetchApp.fetch(url, fetchOptions);
+      if (retryStatusCodes.indexOf(response.getResponseCode()) === -1) {
+        return response;
+      }
+      failure = 'HTTP ' + response.getResponseCode();
+    } catch (e) {
+      failure = e.message || String(e);
+      if (!repeatable) {
+        throw new SalesforceApiError('Could not reach Salesforce; the ' + method.toUpperCase() +
+          ' was not repeated because it may have been applied: ' + failure, { url: url });
+      }
+    }
+
+    if (attempt >= SF_MAX_ATTEMPTS) {
+      if (response) {
+        return response;
+      }
+      throw new SalesforceApiError('Could not reach Salesforce after ' + attempt + ' attempts: ' + failure, { url: url });
+    }
+    const delay = retryDelayMs(attempt, response);
+    logWarn(null, 'Salesforce call failed (' + failure + '); retrying in ' + delay + ' ms (attempt ' + (attempt + 1) +
+      ' of ' + SF_MAX_ATTEMPTS + '): ' + fetchOptions.method + ' ' + url.split('?')[0]);
+    Utilities.sleep(delay);
+  }
+}
+
+/**
+ * Returns how long to wait before retry number `attempt`: 1s, 2s, 4s, ... capped at SF_RETRY_MAX_DELAY_MS,
+ * or the Retry-After header of the response (in seconds) when that is longer.
+ */
+function retryDelayMs(attempt, response) {
+  const backoff = Math.min(SF_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), SF_RETRY_MAX_DELAY_MS);
+  const headers = (response && response.getHeaders()) || {};
+  const retryAfterKey = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  const retryAfter = retryAfterKey ? Number(headers[retryAfterKey]) * 1000 : 0;
+  return retryAfter > backoff ? Math.min(retryAfter, SF_RETRY_MAX_DELAY_MS) : backoff;
+}
+
+/**
+ * Parses a Salesforce response, or throws a SalesforceApiError when its status is not 2xx
+ * or a successful response is not JSON (e.g. a login or maintenance page).
+ * @param {HTTPResponse} response - The response from fetchWithRetry().
+ * @param {String} url - The requested URL, for the error.
+ * @param {String} action - What failed, e.g. "Salesforce request failed"; starts the error message.
+ * @returns {*} The parsed JSON body, or null when the body is empty.
+ */
+function readSalesforceResponse(response, url, action) {
+  const status = response.getResponseCode();
+  const text = response.getContentText();
+  let body = null;
+  let isJson = true;
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      isJson = false;
+    }
+  }
+
+  if (status < 200 || status >= 300) {
+    throw toSalesforceApiError(status, isJson ? body : text, url, action);
+  }
+  if (!isJson) {
+    throw new SalesforceApiError(action + ': expected JSON but received ' + previewErrorBody(text) + ' (HTTP ' + status + ')',
+      { status: status, errorCode: 'INVALID_RESPONSE', url: url });
+  }
+  return body;
+}
+
+/**
+ * Builds the SalesforceApiError for an error response. Understands the REST API's
+ * [{ errorCode, message, fields }], the OAuth { error, error_description } and non-JSON bodies.
+ * @param {Number} status - The HTTP status code.
+ * @param {*} body - The parsed body, or the raw text when it is not JSON.
+ * @param {String} url - The requested URL.
+ * @param {String} action - What failed; starts the error message.
+ * @returns {SalesforceApiError} The error.
+ */
+function toSalesforceApiError(status, body, url, action) {
+  const errors = (Array.isArray(body) ? body : [body])
+    .filter(error => error && typeof error === 'object')
+    .map(error => ({
+      errorCode: error.errorCode || error.statusCode || error.error || 'HTTP_' + status,
+      message: error.message || error.error_description || '',
+      fields: error.fields || []
+    }));
+  if (!errors.length) {
+    errors.push({ errorCode: 'HTTP_' + status, message: previewErrorBody(body), fields: [] });
+  }
+
+  const description = errors.map(error => error.errorCode + ': ' + error.message +
+    (error.fields.length ? ' [' + error.fields.join(', ') + ']' : '')).join('; ');
+  return new SalesforceApiError(redactLogText(action + ': ' + description + ' (HTTP ' + status + ')'), {
+    status: status,
+    errorCode: errors[0].errorCode,
+    fields: errors[0].fields,
+    errors: errors,
+    url: url
+  });
+}
+
+/**
+ * Describes a body that is not a Salesforce error (e.g. an HTML error page) in a few words:
+ * its text without markup, cut to SF_ERROR_BODY_PREVIEW_LENGTH characters.
+ */
+function previewErrorBody(text) {
+  const plain = String(text === null || text === undefined ? '' : text)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!plain) {
+    return 'an empty response';
+  }
+  return plain.length > SF_ERROR_BODY_PREVIEW_LENGTH ? '"' + plain.slice(0, SF_ERROR_BODY_PREVIEW_LENGTH) + '..."' : '"' + plain + '"';
+}
+
+/**
+ * Normalizes one chunk's composite response to exactly one result per record.
+ * A request-level failure (e.g. [{ message, errorCode }] or a non-array body) is copied onto
+ * every record of the chunk as { success: false, errors }, so results still line up with rows.
+ * @param {*} response - The parsed response for the chunk.
+ * @param {Number} size - The number of records in the chunk.
+ * @returns {Array<Object>} The per-record results.
+ */
+function toChunkResults(response, size) {
+  const perRecord = Array.isArray(response) && response.length === size &&
+    response.every(result => result && typeof result.success === 'boolean');
+  if (perRecord) {
+    return response;
+  }
+  const errors = Array.isArray(response) ? response : [response];
+  const results = [];
+  for (let i = 0; i < size; i++) {
+    results.push({ success: false, errors: errors });
+  }
+  return results;
+}
+
+/**
+ * Joins URL segments with exactly one slash between them, whether or not the segments
+ * start or end with one (e.g. an instance URL saved with a trailing slash).
+ * @param {...String} parts - The URL segments.
+ * @returns {String} The joined URL.
+ */
+function joinUrl(...parts) {
+  return parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .map((part, i, segments) => {
+      let segment = String(part);
+      if (i > 0) segment = segment.replace(/^\/+/, '');
+      if (i < segments.length - 1) segment = segment.replace(/\/+$/, '');
+      return segment;
+    })
+    .join('/');
+}
+
+/**
+ * Accepts "58", "58.0" or "v58.0" and returns the "v58.0" form used in REST URLs.
+ */
+function normalizeApiVersion(version) {
+  const number = String(version).trim().replace(/^v/i, '');
+  if (!/^\d+(\.\d+)?$/.test(number)) {
+    throw new Error('Invalid Salesforce API version: ' + version);
+  }
+  return 'v' + (number.indexOf('.') === -1 ? number + '.0' : number);
+}
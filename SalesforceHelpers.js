@@ -1,3 +1,71 @@
+// Describe results fetched during this execution, keyed by sObject name.
+const describeCache = {};
+
+// The versioned child object synced by default. The "Target Object" setting of JF_SCRIPT_PARAMS can
+// name another one (schedules, milestones, quote terms, ...) with the same parent/active/version shape.
+const DEFAULT_TARGET_OBJECT = {
+  object: 'jellyfish_line_item__c',
+  parentObject: 'Opportunity',
+  parentField: 'opportunity_id__c',
+  activeField: 'Active__c',
+  versionField: 'Version_Number__c',
+  // Fields that pair a changed line with its Salesforce record in previews (see diffLineItems).
+  matchFields: ['Product__c'],
+  // Fields multiplied per line for the revision totals (see listRevisions).
+  totalFields: ['Quantity__c', 'Sales_Price__c']
+};
+
+let targetObject = DEFAULT_TARGET_OBJECT;
+
+/**
+ * Selects the object the helpers below read and write, from the "Target Object" setting:
+ *   {"Target Object":{"Name":"Payment_Schedule__c","parent_object":"Opportunity","parent_field":"Opportunity__c",
+ *                     "active_field":"Is_Active__c","version_field":"Revision__c",
+ *                     "match_fields":"Due_Date__c","total_fields":"Amount__c"}}
+ * Keys that are left out keep their jellyfish_line_item__c default (see DEFAULT_TARGET_OBJECT), except
+ * match_fields and total_fields (comma-separated), which are empty for other objects.
+ * parent_object is a key of SF_KEY_PREFIXES or a 3-character key prefix; it is used to check parent Ids.
+ * Mapping group names do not depend on the target object (see isMappingGroup in ParamValidator.js).
+ * Called by loadParametersFromJson().
+ * @param {Object} params - The parameters from loadParametersFromJson().
+ */
+function configureTargetObject(params) {
+  const setting = params['Target Object'] || {};
+  const object = setting.Name || DEFAULT_TARGET_OBJECT.object;
+  const isDefaultObject = object.toLowerCase() === DEFAULT_TARGET_OBJECT.object.toLowerCase();
+  targetObject = {
+    object: object,
+    parentObject: setting.parent_object || DEFAULT_TARGET_OBJECT.parentObject,
+    parentField: setting.parent_field || DEFAULT_TARGET_OBJECT.parentField,
+    activeField: setting.active_field || DEFAULT_TARGET_OBJECT.activeField,
+    versionField: setting.version_field || DEFAULT_TARGET_OBJECT.versionField,
+    matchFields: setting.match_fields ? toValueList(setting.match_fields) :
+      (isDefaultObject ? DEFAULT_TARGET_OBJECT.matchFields : []),
+    totalFields: setting.total_fields ? toValueList(setting.total_fields) :
+      (isDefaultObject ? DEFAULT_TARGET_OBJECT.totalFields : [])
+  };
+  // The names are put into SOQL as they are, so they must be plain API names.
+  soqlFieldList([targetObject.object, targetObject.parentField, targetObject.activeField, targetObject.versionField]
+    .concat(targetObject.matchFields, targetObject.totalFields));
+}
+
+/**
+ * Returns the configured target object: { object, parentObject, parentField, activeField, versionField,
+ * matchFields, totalFields }.
+ */
+function getTargetObject() {
+  return targetObject;
+}
+
+/**
+ * Checks a parent record Id (e.g. an Opportunity Id) against the target object's parent_object.
+ * @param {String} value - The Id, typically read from a sheet cell.
+ * @returns {String} The trimmed Id.
+ */
+function validateParentId(value) {
+  return validateSalesforceId(value, targetObject.parentObject);
+}
+
 /**
  * Creates one or more line items for a given Opportunity.
  * @param {String} oppId Salesforce Opportunity Id (e.g. "006XXXXXXXXXXXX").
@@ -17,107 +85,65 @@
  * @returns {Array} Array of results from Salesforce for each inserted record.
  */
 function createLineItems(oppId, lineItems) {
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
-  const baseUrl = instanceUrl + '/services/data/v58.0/composite/sobjects';
-
   // Prepare the array of records
-  const records = lineItems.map(item => {
-    // Ensure the opportunity_id__c field is set and adjust the discount
-    item.opportunity_id__c = oppId;
-    item.Sales_Discount__c = 100 * item.Sales_Discount__c;
-    
-    // Include the attributes required for the composite API
-    return {
-      attributes: { type: 'jellyfish_line_item__c' },
-      ...item
-    };
-  });
-  
-  const payload = {
-    allOrNone: false,  // Set to true if you want the entire transaction to roll back on failure
-    records: records
-  };
+  const records = lineItems.map(item => toLineItemRecord(oppId, item));
 
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': 'Bearer ' + token,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+  // A partial insert would leave the new revision incomplete (see swapLineItemRevision)
+  return getSalesforceClient().create(records, true);
+}
 
-  const response = UrlFetchApp.fetch(baseUrl, options);
-  const json = JSON.parse(response.getContentText());
-  return json;
+/**
+ * Builds the composite API record for a single line item, exactly as createLineItems() sends it.
+ * The parent field (opportunity_id__c by default) is set; values are sent as converted by buildDataTableFromParamsDynamic()
+ * (declare "type":"percent" on the Sales_Discount__c mapping to send a sheet percentage as 15 rather than 0.15).
+ * @param {String} oppId Salesforce Opportunity Id (e.g. "006XXXXXXXXXXXX").
+ * @param {Object} item A flattened line item as produced by formatOLIs().
+ * @returns {Object} The record, including the composite API attributes.
+ */
+function toLineItemRecord(oppId, item) {
+  return {
+    attributes: { type: targetObject.object },
+    ...item,
+    [targetObject.parentField]: oppId
+  };
 }
 
 function createLineItems_dep(oppId, lineItems) {
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
-  const baseUrl = instanceUrl + '/services/data/v58.0/sobjects/jellyfish_line_item__c';
-
+  const client = getSalesforceClient();
   const results = [];
 
   lineItems.forEach(item => {
     // Add the opportunity_id__c field if not already included
     item.opportunity_id__c = oppId;
-    item.Sales_Discount__c = 100 * item.Sales_Discount__c;
-    const options = {
-      method: 'post',
-      headers: {
-        'Authorization': 'Bearer ' + token,
-        'Content-Type': 'application/json'
-      },
-      payload: JSON.stringify(item),
-      muteHttpExceptions: true
-    };
-
-    const response = UrlFetchApp.fetch(baseUrl, options);
-    const json = JSON.parse(response.getContentText());
-    results.push(json);
+    results.push(client.request('post', 'sobjects/jellyfish_line_item__c', item));
   });
 
   return results;
 }
 
 /**
- * Gets the highest revision (Version_Number__c) among line items for the given Opportunity.
+ * Gets the highest revision (the version field) among line items for the given Opportunity.
  * @param {String} oppId - The Salesforce Opportunity Id (e.g., "006XXXXXXXXXXXX").
  * @returns {Number} The highest version number found, or 0 if none exist.
  */
 function getHighestRevisionNumber(oppId) {
-  // 1) Obtain token and instance URL
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
-
-  // 2) Build SOQL query: sort descending by Version_Number__c, grab top 1
-  const soql = `
-    SELECT Version_Number__c
-    FROM jellyfish_line_item__c
-    WHERE opportunity_id__c = '${oppId}'
-    ORDER BY Version_Number__c DESC
+  const { object, parentField, versionField } = targetObject;
+  // 1) Build SOQL query: sort descending by the version field, grab top 1
+  const soql = buildSoql(`
+    SELECT ${versionField}
+    FROM ${object}
+    WHERE ${parentField} = :oppId
+    ORDER BY ${versionField} DESC NULLS LAST
     LIMIT 1
-  `;
-  const queryUrl = instanceUrl + '/services/data/v58.0/query?q=' + encodeURIComponent(soql);
-
-  // 3) Make the query call
-  const options = {
-    method: 'get',
-    headers: {
-      Authorization: 'Bearer ' + token
-    },
-    muteHttpExceptions: true
-  };
-  const response = UrlFetchApp.fetch(queryUrl, options);
-  const body = JSON.parse(response.getContentText());
+  `, { oppId: validateParentId(oppId) });
 
-  // 4) Check if we got any records
+  // 2) Make the query call
+  const body = getSalesforceClient().query(soql);
+
+  // 3) Check if we got any records
   if (body.records && body.records.length > 0) {
     // Return the highest version number
-    return body.records[0].Version_Number__c || 0;
+    return body.records[0][versionField] || 0;
   } else {
     // If no records, return 0
     return 0;
@@ -125,44 +151,126 @@ function getHighestRevisionNumber(oppId) {
 }
 
 /**
- * Deactivate all active jellyfish_line_item__c records for a given Opportunity.
+ * Gets the revision (the version field) of the active line items for the given Opportunity, which is
+ * not the highest one after an older revision has been restored.
+ * @param {String} oppId - The Salesforce Opportunity Id (e.g., "006XXXXXXXXXXXX").
+ * @returns {Number} The highest version number among the active lines, or 0 if none are active.
+ */
+function getActiveRevisionNumber(oppId) {
+  const { object, parentField, activeField, versionField } = targetObject;
+  const soql = buildSoql(`
+    SELECT ${versionField}
+    FROM ${object}
+    WHERE ${parentField} = :oppId AND ${activeField} = :active
+    ORDER BY ${versionField} DESC NULLS LAST
+    LIMIT 1
+  `, { oppId: validateParentId(oppId), active: true });
+
+  const body = getSalesforceClient().query(soql);
+  return body.records && body.records.length > 0 ? body.records[0][versionField] || 0 : 0;
+}
+
+/**
+ * Deactivate all active records of the target object for a given Opportunity.
  * @param {String} oppId - The Salesforce Opportunity Id (e.g. "006XXXXXXXXXXXX").
  * @returns {Array} Array of results indicating the status for each record updated.
  */
 function deactivateAllActiveLineItems(oppId) {
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
-  const baseUrl = instanceUrl + '/services/data/v58.0/composite/sobjects';
-
   // Retrieve the list of active line item IDs for the opportunity.
   // This function should return an array of IDs (e.g., ['a1Bxxx', 'a1Byyy', ...]).
   const activeLineItemIds = getActiveLineItemIds(oppId);
-  
-  // Build the records array with updates: setting Active__c to false.
-  const records = activeLineItemIds.map(recordId => ({
-    attributes: { type: 'jellyfish_line_item__c' },
+  return setLineItemsActive(activeLineItemIds, false);
+}
+
+/**
+ * Sets the active field on the given target object records in a single all-or-none update.
+ * @param {Array<String>} recordIds - The line item record Ids.
+ * @param {Boolean} active - The value to set.
+ * @returns {Array} Array of results indicating the status for each record updated
+ *   (empty when there is nothing to update).
+ */
+function setLineItemsActive(recordIds, active) {
+  if (recordIds.length === 0) {
+    return [];
+  }
+
+  // Build the records array with updates: setting the active field.
+  const records = recordIds.map(recordId => ({
+    attributes: { type: targetObject.object },
     Id: recordId,
-    Active__c: false
+    [targetObject.activeField]: active
   }));
 
-  const payload = {
-    allOrNone: false,  // Adjust according to your rollback policy
-    records: records
-  };
+  // Either every line changes state or none does
+  return getSalesforceClient().update(records, true);
+}
 
-  const options = {
-    method: 'patch',  // Use PATCH for updates
-    headers: {
-      'Authorization': 'Bearer ' + token,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+/**
+ * Updates target object records (each with its Id and the fields to set) in a single all-or-none update.
+ * @param {Array<Object>} records - The changes, e.g. { Id, Quantity__c: 2 }.
+ * @returns {Array} Array of results indicating the status for each record updated
+ *   (empty when there is nothing to update).
+ */
+function updateLineItems(records) {
+  if (records.length === 0) {
+    return [];
+  }
+  return getSalesforceClient().update(records.map(record => ({
+    attributes: { type: targetObject.object },
+    ...record
+  })), true);
+}
 
-  const response = UrlFetchApp.fetch(baseUrl, options);
-  const json = JSON.parse(response.getContentText());
-  return json;
+/**
+ * Inserts or updates target object records matched on an External Id field, all or none (per chunk of 200).
+ * @param {Array<Object>} records - Records as built by toLineItemRecord(), each with a value for the field.
+ * @param {String} externalIdField - The External Id field, e.g. "Line_Key__c".
+ * @returns {Array} One result per record: { id, success, errors, created } (empty when there is nothing to send).
+ */
+function upsertLineItems(records, externalIdField) {
+  if (records.length === 0) {
+    return [];
+  }
+  return getSalesforceClient().upsert(records, externalIdField, true);
+}
+
+/**
+ * Deletes records by Id. Used to remove line items left behind by a failed revision swap.
+ * @param {Array<String>} recordIds - The record Ids to delete.
+ * @returns {Array} Array of results indicating the status for each record deleted
+ *   (empty when there is nothing to delete).
+ */
+function deleteRecords(recordIds) {
+  if (recordIds.length === 0) {
+    return [];
+  }
+  return getSalesforceClient().del(recordIds, false);
+}
+
+/**
+ * Returns true when a composite sObject collection response reports success for every record.
+ * Request-level failures come back as an array of { message, errorCode } objects and count as failures.
+ * @param {Array} results - The parsed composite response.
+ * @return {Boolean}
+ */
+function compositeSucceeded(results) {
+  return Array.isArray(results) && results.every(result => result.success === true);
+}
+
+/**
+ * Returns the describe metadata of an sObject, fetching it at most once per execution.
+ * @param {String} sobject - The sObject API name (e.g. "jellyfish_line_item__c").
+ * @return {Object} The describe result.
+ */
+function describeSObject(sobject) {
+  if (!describeCache[sobject]) {
+    const describe = getSalesforceClient().describe(sobject);
+    if (!describe || !Array.isArray(describe.fields)) {
+      throw new Error("Could not describe " + sobject + ": " + JSON.stringify(describe));
+    }
+    describeCache[sobject] = describe;
+  }
+  return describeCache[sobject];
 }
 
 /**
@@ -171,90 +279,132 @@ function deactivateAllActiveLineItems(oppId) {
  * @return {Array<String>} An array of active line item record IDs.
  */
 function getActiveLineItemIds(oppId) {
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
-  const query = `SELECT Id FROM jellyfish_line_item__c WHERE opportunity_id__c = '${oppId}' AND Active__c = true`;
-  const baseUrl = instanceUrl + '/services/data/v58.0/query/?q=' + encodeURIComponent(query);
-
-  const options = {
-    method: 'get',
-    headers: {
-      'Authorization': 'Bearer ' + token,
-      'Content-Type': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
+  return getActiveLineItems(oppId, []).map(record => record.Id);
+}
+
+/**
+ * Retrieves the active line items for the specified opportunity with the requested fields.
+ * @param {String} oppId - The Salesforce Opportunity ID.
+ * @param {Array<String>} fields - API names of the fields to return in addition to Id.
+ * @return {Array<Object>} The active line item records (without the query attributes).
+ */
+function getActiveLineItems(oppId, fields) {
+  const selectFields = ['Id'].concat(fields.filter(field => field !== 'Id'));
+  const { object, parentField, activeField } = targetObject;
+  const query = buildSoql(
+    `SELECT ${soqlFieldList(selectFields)} FROM ${object} WHERE ${parentField} = :oppId AND ${activeField} = :active ORDER BY CreatedDate, Id`,
+    { oppId: validateParentId(oppId), active: true }
+  );
+
+  const json = getSalesforceClient().query(query);
+
+  if (!json.records) {
+    throw new Error("No records found or error in query: " + JSON.stringify(json));
+  }
+
+  return json.records.map(record => {
+    const { attributes, ...fieldValues } = record;
+    return fieldValues;
+  });
+}
+
+/**
+ * Retrieves the target object records whose External Id field holds one of the given values,
+ * whatever their parent record or active flag.
+ * @param {String} externalIdField - The External Id field, e.g. "Line_Key__c".
+ * @param {Array<String>} keys - The values to look for.
+ * @param {Array<String>} fields - API names of the fields to return in addition to
+ *   Id, the External Id field and the parent, active and version fields.
+ * @return {Array<Object>} The records (without the query attributes).
+ */
+function getLineItemsByExternalId(externalIdField, keys, fields) {
+  if (keys.length === 0) {
+    return [];
+  }
+  const { object, parentField, activeField, versionField } = targetObject;
+  const selectFields = ['Id', externalIdField, parentField, activeField, versionField];
+  fields.forEach(field => {
+    if (selectFields.indexOf(field) === -1) selectFields.push(field);
+  });
+  const query = buildSoql(
+    `SELECT ${soqlFieldList(selectFields)} FROM ${object} WHERE ${soqlFieldList([externalIdField])} IN :keys`,
+    { keys: keys }
+  );
+
+  const json = getSalesforceClient().query(query);
 
-  const response = UrlFetchApp.fetch(baseUrl, options);
-  const json = JSON.parse(response.getContentText());
-  
   if (!json.records) {
     throw new Error("No records found or error in query: " + JSON.stringify(json));
   }
-  
-  return json.records.map(record => record.Id);
+
+  return json.records.map(record => {
+    const { attributes, ...fieldValues } = record;
+    return fieldValues;
+  });
+}
+
+/**
+ * Retrieves every target object record of an Opportunity, across all revisions.
+ * @param {String} oppId - The Salesforce Opportunity ID.
+ * @param {Array<String>} fields - API names of the fields to return in addition to
+ *   Id, the version field, the active field and CreatedDate.
+ * @return {Array<Object>} The records ordered by the version field (without the query attributes).
+ */
+function getAllLineItems(oppId, fields) {
+  const { object, parentField, activeField, versionField } = targetObject;
+  const selectFields = ['Id', versionField, activeField, 'CreatedDate'];
+  fields.forEach(field => {
+    if (selectFields.indexOf(field) === -1) selectFields.push(field);
+  });
+  const query = buildSoql(
+    `SELECT ${soqlFieldList(selectFields)} FROM ${object} WHERE ${parentField} = :oppId ORDER BY ${versionField}, CreatedDate`,
+    { oppId: validateParentId(oppId) }
+  );
+
+  const json = getSalesforceClient().query(query);
+
+  if (!json.records) {
+    throw new Error("No records found or error in query: " + JSON.stringify(json));
+  }
+
+  return json.records.map(record => {
+    const { attributes, ...fieldValues } = record;
+    return fieldValues;
+  });
 }
 
 function deactivateAllActiveLineItems_dep(oppId) {
-  // 1) Get the token and instance URL
-  const token = getSalesforceAccessToken();
-  const instanceUrl = PropertiesService.getScriptProperties().getProperty('SF_INSTANCE_URL');
+  const client = getSalesforceClient();
 
-  // 2) Query to find all active line items for the specified Opp
-  const soql = `
+  // 1) Query to find all active line items for the specified Opp
+  const soql = buildSoql(`
     SELECT Id
     FROM jellyfish_line_item__c
-    WHERE opportunity_id__c = '${oppId}'
-    AND Active__c = true
-  `;
-  const queryUrl = instanceUrl + '/services/data/v58.0/query?q=' + encodeURIComponent(soql);
-
-  // 3) Execute the query
-  const queryOptions = {
-    method: 'get',
-    headers: {
-      Authorization: 'Bearer ' + token
-    },
-    muteHttpExceptions: true
-  };
-  const queryResponse = UrlFetchApp.fetch(queryUrl, queryOptions);
-  const queryBody = JSON.parse(queryResponse.getContentText());
-  
+    WHERE opportunity_id__c = :oppId
+    AND Active__c = :active
+  `, { oppId: validateSalesforceId(oppId, 'Opportunity'), active: true });
+
+  // 2) Execute the query
+  const queryBody = client.query(soql);
+
   // If no records or an error occurred, return early
   if (!queryBody.records || !Array.isArray(queryBody.records)) {
     return [{
-      status: queryResponse.getResponseCode(),
       error: queryBody
     }];
   }
 
-  // 4) For each active line item, PATCH Active__c = false
+  // 3) For each active line item, PATCH Active__c = false
   const results = [];
   for (const record of queryBody.records) {
     const lineItemId = record.Id;
-    const url = instanceUrl + '/services/data/v58.0/sobjects/jellyfish_line_item__c/' + lineItemId;
-    
-    const payload = { Active__c: false };
-    const patchOptions = {
-      method: 'patch',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/json'
-      },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
-    
-    const patchResponse = UrlFetchApp.fetch(url, patchOptions);
+    const body = client.request('patch', 'sobjects/jellyfish_line_item__c/' + lineItemId, { Active__c: false });
     results.push({
       id: lineItemId,
-      status: patchResponse.getResponseCode(),
-      body: patchResponse.getContentText()
+      body: body
     });
   }
 
-  // 5) Return an array of result objects
+  // 4) Return an array of result objects
   return results;
 }
-
-
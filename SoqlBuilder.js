@@ -0,0 +1,180 @@
+// Key prefixes (first three characters of the Id) for the objects this script queries.
+const SF_KEY_PREFIXES = {
+  Account: '001',
+  Contract: '800',
+  Order: '801',
+  Quote: '0Q0',
+  Opportunity: '006',
+  Product2: '01t',
+  Pricebook2: '01s',
+  PricebookEntry: '01u'
+};
+
+const SF_ID_CHECKSUM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+/**
+ * Builds a SOQL statement from a template with bind-style parameters.
+ *
+ * Every ":name" in the template (outside of quoted literals) is replaced by the escaped
+ * value of binds[name]:
+ *   - Strings are quoted and escaped.
+ *   - Numbers must be finite.
+ *   - Booleans become TRUE / FALSE.
+ *   - Dates become date literals (yyyy-MM-dd, UTC). Use soqlDateTime() for datetime fields.
+ *   - Arrays become IN lists, e.g. ('a', 'b'). An empty array is rejected because it is not valid SOQL.
+ *   - null becomes NULL.
+ *
+ * Example:
+ *   buildSoql(
+ *     'SELECT Id FROM jellyfish_line_item__c WHERE opportunity_id__c = :oppId AND Active__c = :active',
+ *     { oppId: validateSalesforceId(oppId, 'Opportunity'), active: true }
+ *   );
+ *
+ * @param {String} template - The SOQL statement with :name placeholders.
+ * @param {Object} binds - The values for the placeholders.
+ * @returns {String} The SOQL statement.
+ */
+function buildSoql(template, binds) {
+  return template.replace(/'(?:\\.|[^'\\])*'|:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+    if (!name) {
+      // A quoted literal that is already part of the template.
+      return match;
+    }
+    if (!binds || !Object.prototype.hasOwnProperty.call(binds, name)) {
+      throw new Error('No value bound for SOQL parameter :' + name);
+    }
+    return toSoqlValue(binds[name], name);
+  });
+}
+
+/**
+ * Converts a single value to its SOQL literal (see buildSoql for the supported types).
+ */
+function toSoqlValue(value, name) {
+  if (value === null) {
+    return 'NULL';
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      throw new Error('SOQL parameter :' + name + ' is an empty list.');
+    }
+    return '(' + value.map(item => toSoqlValue(item, name)).join(', ') + ')';
+  }
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) {
+      throw new Error('SOQL parameter :' + name + ' is an invalid date.');
+    }
+    return value.toISOString().slice(0, 10);
+  }
+  if (value && typeof value.soqlLiteral === 'string') {
+    return value.soqlLiteral;
+  }
+  switch (typeof value) {
+    case 'string':
+      return "'" + escapeSoqlString(value) + "'";
+    case 'number':
+      if (!isFinite(value)) {
+        throw new Error('SOQL parameter :' + name + ' is not a finite number.');
+      }
+      return String(value);
+    case 'boolean':
+      return value ? 'TRUE' : 'FALSE';
+    default:
+      throw new Error('Unsupported value for SOQL parameter :' + name + ': ' + JSON.stringify(value));
+  }
+}
+
+/**
+ * Escapes a string for use inside a quoted SOQL literal.
+ */
+function escapeSoqlString(value) {
+  return String(value).replace(/[\\'"\n\r\t\b\f]/g, char => ({
+    '\\': '\\\\',
+    "'": "\\'",
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f'
+  })[char]);
+}
+
+/**
+ * Wraps a Date so that buildSoql() writes it as a datetime literal (e.g. 2025-02-01T00:00:00Z).
+ */
+function soqlDateTime(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    throw new Error('Invalid datetime for SOQL: ' + date);
+  }
+  return { soqlLiteral: date.toISOString().replace(/\.\d{3}Z$/, 'Z') };
+}
+
+/**
+ * Validates field API names and joins them into a SELECT list.
+ * Field names cannot be bound, so they are checked against the identifier syntax instead.
+ * @param {Array<String>} fields - Field API names (relationship paths such as Product2.Name are allowed).
+ * @returns {String} e.g. "Id, Quantity__c, Product2.Name"
+ */
+function soqlFieldList(fields) {
+  fields.forEach(field => {
+    if (!/^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/.test(field)) {
+      throw new Error('Invalid field name for SOQL: ' + JSON.stringify(field));
+    }
+  });
+  return fields.join(', ');
+}
+
+/**
+ * Checks that a value is a well-formed Salesforce Id and returns it trimmed.
+ *
+ * The Id must be 15 or 18 alphanumeric characters, the 18-character checksum must match,
+ * and, when an object is given, it must start with that object's key prefix.
+ *
+ * @param {String} value - The Id, typically read from a sheet cell.
+ * @param {String} [objectName] - The expected object (a key of SF_KEY_PREFIXES) or a raw 3-character prefix.
+ * @returns {String} The trimmed Id.
+ */
+function validateSalesforceId(value, objectName) {
+  const id = String(value === null || value === undefined ? '' : value).trim();
+  const label = objectName ? objectName + ' Id' : 'Salesforce Id';
+
+  if (!/^[A-Za-z0-9]{15}([A-Za-z0-9]{3})?$/.test(id)) {
+    throw new Error('Invalid ' + label + ' ' + JSON.stringify(id) + ': expected 15 or 18 letters and digits.');
+  }
+  if (id.length === 18 && salesforceIdChecksum(id.slice(0, 15)) !== id.slice(15)) {
+    throw new Error('Invalid ' + label + ' ' + JSON.stringify(id) + ': the 18-character checksum does not match.');
+  }
+  if (objectName) {
+    const prefix = SF_KEY_PREFIXES[objectName] || objectName;
+    if (id.slice(0, 3) !== prefix) {
+      throw new Error('Invalid ' + label + ' ' + JSON.stringify(id) + ': expected it to start with ' + prefix + '.');
+    }
+  }
+  return id;
+}
+
+/**
+ * Returns the 18-character form of a valid 15- or 18-character Id, so both forms of one record compare equal.
+ */
+function toEighteenCharacterId(id) {
+  return id.length === 15 ? id + salesforceIdChecksum(id) : id;
+}
+
+/**
+ * Computes the 3-character suffix that turns a 15-character Id into its 18-character form.
+ */
+function salesforceIdChecksum(id15) {
+  let suffix = '';
+  for (let block = 0; block < 3; block++) {
+    let bits = 0;
+    for (let i = 0; i < 5; i++) {
+      const char = id15.charAt(block * 5 + i);
+      if (char >= 'A' && char <= 'Z') {
+        bits += 1 << i;
+      }
+    }
+    suffix += SF_ID_CHECKSUM_CHARS.charAt(bits);
+  }
+  return suffix;
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadScripts, plain, paramsSheet } = require('./harness');
+const { createOrg } = require('./fixtures');
+
+const tokenRequestBodies = (salesforce) =>
+  salesforce.requests.filter((request) => request.path === '/services/oauth2/token').map((request) => request.body);
+
+test('the Salesforce Profile setting selects the SF_<PROFILE>_ properties and its own token cache entry', () => {
+  const { salesforce } = createOrg();
+  const { scripts, ss, scriptCache } = loadScripts({
+    salesforce,
+    sheets: { JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }, { 'Salesforce Profile': { Name: 'sandbox' } }]) },
+    properties: {
+      SF_SANDBOX_INSTANCE_URL: 'https://acme--uat.sandbox.my.salesforce.com/',
+      SF_SANDBOX_CLIENT_ID: 'sandbox-client-id',
+      SF_SANDBOX_CLIENT_SECRET: 'sandbox-client-secret'
+    }
+  });
+
+  scripts.loadParametersFromJson(ss);
+  scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(scripts.getSalesforceClient().profile, 'sandbox');
+  assert.ok(salesforce.requests.every((request) => request.url.startsWith('https://acme--uat.sandbox.my.salesforce.com/services/')));
+  assert.equal(tokenRequestBodies(salesforce)[0].client_id, 'sandbox-client-id');
+  assert.ok(scriptCache.get('SF_ACCESS_TOKEN_SANDBOX'));
+  assert.equal(scriptCache.get('SF_ACCESS_TOKEN'), null);
+});
+
+test('a profile names the property it is missing', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: { JF_SCRIPT_PARAMS: paramsSheet([{ 'Salesforce Profile': { Name: 'prod' } }]) }
+  });
+
+  scripts.loadParametersFromJson(ss);
+
+  assert.throws(() => scripts.getSalesforceAccessToken(),
+    /Script property SF_PROD_INSTANCE_URL is not set \(required by Salesforce profile "prod"\)/);
+});
+
+test('the jwt_bearer flow sends a signed assertion for the configured user', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const { salesforce } = createOrg();
+  const { scripts, ss, logger } = loadScripts({
+    salesforce,
+    properties: {
+      SF_AUTH_FLOW: 'jwt_bearer',
+      SF_USERNAME: 'integration@example.com',
+      SF_AUDIENCE: 'https://test.salesforce.com',
+      // Stored on one line, as the script properties editor does.
+      SF_PRIVATE_KEY: pem.replace(/\n/g, '\\n')
+    }
+  });
+
+  scripts.getSalesforceAccessToken();
+  scripts.flushLogs(ss);
+
+  const body = tokenRequestBodies(salesforce)[0];
+  assert.equal(body.grant_type, 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+  const [header, claims, signature] = body.assertion.split('.');
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256' });
+  const decoded = JSON.parse(Buffer.from(claims, 'base64url'));
+  assert.equal(decoded.iss, 'test-client-id');
+  assert.equal(decoded.sub, 'integration@example.com');
+  assert.equal(decoded.aud, 'https://test.salesforce.com');
+  assert.ok(decoded.exp > Date.now() / 1000 && decoded.exp <= Date.now() / 1000 + 180);
+  assert.ok(crypto.verify('RSA-SHA256', Buffer.from(header + '.' + claims), publicKey, Buffer.from(signature, 'base64url')));
+  assert.ok(!(logger.getLog() + JSON.stringify(ss.getSheetByName('JF_SCRIPT_LOG').values())).includes(signature));
+});
+
+test('the refresh_token flow sends the refresh token and the client secret only when set', () => {
+  const { salesforce } = createOrg();
+  const { scripts } = loadScripts({
+    salesforce,
+    properties: { SF_AUTH_FLOW: 'refresh_token', SF_REFRESH_TOKEN: '5Aep861refresh-token-value', SF_CLIENT_SECRET: '' }
+  });
+
+  scripts.getSalesforceAccessToken();
+
+  assert.deepEqual(plain(tokenRequestBodies(salesforce)[0]), {
+    grant_type: 'refresh_token',
+    client_id: 'test-client-id',
+    refresh_token: '5Aep861refresh-token-value'
+  });
+});
+
+test('an unknown auth flow is reported with the supported ones', () => {
+  const { scripts } = loadScripts({ properties: { SF_AUTH_FLOW: 'password' } });
+
+  assert.throws(() => scripts.getSalesforceAccessToken(),
+    /SF_AUTH_FLOW must be one of client_credentials, jwt_bearer, refresh_token \(found "password"\)/);
+});
+
+test('validateParameters rejects a profile name that cannot be a property prefix', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([
+        { 'Input Sheet': { Name: 'Quote' } },
+        { 'Table Header Row': { Name: 1 } },
+        { 'Salesforce Profile': { Name: 'uat sandbox' } }
+      ])
+    }
+  });
+
+  const result = scripts.validateParameters(ss);
+
+  assert.equal(result.valid, false);
+  assert.match(result.problems[0].message, /must be a profile name such as sandbox/);
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, paramsSheet, mappings } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams } = require('./fixtures');
+
+const HEADERS = QUOTE_HEADERS.concat('End Date', 'List Price');
+const EXTRA_MAPPINGS = mappings([
+  { object_label: 'End Date', object_api_name: 'End_Date__c', type: 'date' },
+  { object_label: 'List Price', object_api_name: 'List_Price__c', type: 'currency' }
+]);
+const RULES = [
+  { 'Business Rule': { rule: 'range', field: 'Quantity__c', min: 1 } },
+  { 'Business Rule': { rule: 'date_order', start_field: 'Start_Date__c', end_field: 'End_Date__c' } },
+  { 'Business Rule': { rule: 'no_overlap', start_field: 'Start_Date__c', end_field: 'End_Date__c', group_by: 'Product__c' } },
+  { 'Business Rule': { rule: 'range', field: 'Sales_Price__c', max: 'List_Price__c', severity: 'warning' } }
+];
+
+function setup(rows, rules) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(EXTRA_MAPPINGS.concat(rules || RULES)), Quote: [HEADERS].concat(rows(org)) }
+  });
+  return Object.assign(harness, org);
+}
+
+// Result columns follow the seven mapped columns.
+const STATUS_COLUMN = 8;
+const ERRORS_COLUMN = 11;
+
+test('blocking business rules stop the sync and are reported by sheet row', () => {
+  const { scripts, ss, salesforce } = setup((org) => [
+    [org.opportunities[0], org.products[1], -1, 100, '', '', 100],
+    [org.opportunities[0], org.products[1], 1, 120, '2025-03-01', '2025-02-01', 100],
+    [org.opportunities[0], org.products[0], 1, 100, '2025-01-01', '2025-06-30', 100],
+    [org.opportunities[0], org.products[0], 1, 100, '2025-06-01', '', 100]
+  ]);
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'failed');
+  assert.match(summary.error, /Found 3 business rule violation\(s\)/);
+  assert.match(summary.error, /Row 2, column 'Quantity' \(Quantity__c\): is -1, below the minimum 1\./);
+  assert.match(summary.error, /Row 3, column 'End Date' \(End_Date__c\): is 2025-02-01, before Start_Date__c \(2025-03-01\)\./);
+  assert.match(summary.error, /Row 5, column 'Start Date' \(Start_Date__c\): the dates 2025-06-01 to open-ended overlap 2025-01-01 to 2025-06-30/);
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 0);
+
+  const sheet = ss.getSheetByName('Quote');
+  assert.equal(sheet.getRange(2, STATUS_COLUMN).getValue(), 'Not synced');
+  assert.match(sheet.getRange(3, ERRORS_COLUMN).getValue(), /^Row 3, column 'End Date'/);
+  assert.doesNotMatch(sheet.getRange(3, ERRORS_COLUMN).getValue(), /Warning/);
+});
+
+test('warning business rules let the sync go ahead and note the row', () => {
+  const { scripts, ss, salesforce } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '2025-01-01', '2025-06-30', 100],
+    [org.opportunities[0], org.products[1], 2, 120, '2025-01-01', '2025-06-30', 100]
+  ]);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'committed');
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 2);
+  const sheet = ss.getSheetByName('Quote');
+  assert.equal(sheet.getRange(2, ERRORS_COLUMN).getValue(), '');
+  assert.equal(sheet.getRange(3, STATUS_COLUMN).getValue(), 'Synced');
+  assert.equal(sheet.getRange(3, ERRORS_COLUMN).getValue(),
+    "Row 3, column 'Sales Price' (Sales_Price__c): Warning: is 120, above the maximum List_Price__c (100).");
+  assert.equal(sheet.getRange(3, ERRORS_COLUMN).getBackgrounds()[0][0], '#ffffff');
+});
+
+test('required rules report blank fields and regex rules accept matching values', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', '', 100],
+    [org.opportunities[0], org.products[1], 1, 100, '2025-01-01', '', '']
+  ], [
+    { 'Business Rule': { rule: 'required', field: 'List_Price__c' } },
+    { 'Business Rule': { rule: 'regex', field: 'Product__c', pattern: '01t[A-Za-z0-9]{12}(AAA)?', message: 'is not a product Id.' } }
+  ]);
+
+  const summary = scripts.processOliRecords(ss).opportunities[0];
+
+  assert.match(summary.error, /Found 1 business rule violation\(s\):\nRow 3, column 'List Price' \(List_Price__c\): is required\.$/);
+});
+
+test('date rules compare dates and text as days in the spreadsheet time zone', () => {
+  const { scripts } = loadScripts();
+  const table = {
+    columns: [{ api: 'Start_Date__c', label: 'Start' }, { api: 'End_Date__c', label: 'End' }],
+    rowNumbers: [2, 3, 4]
+  };
+  const rules = [{ rule: 'date_order', start_field: 'Start_Date__c', end_field: 'End_Date__c' }];
+
+  const violations = scripts.checkBusinessRules(rules, table, [
+    // 10 pm on March 1st in New York, already March 2nd in UTC.
+    { Start_Date__c: new Date('2025-03-02T03:00:00Z'), End_Date__c: '2025-03-01' },
+    { Start_Date__c: '2025-01-01', End_Date__c: '10/1/2025' },
+    { Start_Date__c: '2025-03-02T01:00:00Z', End_Date__c: '2025-02-28' }
+  ], 'America/New_York');
+
+  assert.deepEqual(plain(violations.map((violation) => [violation.row, violation.message])),
+    [[4, 'is 2025-02-28, before Start_Date__c (2025-03-01).']]);
+});
+
+test('a business rule on an unmapped field stops the sync', () => {
+  const { scripts, ss } = setup((org) => [[org.opportunities[0], org.products[0], 1, 100, '', '', 100]],
+    [{ 'Business Rule': { rule: 'range', field: 'Sales_Discount__c', max: 100 } }]);
+
+  const summary = scripts.processOliRecords(ss).opportunities[0];
+
+  assert.equal(summary.outcome, 'failed');
+  assert.match(summary.error, /Business rule 'range' uses Sales_Discount__c, which is not mapped/);
+});
+
+test('validateParameters checks the keys each business rule needs', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }, { 'Table Header Row': { Name: 1 } }].concat(
+        { 'Business Rule': { rule: 'regex', field: 'Product__c' } },
+        { 'Business Rule': { rule: 'range', field: 'Quantity__c' } },
+        { 'Business Rule': { rule: 'unique', field: 'Quantity__c', severity: 'info' } },
+        { 'Business Rule': { rule: 'regex', field: 'Product__c', pattern: '(' } }
+      ))
+    }
+  });
+
+  const messages = scripts.validateParameters(ss).problems.map((problem) => problem.row + ' ' + problem.message).join('\n');
+
+  assert.match(messages, /^4 'Business Rule' rule 'regex' needs 'pattern'/m);
+  assert.match(messages, /^5 'Business Rule' rule 'range' needs 'min', 'max' or both/m);
+  assert.match(messages, /^6 'Business Rule.rule' must be one of range, required, regex, date_order, no_overlap/m);
+  assert.match(messages, /^6 'Business Rule.severity' must be one of blocking, warning/m);
+  assert.match(messages, /^7 'Business Rule.pattern' is not a valid regular expression/m);
+});
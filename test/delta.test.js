@@ -0,0 +1,249 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, mappings } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision } = require('./fixtures');
+
+const DELTA_PARAMS = [{ 'Sync Mode': { Name: 'delta' } }].concat(
+  mappings([{ object_label: 'Line Key', object_api_name: 'Line_Key__c', external_id: true }]));
+
+function setup(rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(DELTA_PARAMS), Quote: [QUOTE_HEADERS.concat('Line Key')].concat(rows(org)) }
+  });
+  return Object.assign(harness, org);
+}
+
+// Seeds three active lines (keys L1 to L3) of revision 1 on the first Opportunity.
+function seedLines(salesforce, oppId, products) {
+  return seedRevision(salesforce, oppId, 1, [
+    { Product__c: products[0], Quantity__c: 1, Sales_Price__c: 100, Line_Key__c: 'L1' },
+    { Product__c: products[1], Quantity__c: 2, Sales_Price__c: 200, Line_Key__c: 'L2' },
+    { Product__c: products[1], Quantity__c: 3, Sales_Price__c: 300, Line_Key__c: 'L3' }
+  ]);
+}
+
+const lineItems = (salesforce) => salesforce.records('jellyfish_line_item__c');
+
+test('a delta sync writes only new and changed lines and deactivates removed ones', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[1], 5, 200, '', 'L2'],
+    [org.opportunities[0], org.products[0], 4, 400, '', 'L4']
+  ]);
+  const seeded = seedLines(salesforce, opportunities[0], products);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'committed');
+  assert.equal(result.mode, 'delta');
+  assert.deepEqual(plain(result.counts), { inserted: 1, updated: 1, unchanged: 1, removed: 1 });
+  const upserts = salesforce.dataRequests('patch', /composite\/sobjects\/jellyfish_line_item__c\/Line_Key__c/);
+  assert.equal(upserts.length, 1);
+  assert.deepEqual(upserts[0].body.records.map((record) => record.Line_Key__c), ['L2', 'L4']);
+
+  const records = lineItems(salesforce);
+  assert.equal(records.length, 4);
+  const byKey = Object.fromEntries(records.map((record) => [record.Line_Key__c, record]));
+  assert.equal(byKey.L1.Id, seeded[0].Id);
+  assert.equal(byKey.L2.Id, seeded[1].Id);
+  assert.equal(byKey.L2.Quantity__c, 5);
+  assert.equal(byKey.L3.Active__c, false);
+  assert.equal(byKey.L4.Active__c, true);
+  assert.equal(byKey.L4.Version_Number__c, 1);
+
+  const values = ss.getSheetByName('Quote').values();
+  assert.deepEqual(values.slice(1).map((row) => row.slice(6, 9)), [
+    ['Synced (unchanged)', seeded[0].Id, 1],
+    ['Synced (updated)', seeded[1].Id, 1],
+    ['Synced (inserted)', byKey.L4.Id, 1]
+  ]);
+  assert.match(scripts.describeActionResult('sync', result), /committed \(1 inserted, 1 updated, 1 unchanged, 1 removed\)[\s\S]*Total: 1 inserted/);
+});
+
+test('a delta sync of an unchanged sheet sends nothing', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[1], 2, 200, '', 'L2'],
+    [org.opportunities[0], org.products[1], 3, 300, '', 'L3']
+  ]);
+  seedLines(salesforce, opportunities[0], products);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.deepEqual(plain(result.counts), { inserted: 0, updated: 0, unchanged: 3, removed: 0 });
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+  assert.equal(salesforce.dataRequests('post', /composite/).length, 0);
+});
+
+test('a failed deactivation undoes the upsert of a delta sync', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[1], 5, 200, '', 'L2'],
+    [org.opportunities[0], org.products[0], 4, 400, '', 'L4']
+  ]);
+  const seeded = seedLines(salesforce, opportunities[0], products);
+  salesforce.rejectWhen('update', (record) => record.Active__c === false && 'Locked');
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'rolled back');
+  assert.match(summary.error, /Deactivation of the removed lines failed/);
+  const records = lineItems(salesforce);
+  assert.deepEqual(records.map((record) => record.Id), seeded.map((record) => record.Id));
+  assert.deepEqual(records.map((record) => [record.Line_Key__c, record.Quantity__c, record.Active__c]),
+    [['L1', 1, true], ['L2', 2, true], ['L3', 3, true]]);
+  assert.equal(ss.getSheetByName('Quote').getRange(2, 7).getValue(), 'Rolled back');
+});
+
+test('a delta sync reports blank, repeated and foreign keys before changing anything', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[1], org.products[0], 1, 100, '', ''],
+    [org.opportunities[1], org.products[0], 1, 100, '', 'K1'],
+    [org.opportunities[1], org.products[0], 1, 100, '', 'K1'],
+    [org.opportunities[1], org.products[0], 1, 100, '', 'L1']
+  ]);
+  seedLines(salesforce, opportunities[0], products);
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'failed');
+  assert.match(summary.error, /Row 2, column 'Line Key' \(Line_Key__c\): is blank/);
+  assert.match(summary.error, /Row 4, .*repeats the key 'K1' of row 3/);
+  assert.match(summary.error, new RegExp("Row 5, .*key 'L1' already belongs to a line of Opportunity " + opportunities[0]));
+  assert.equal(lineItems(salesforce).length, 3);
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+  assert.match(ss.getSheetByName('Quote').getRange(4, 10).getValue(), /repeats the key/);
+});
+
+test('a delta sync needs an External Id key column', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: { JF_SCRIPT_PARAMS: standardParams([{ 'Sync Mode': { Name: 'delta' } }]), Quote: [QUOTE_HEADERS] }
+  });
+
+  const result = scripts.validateParameters(ss);
+
+  assert.equal(result.valid, false);
+  assert.match(result.problems[0].message, /Sync Mode 'delta' needs a column mapping with "external_id": true/);
+});
+
+test('a delta sync matches 15-character Ids in the sheet with the 18-character Ids Salesforce returns', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0].slice(0, 15), org.products[0].slice(0, 15), 1, 100, '', 'L1'],
+    [org.opportunities[0].slice(0, 15), org.products[1].slice(0, 15), 2, 200, '', 'L2'],
+    [org.opportunities[0].slice(0, 15), org.products[1].slice(0, 15), 3, 300, '', 'L3']
+  ]);
+  seedLines(salesforce, opportunities[0], products);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.deepEqual(plain(result.counts), { inserted: 0, updated: 0, unchanged: 3, removed: 0 });
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+});
+
+test('a delta sync keeps the version of the active lines after an older revision is restored', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[1], 5, 200, '', 'L2'],
+    [org.opportunities[0], org.products[0], 4, 400, '', 'L4']
+  ]);
+  seedLines(salesforce, opportunities[0], products);
+  seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 9, Sales_Price__c: 900, Line_Key__c: 'R2' }], false);
+
+  const preview = scripts.previewOliRecords(ss);
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(preview[0].currentRevision, 2);
+  assert.equal(preview[0].newRevision, 1);
+  assert.equal(result.outcome, 'committed');
+  assert.equal(result.opportunities[0].revision, 1);
+  const active = lineItems(salesforce).filter((record) => record.Active__c);
+  assert.deepEqual(active.map((record) => record.Version_Number__c), [1, 1, 1]);
+});
+
+test('a delta sync reports keys held by several Salesforce records before changing anything', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[1], 5, 200, '', 'L2']
+  ]);
+  const seeded = seedLines(salesforce, opportunities[0], products);
+  const copy = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[0], Quantity__c: 1, Sales_Price__c: 100, Line_Key__c: 'L1' }], false);
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'failed');
+  assert.match(summary.error, new RegExp("Row 2, .*key 'L1' is on 2 records in Salesforce \\(" + seeded[0].Id + ', ' + copy[0].Id + '\\)'));
+  assert.doesNotMatch(summary.error, /Row 3/);
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+});
+
+test('the sync confirmation depends on the sync mode', () => {
+  const delta = setup(() => []);
+  delta.ui.nextAlertResponse = 'NO';
+  delta.scripts.menuSync();
+  const revision = loadScripts({ sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS] } });
+  revision.ui.nextAlertResponse = 'NO';
+  revision.scripts.menuSync();
+
+  assert.equal(delta.ui.alerts.length, 1);
+  assert.match(delta.ui.alerts[0].message, /in place\? New and changed lines are written/);
+  assert.match(revision.ui.alerts[0].message, /with a new revision\?/);
+  assert.equal(delta.salesforce.dataRequests('patch').length, 0);
+});
+
+test('a delta preview pairs lines on their key, as the delta sync does', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[0], 3, 300, '', 'L3'],
+    // The values of L2, under a new key: a new line, not L2 unchanged.
+    [org.opportunities[0], org.products[1], 2, 200, '', 'L4'],
+    [org.opportunities[0], org.products[1], 7, 70, '', 'L5']
+  ]);
+  const seeded = seedLines(salesforce, opportunities[0], products);
+  const inactive = seedRevision(salesforce, opportunities[0], 1, [
+    { Product__c: products[1], Quantity__c: 7, Sales_Price__c: 70, Line_Key__c: 'L5' }
+  ], false);
+
+  const summaries = plain(scripts.previewOliRecords(ss));
+
+  assert.deepEqual(summaries, [{
+    opportunityId: opportunities[0], currentRevision: 1, newRevision: 1,
+    added: 1, removed: 1, changed: 2, unchanged: 1, error: null
+  }]);
+  const rows = ss.getSheetByName('JF_PREVIEW').values().slice(5).map((row) => row.slice(1, 7));
+  assert.deepEqual(rows.filter((row) => row[0] !== 'added'), [
+    ['unchanged', 2, seeded[0].Id, '', '', ''],
+    ['changed', 3, seeded[2].Id, 'Product__c', products[1], products[0]],
+    ['changed', 5, inactive[0].Id, 'Active__c', 'false', 'true'],
+    ['removed', '', seeded[1].Id, 'opportunity_id__c', opportunities[0], ''],
+    ['removed', '', seeded[1].Id, 'Product__c', products[1], ''],
+    ['removed', '', seeded[1].Id, 'Quantity__c', '2', ''],
+    ['removed', '', seeded[1].Id, 'Sales_Price__c', '200', ''],
+    ['removed', '', seeded[1].Id, 'Line_Key__c', 'L2', '']
+  ]);
+  assert.ok(rows.every((row) => row[0] !== 'added' || row[1] === 4));
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+});
+
+test('a delta preview reports the key problems the delta sync would stop on', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '', 'L1'],
+    [org.opportunities[0], org.products[0], 1, 100, '', ''],
+    [org.opportunities[0], org.products[1], 2, 200, '', 'L1'],
+    [org.opportunities[0], org.products[1], 2, 200, '', 'L9']
+  ]);
+  seedRevision(salesforce, opportunities[1], 1, [{ Product__c: products[0], Quantity__c: 1, Line_Key__c: 'L9' }]);
+
+  const summary = plain(scripts.previewOliRecords(ss))[0];
+
+  assert.match(summary.error, /Found 3 problem\(s\) with the line keys/);
+  assert.match(summary.error, /Row 3, .*is blank/);
+  assert.match(summary.error, /Row 4, .*repeats the key 'L1' of row 2/);
+  assert.match(summary.error, new RegExp("Row 5, .*key 'L9' already belongs to a line of Opportunity " + opportunities[1]));
+  assert.equal(summary.added, 0);
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { describeObject } = require('./fakeSalesforce');
+const { createOrg } = require('./fixtures');
+
+const DESCRIBE = describeObject('jellyfish_line_item__c', {
+  opportunity_id__c: { type: 'reference', nillable: false, referenceTo: ['Opportunity'] },
+  Name__c: { type: 'string', length: 10 },
+  Quantity__c: 'int',
+  Billing__c: { type: 'picklist', restrictedPicklist: true, picklistValues: [
+    { value: 'Monthly', active: true }, { value: 'Weekly', active: false }
+  ] },
+  Start_Date__c: 'date',
+  Taxable__c: 'boolean',
+  Total__c: { type: 'currency', createable: false, updateable: false },
+  Region__c: { type: 'string', nillable: false },
+  Active__c: { type: 'boolean', nillable: false, defaultedOnCreate: true },
+  Version_Number__c: 'double'
+});
+
+function columns(names) {
+  return names.map((api) => ({ group: 'jellyfish_line_item__c', api, label: api.replace(/__c$/, ''), col: 0, mapping: {} }));
+}
+
+test('checkRecordsAgainstDescribe reports unknown, read-only and unmapped required fields', () => {
+  const { scripts } = loadScripts();
+  const table = { columns: columns(['Quantity__c', 'Discount__c', 'Total__c']), rowNumbers: [] };
+
+  const problems = plain(scripts.checkRecordsAgainstDescribe(DESCRIBE, table, []));
+
+  assert.deepEqual(problems.map((problem) => [problem.row, problem.field, problem.message]), [
+    [null, 'Discount__c', 'is not a field on jellyfish_line_item__c.'],
+    [null, 'Total__c', 'cannot be set when creating records (read-only, formula or system field).'],
+    [null, 'Region__c', 'is required by Salesforce but is not mapped.']
+  ]);
+});
+
+test('checkRecordsAgainstDescribe reports values that do not fit their field, by sheet row', () => {
+  const { scripts } = loadScripts();
+  const table = {
+    columns: columns(['Name__c', 'Quantity__c', 'Billing__c', 'Start_Date__c', 'Taxable__c', 'Region__c']),
+    rowNumbers: [4, 5]
+  };
+
+  const problems = plain(scripts.checkRecordsAgainstDescribe(DESCRIBE, table, [
+    { Name__c: 'Platform', Quantity__c: 2, Billing__c: 'Monthly', Start_Date__c: '2025-03-01', Taxable__c: true, Region__c: 'EU' },
+    { Name__c: 'Platform seats', Quantity__c: 2.5, Billing__c: 'Weekly', Start_Date__c: new Date(), Taxable__c: 'yes',
+      Region__c: '', opportunity_id__c: '006-nope' }
+  ]));
+
+  assert.equal(scripts.formatRecordProblems(problems), [
+    'Row 5, column \'Name\' (Name__c): "Platform seats" is 14 characters long; the field allows 10.',
+    'Row 5, column \'Quantity\' (Quantity__c): 2.5 is not a whole number.',
+    'Row 5, column \'Billing\' (Billing__c): "Weekly" is not an allowed value (allowed: Monthly).',
+    'Row 5, column \'Start_Date\' (Start_Date__c): is a date cell; declare "type":"date" on the mapping so it is sent as yyyy-MM-dd.',
+    'Row 5, column \'Taxable\' (Taxable__c): "yes" is not TRUE or FALSE (declare "type":"boolean" on the mapping).',
+    'Row 5, column \'Region\' (Region__c): is required.',
+    'Row 5 (opportunity_id__c): "006-nope" is not a Salesforce record Id (Opportunity).'
+  ].join('\n'));
+});
+
+test('validateLineItemsAgainstDescribe fetches the describe once and throws one report', () => {
+  const { salesforce } = createOrg();
+  salesforce.setDescribe('jellyfish_line_item__c', DESCRIBE);
+  const { scripts, ss } = loadScripts({ salesforce });
+  const table = { columns: columns(['Quantity__c', 'Region__c']), rowNumbers: [2, 3] };
+
+  scripts.validateLineItemsAgainstDescribe(ss, table, [{ Quantity__c: 1, Region__c: 'EU' }]);
+  assert.throws(() => scripts.validateLineItemsAgainstDescribe(ss, table, [{ Quantity__c: 1, Region__c: 'EU' }, { Quantity__c: 'two', Region__c: 'EU' }]),
+    /^Error: Found 1 problem\(s\) against the jellyfish_line_item__c metadata:\nRow 3, column 'Quantity' \(Quantity__c\): "two" is not a number\.$/);
+
+  assert.equal(salesforce.dataRequests('get', /\/describe$/).length, 1);
+});
@@ -0,0 +1,580 @@
+'use strict';
+
+/**
+ * An in-memory Salesforce org behind UrlFetchApp.fetch: the OAuth token endpoint, SOQL queries
+ * (the subset the scripts generate), describe and the composite sObject collection endpoints.
+ *
+ * Records are stored per sObject. Tests seed them with insert(), inspect them with records(),
+ * and make the org reject records with rejectWhen().
+ *
+ * Queries of a described sObject fail with INVALID_FIELD, as in a real org, when they use a field
+ * that is neither in the describe nor one of SYSTEM_FIELDS (relationship paths are not checked).
+ */
+
+const DEFAULT_KEY_PREFIXES = {
+  Opportunity: '006',
+  Product2: '01t',
+  Pricebook2: '01s',
+  PricebookEntry: '01u',
+  jellyfish_line_item__c: 'a0J'
+};
+
+const ALL_OR_NONE_ERROR = {
+  statusCode: 'ALL_OR_NONE_OPERATION_ROLLED_BACK',
+  message: 'Record rolled back because not all records were valid and the request was using AllOrNone header',
+  fields: []
+};
+
+// Fields every sObject has, whether or not a test's describe lists them.
+const SYSTEM_FIELDS = ['Id', 'CreatedDate', 'CreatedById', 'LastModifiedDate', 'LastModifiedById', 'SystemModstamp'];
+
+const GRANT_TYPES = ['client_credentials', 'refresh_token', 'urn:ietf:params:oauth:grant-type:jwt-bearer'];
+
+function createFakeSalesforce(options = {}) {
+  const instanceUrl = options.instanceUrl || 'https://fake.my.salesforce.com';
+  const describes = Object.assign({}, options.describes);
+  const store = {};
+  const requests = [];
+  const rejections = [];
+  const failures = [];
+  const cursors = {};
+  let accessToken = '00D000000000001!fake.token.1';
+  let tokenRequests = 0;
+  let tokenError = null;
+  let tokenLifetime = null;
+  let idCounter = 0;
+  let clock = Date.parse('2025-01-01T00:00:00Z');
+  let pageSize = options.pageSize || 2000;
+
+  const keyPrefix = (sobject) =>
+    (describes[sobject] && describes[sobject].keyPrefix) || DEFAULT_KEY_PREFIXES[sobject] || 'a00';
+
+  const newId = (sobject) => {
+    idCounter++;
+    const base = keyPrefix(sobject) + '000000' + String(idCounter).padStart(6, '0');
+    return base + idChecksum(base);
+  };
+
+  const table = (sobject) => store[sobject] || (store[sobject] = []);
+
+  const insert = (sobject, record) => {
+    clock += 1000;
+    const stored = Object.assign({ Id: newId(sobject), CreatedDate: new Date(clock).toISOString() }, record);
+    delete stored.attributes;
+    table(sobject).push(stored);
+    return stored;
+  };
+
+  const findById = (id) => {
+    for (const sobject of Object.keys(store)) {
+      const record = store[sobject].find((candidate) => candidate.Id.slice(0, 15) === String(id).slice(0, 15));
+      if (record) return { sobject, record };
+    }
+    return null;
+  };
+
+  const rejection = (operation, sobject, record) => {
+    for (const rule of rejections) {
+      if (rule.operation !== operation && rule.operation !== '*') continue;
+      const error = rule.test(record, sobject);
+      if (error) {
+        return [Object.assign({ statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION', fields: [] },
+          typeof error === 'string' ? { message: error } : error)];
+      }
+    }
+    return null;
+  };
+
+  // Applies one collection request all or nothing (when allOrNone) and returns the per-record results.
+  // An item's own operation (upserts are creates or updates) takes precedence for rejectWhen().
+  const collection = (operation, items, allOrNone, apply) => {
+    const checked = items.map((item) => {
+      const errors = item.errors || rejection(item.operation || operation, item.sobject, item.record);
+      return errors ? { success: false, errors } : null;
+    });
+    const failed = checked.some(Boolean);
+    return items.map((item, i) => {
+      if (checked[i]) return Object.assign({ id: item.id || null }, checked[i]);
+      if (failed && allOrNone) return { id: item.id || null, success: false, errors: [ALL_OR_NONE_ERROR] };
+      return { id: apply(item), success: true, errors: [] };
+    });
+  };
+
+  const handlers = [
+    {
+      method: 'post',
+      path: /^\/services\/oauth2\/token$/,
+      handle: (match, url, body) => {
+        tokenRequests++;
+        if (tokenError) return [400, tokenError];
+        if (!body || GRANT_TYPES.indexOf(body.grant_type) === -1) {
+          return [400, { error: 'unsupported_grant_type', error_description: 'grant type not supported' }];
+        }
+        const token = { access_token: accessToken, instance_url: instanceUrl, token_type: 'Bearer', issued_at: String(clock) };
+        if (tokenLifetime !== null) token.expires_in = tokenLifetime;
+        return [200, token];
+      }
+    },
+    {
+      method: 'get',
+      path: /^\/services\/data\/v[\d.]+\/query\/(\w+)$/,
+      handle: (match) => {
+        const cursor = cursors[match[1]];
+        if (!cursor) return [404, [{ errorCode: 'INVALID_QUERY_LOCATOR', message: 'invalid query locator' }]];
+        return [200, page(cursor.records, cursor.offset, cursor.totalSize)];
+      }
+    },
+    {
+      method: 'get',
+      path: /^\/services\/data\/v[\d.]+\/query$/,
+      handle: (match, url) => {
+        let records;
+        try {
+          records = runSoql(url.searchParams.get('q'));
+        } catch (e) {
+          return [400, [{ errorCode: e.errorCode || 'MALFORMED_QUERY', message: e.message }]];
+        }
+        return [200, page(records, 0, records.length)];
+      }
+    },
+    {
+      method: 'get',
+      path: /^\/services\/data\/v[\d.]+\/sobjects\/(\w+)\/describe$/,
+      handle: (match) => describes[match[1]] ?
+        [200, describes[match[1]]] :
+        [404, [{ errorCode: 'NOT_FOUND', message: "The requested resource does not exist: " + match[1] }]]
+    },
+    {
+      method: 'post',
+      path: /^\/services\/data\/v[\d.]+\/composite\/sobjects$/,
+      handle: (match, url, body) => [200, collection('create',
+        body.records.map((record) => ({ sobject: record.attributes.type, record })),
+        body.allOrNone,
+        (item) => insert(item.sobject, item.record).Id)]
+    },
+    {
+      method: 'patch',
+      path: /^\/services\/data\/v[\d.]+\/composite\/sobjects$/,
+      handle: (match, url, body) => [200, collection('update',
+        body.records.map((record) => {
+          const found = findById(record.Id);
+          return found ?
+            { id: record.Id, sobject: found.sobject, record: Object.assign({}, found.record, record) } :
+            { id: record.Id, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+        }),
+        body.allOrNone,
+        (item) => {
+          const found = findById(item.id);
+          Object.keys(item.record).forEach((key) => {
+            if (key !== 'attributes') found.record[key] = item.record[key];
+          });
+          return found.record.Id;
+        })]
+    },
+    {
+      method: 'patch',
+      path: /^\/services\/data\/v[\d.]+\/composite\/sobjects\/(\w+)\/(\w+)$/,
+      handle: (match, url, body) => {
+        const [, sobject, field] = match;
+        const items = body.records.map((record) => {
+          const key = record[field];
+          if (key === undefined || key === null || key === '') {
+            return { sobject, record, errors: [{ statusCode: 'MISSING_ARGUMENT', message: field + ' not specified', fields: [] }] };
+          }
+          const existing = table(sobject).find((candidate) => candidate[field] === key);
+          return existing ?
+            { id: existing.Id, sobject, record, existing, operation: 'update' } :
+            { sobject, record, operation: 'create' };
+        });
+        const results = collection('upsert', items, body.allOrNone, (item) => {
+          if (!item.existing) return insert(sobject, item.record).Id;
+          Object.keys(item.record).forEach((key) => {
+            if (key !== 'attributes') item.existing[key] = item.record[key];
+          });
+          return item.existing.Id;
+        });
+        return [200, results.map((result, i) => Object.assign(result, { created: result.success && !items[i].existing }))];
+      }
+    },
+    {
+      method: 'delete',
+      path: /^\/services\/data\/v[\d.]+\/composite\/sobjects$/,
+      handle: (match, url) => [200, collection('delete',
+        url.searchParams.get('ids').split(',').map((id) => {
+          const found = findById(id);
+          return found ?
+            { id, sobject: found.sobject, record: found.record } :
+            { id, errors: [{ statusCode: 'ENTITY_IS_DELETED', message: 'entity is deleted', fields: [] }] };
+        }),
+        url.searchParams.get('allOrNone') === 'true',
+        (item) => {
+          const records = table(item.sobject);
+          records.splice(records.indexOf(findById(item.id).record), 1);
+          return item.id;
+        })]
+    }
+  ];
+
+  const page = (records, offset, totalSize) => {
+    const slice = records.slice(offset, offset + pageSize);
+    const done = offset + slice.length >= records.length;
+    const result = { totalSize, done, records: slice };
+    if (!done) {
+      const locator = '01g' + String(Object.keys(cursors).length + 1).padStart(15, '0');
+      cursors[locator] = { records, offset: offset + slice.length, totalSize };
+      result.nextRecordsUrl = '/services/data/v58.0/query/' + locator;
+    }
+    return result;
+  };
+
+  const runSoql = (soql) => {
+    const query = parseSoql(soql);
+    checkQueryFields(query);
+    let records = table(query.from).filter((record) => !query.where || evaluate(query.where, record));
+    if (query.orderBy.length) {
+      records = records.slice().sort((a, b) => compareForOrder(query.orderBy, a, b));
+    }
+    if (query.limit !== null) {
+      records = records.slice(0, query.limit);
+    }
+    return records.map((record) => project(query, record));
+  };
+
+  const checkQueryFields = (query) => {
+    const describe = describes[query.from];
+    if (!describe) return;
+    const known = SYSTEM_FIELDS.concat(describe.fields.map((field) => field.name)).map((name) => name.toLowerCase());
+    const used = query.fields.concat(conditionFields(query.where), query.orderBy.map((order) => order.field));
+    used.forEach((field) => {
+      if (field.indexOf('.') === -1 && known.indexOf(field.toLowerCase()) === -1) {
+        const error = new Error("No such column '" + field + "' on entity '" + query.from + "'.");
+        error.errorCode = 'INVALID_FIELD';
+        throw error;
+      }
+    });
+  };
+
+  const project = (query, record) => {
+    const result = { attributes: { type: query.from, url: '/services/data/v58.0/sobjects/' + query.from + '/' + record.Id } };
+    query.fields.forEach((path) => {
+      const parts = path.split('.');
+      const key = actualKey(record, parts[0]);
+      if (parts.length === 1) {
+        result[key || parts[0]] = key ? record[key] : null;
+        return;
+      }
+      const value = readPath(record, path);
+      let target = result;
+      parts.slice(0, -1).forEach((part) => {
+        target = target[part] || (target[part] = {});
+      });
+      target[parts[parts.length - 1]] = value === undefined ? null : value;
+    });
+    return result;
+  };
+
+  const fetch = (url, options = {}) => {
+    const method = (options.method || 'get').toLowerCase();
+    const parsed = new URL(url);
+    const body = typeof options.payload === 'string' && options.contentType === 'application/json' ?
+      JSON.parse(options.payload) : options.payload;
+    const headers = options.headers || {};
+    requests.push({ method, url, path: parsed.pathname, body, headers });
+
+    const failure = failures.find((candidate) => candidate.count > 0 && (!candidate.pattern || candidate.pattern.test(parsed.pathname)));
+    if (failure && failure.skip > 0) {
+      failure.skip--;
+    } else if (failure) {
+      failure.count--;
+      if (failure.response.error) throw new Error(failure.response.error);
+      return respond(url, options, failure.response.status, failure.response.body, failure.response.headers);
+    }
+
+    const handler = handlers.find((candidate) => candidate.method === method && candidate.path.test(parsed.pathname));
+    let status;
+    let responseBody;
+    if (!parsed.pathname.startsWith('/services/oauth2/') && headers.Authorization !== 'Bearer ' + accessToken) {
+      [status, responseBody] = [401, [{ errorCode: 'INVALID_SESSION_ID', message: 'Session expired or invalid' }]];
+    } else if (!handler) {
+      [status, responseBody] = [404, [{ errorCode: 'NOT_FOUND', message: 'No fake for ' + method + ' ' + parsed.pathname }]];
+    } else {
+      [status, responseBody] = handler.handle(parsed.pathname.match(handler.path), parsed, body);
+    }
+    return respond(url, options, status, responseBody);
+  };
+
+  // A raw string body (e.g. an HTML error page) is sent as is; anything else as JSON.
+  const respond = (url, options, status, responseBody, responseHeaders) => {
+    const text = responseBody === null || responseBody === undefined ? '' :
+      typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody);
+    if (status >= 400 && !options.muteHttpExceptions) {
+      throw new Error('Request failed for ' + url + ' returned code ' + status + '. Truncated server response: ' + text);
+    }
+    return {
+      getResponseCode: () => status,
+      getContentText: () => text,
+      getHeaders: () => Object.assign({ 'Content-Type': 'application/json' }, responseHeaders)
+    };
+  };
+
+  return {
+    instanceUrl,
+    fetch,
+    requests,
+
+    /** Adds a record directly (no validation) and returns it with its generated Id. */
+    insert: (sobject, record) => insert(sobject, record),
+
+    /** Returns copies of the stored records of an sObject, optionally filtered. */
+    records: (sobject, filter) => table(sobject).filter(filter || (() => true)).map((record) => Object.assign({}, record)),
+
+    /** Registers a describe result (see describeObject). */
+    setDescribe: (sobject, describe) => { describes[sobject] = describe; },
+
+    /**
+     * Makes the org reject records: test(record, sobject) returns an error message (or
+     * { statusCode, message, fields }) for records to reject. operation is create, update, delete or *;
+     * upserted records are checked as creates or updates.
+     */
+    rejectWhen: (operation, test) => { rejections.push({ operation, test }); },
+
+    /** Issues a new token, invalidating the old one (as an expired session would). */
+    expireSession: () => { accessToken = '00D000000000001!fake.token.' + (tokenRequests + 2); },
+
+    /** Makes the token endpoint answer with an OAuth error, e.g. { error: 'invalid_client', error_description: '...' }. */
+    failTokenRequests: (error) => { tokenError = error; },
+
+    /** Makes the token endpoint answer with expires_in (in seconds), as some auth flows do. */
+    setTokenLifetime: (seconds) => { tokenLifetime = seconds; },
+
+    /**
+     * Answers the next `count` requests whose path matches `pattern` (all requests without one) with
+     * `response` instead: { status, body, headers } (a string body is sent raw), or { error } to make
+     * UrlFetchApp.fetch throw as it does for network failures. The first `skip` matching requests are
+     * answered normally, so a failure can hit a later chunk of a large write.
+     */
+    failNext: (count, response, pattern, skip) => { failures.push({ count, response, pattern, skip: skip || 0 }); },
+
+    setPageSize: (size) => { pageSize = size; },
+    tokenRequests: () => tokenRequests,
+    dataRequests: (method, pattern) => requests.filter((request) =>
+      request.method === method && (!pattern || pattern.test(request.path + (request.url.split('?')[1] || ''))))
+  };
+}
+
+/**
+ * Builds a describe result: describeObject('Product2', { Name: 'string', ProductCode: {...} }).
+ * Field specs are a type name or { type, length, nillable, createable, defaultedOnCreate, picklistValues, restrictedPicklist }.
+ */
+function describeObject(name, fields, keyPrefix) {
+  return {
+    name,
+    keyPrefix: keyPrefix || DEFAULT_KEY_PREFIXES[name] || 'a00',
+    fields: [{ name: 'Id', type: 'id', createable: false, nillable: false, defaultedOnCreate: true }].concat(
+      Object.keys(fields).map((fieldName) => {
+        const spec = typeof fields[fieldName] === 'string' ? { type: fields[fieldName] } : fields[fieldName];
+        return Object.assign({
+          name: fieldName,
+          length: spec.type === 'string' || spec.type === 'textarea' ? 255 : 0,
+          nillable: true,
+          createable: true,
+          updateable: true,
+          defaultedOnCreate: false,
+          restrictedPicklist: false,
+          picklistValues: []
+        }, spec);
+      }))
+  };
+}
+
+// --- SOQL subset: SELECT fields FROM object [WHERE ...] [ORDER BY ...] [LIMIT n] ---
+
+function parseSoql(soql) {
+  const tokens = tokenize(soql);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const keyword = (word) => peek() && peek().type === 'word' && peek().value.toUpperCase() === word;
+  const expect = (word) => {
+    if (!keyword(word)) throw new Error('Expected ' + word + ' at ' + JSON.stringify(peek()));
+    next();
+  };
+
+  expect('SELECT');
+  const fields = [];
+  do {
+    fields.push(next().value);
+  } while (peek().value === ',' && next());
+  expect('FROM');
+  const from = next().value;
+
+  const parseValue = () => {
+    const token = next();
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    const word = token.value.toLowerCase();
+    if (word === 'true' || word === 'false') return word === 'true';
+    if (word === 'null') return null;
+    return token.value; // Date literals such as 2025-01-01
+  };
+  const parseCondition = () => {
+    if (peek().value === '(') {
+      next();
+      const inner = parseOr();
+      next(); // )
+      return inner;
+    }
+    const field = next().value;
+    if (keyword('IN') || keyword('NOT')) {
+      const negate = keyword('NOT') && next() && true;
+      expect('IN');
+      next(); // (
+      const values = [];
+      while (peek().value !== ')') {
+        values.push(parseValue());
+        if (peek().value === ',') next();
+      }
+      next(); // )
+      return { field, op: negate ? 'NOT IN' : 'IN', value: values };
+    }
+    const op = next().value;
+    return { field, op, value: parseValue() };
+  };
+  const parseAnd = () => {
+    let left = parseCondition();
+    while (keyword('AND')) {
+      next();
+      left = { and: [left, parseCondition()] };
+    }
+    return left;
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (keyword('OR')) {
+      next();
+      left = { or: [left, parseAnd()] };
+    }
+    return left;
+  };
+
+  let where = null;
+  if (keyword('WHERE')) {
+    next();
+    where = parseOr();
+  }
+  const orderBy = [];
+  if (keyword('ORDER')) {
+    next();
+    expect('BY');
+    do {
+      const order = { field: next().value, descending: false, nullsLast: null };
+      if (keyword('ASC') || keyword('DESC')) order.descending = next().value.toUpperCase() === 'DESC';
+      if (keyword('NULLS')) {
+        next();
+        order.nullsLast = next().value.toUpperCase() === 'LAST';
+      }
+      orderBy.push(order);
+    } while (peek() && peek().value === ',' && next());
+  }
+  let limit = null;
+  if (keyword('LIMIT')) {
+    next();
+    limit = Number(next().value);
+  }
+  if (peek()) throw new Error('Unexpected ' + JSON.stringify(peek()) + ' in ' + soql);
+  return { fields, from, where, orderBy, limit };
+}
+
+function tokenize(soql) {
+  const tokens = [];
+  const pattern = /\s*(?:('(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?(?![\w-]))|(!=|<=|>=|[(),=<>])|([\w.:-]+))/gy;
+  let match;
+  while (pattern.lastIndex < soql.length && (match = pattern.exec(soql))) {
+    if (match[1]) tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, (m, c) => ({ n: '\n', r: '\r', t: '\t' }[c] || c)) });
+    else if (match[2]) tokens.push({ type: 'number', value: Number(match[2]) });
+    else if (match[3]) tokens.push({ type: 'symbol', value: match[3] });
+    else if (match[4]) tokens.push({ type: 'word', value: match[4] });
+    if (/^\s*$/.test(soql.slice(pattern.lastIndex))) break;
+  }
+  return tokens;
+}
+
+function conditionFields(condition) {
+  if (!condition) return [];
+  if (condition.and || condition.or) {
+    return (condition.and || condition.or).reduce((fields, part) => fields.concat(conditionFields(part)), []);
+  }
+  return [condition.field];
+}
+
+function evaluate(condition, record) {
+  if (condition.and) return condition.and.every((part) => evaluate(part, record));
+  if (condition.or) return condition.or.some((part) => evaluate(part, record));
+  const value = readPath(record, condition.field);
+  const actual = value === undefined ? null : value;
+  const same = (expected) => typeof actual === 'string' && typeof expected === 'string' ?
+    (isId(actual) && isId(expected) ? actual.slice(0, 15) === expected.slice(0, 15) : actual.toLowerCase() === expected.toLowerCase()) :
+    actual === expected;
+  switch (condition.op) {
+    case '=': return same(condition.value);
+    case '!=': return !same(condition.value);
+    case 'IN': return condition.value.some(same);
+    case 'NOT IN': return !condition.value.some(same);
+    case '<': return actual !== null && actual < condition.value;
+    case '>': return actual !== null && actual > condition.value;
+    case '<=': return actual !== null && actual <= condition.value;
+    case '>=': return actual !== null && actual >= condition.value;
+    default: throw new Error('Unsupported operator ' + condition.op);
+  }
+}
+
+function compareForOrder(orderBy, a, b) {
+  for (const order of orderBy) {
+    const left = readPath(a, order.field);
+    const right = readPath(b, order.field);
+    const leftNull = left === null || left === undefined;
+    const rightNull = right === null || right === undefined;
+    if (leftNull || rightNull) {
+      if (leftNull && rightNull) continue;
+      // Salesforce sorts nulls first ascending and last descending unless told otherwise.
+      const nullsLast = order.nullsLast === null ? order.descending : order.nullsLast;
+      return (leftNull ? 1 : -1) * (nullsLast ? 1 : -1);
+    }
+    if (left < right) return order.descending ? 1 : -1;
+    if (left > right) return order.descending ? -1 : 1;
+  }
+  return 0;
+}
+
+// Field names are case-insensitive in SOQL; stored records keep Salesforce's spelling.
+function actualKey(record, name) {
+  if (!record || typeof record !== 'object') return null;
+  return Object.keys(record).find((key) => key.toLowerCase() === name.toLowerCase()) || null;
+}
+
+function readPath(record, path) {
+  return path.split('.').reduce((value, part) => {
+    if (value === null || value === undefined) return value;
+    const key = actualKey(value, part);
+    return key === null ? undefined : value[key];
+  }, record);
+}
+
+function isId(value) {
+  return /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(value) && /\d/.test(value);
+}
+
+function idChecksum(id15) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+  let suffix = '';
+  for (let block = 0; block < 3; block++) {
+    let flags = 0;
+    for (let i = 0; i < 5; i++) {
+      const c = id15.charAt(block * 5 + i);
+      if (c >= 'A' && c <= 'Z') flags += 1 << i;
+    }
+    suffix += alphabet.charAt(flags);
+  }
+  return suffix;
+}
+
+module.exports = { createFakeSalesforce, describeObject, idChecksum };
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, sheetDate, TIME_ZONE } = require('./harness');
+
+function converter() {
+  const { scripts } = loadScripts();
+  return (value, mapping) => scripts.convertCellValue(value, mapping, TIME_ZONE);
+}
+
+test('convertCellValue converts each field type', () => {
+  const convert = converter();
+
+  assert.equal(convert('1,250.5', { type: 'number' }), 1250.5);
+  assert.equal(convert('$1,250', { type: 'currency' }), 1250);
+  assert.equal(convert('(1,250)', { type: 'currency' }), -1250);
+  assert.equal(convert(0.15, { type: 'percent' }), 15);
+  assert.equal(convert('12.5%', { type: 'percent' }), 12.5);
+  assert.equal(convert(sheetDate(2025, 3, 1), { type: 'date' }), '2025-03-01');
+  assert.equal(convert('3/1/2025', { type: 'date' }), '2025-03-01');
+  assert.equal(convert('2025-02-01T09:00:00Z', { type: 'datetime' }), '2025-02-01T09:00:00.000Z');
+  assert.equal(convert('Yes', { type: 'boolean' }), true);
+  assert.equal(convert('n', { type: 'boolean' }), false);
+  assert.equal(convert(' annual ', { type: 'picklist', values: 'Monthly, Annual' }), 'Annual');
+  assert.equal(convert(42, { type: 'text' }), '42');
+  assert.equal(convert('', { type: 'number' }), null);
+  assert.equal(convert('', {}), '');
+});
+
+test('convertCellValue applies trim, upper, default, value_map, scale and round in that order', () => {
+  const convert = converter();
+
+  assert.equal(convert('  jf-plat ', { trim: true, upper: true }), 'JF-PLAT');
+  assert.equal(convert('   ', { trim: true, default: 'USD' }), 'USD');
+  assert.equal(convert('Included', { type: 'boolean', value_map: '{"Included":"yes","Extra":"no"}' }), true);
+  assert.equal(convert('Other', { value_map: { Included: true } }), 'Other');
+  assert.equal(convert('2.345', { type: 'number', scale: 1000, round: 0 }), 2345);
+  assert.equal(convert(1 / 3, { type: 'percent', round: 2 }), 33.33);
+});
+
+test('convertCellValue explains values it cannot convert', () => {
+  const convert = converter();
+
+  assert.throws(() => convert('twelve', { type: 'number' }), /^Error: is not a number\.$/);
+  assert.throws(() => convert('2025-02-30', { type: 'date' }), /is not a valid date/);
+  assert.throws(() => convert('next week', { type: 'date' }), /is not a date \(use a date cell, yyyy-MM-dd or M\/d\/yyyy\)/);
+  assert.throws(() => convert('soon', { type: 'datetime' }), /is not a date and time/);
+  assert.throws(() => convert('maybe', { type: 'boolean' }), /is not a checkbox value/);
+  assert.throws(() => convert('Weekly', { type: 'picklist', values: ['Monthly', 'Annual'] }),
+    /is not one of the allowed values: Monthly, Annual/);
+  assert.throws(() => convert('abcdef', { type: 'text', max_length: 5 }), /is 6 characters long; the maximum is 5/);
+  assert.throws(() => convert('x', { type: 'color' }), /has unknown type 'color'/);
+});
+
+test('revertCellValue undoes percent, scale, value_map and date conversions', () => {
+  const { scripts } = loadScripts();
+
+  assert.equal(scripts.revertCellValue(15, { type: 'percent' }), 0.15);
+  assert.equal(scripts.revertCellValue(2345, { type: 'number', scale: 1000 }), 2.345);
+  assert.equal(scripts.revertCellValue(true, { type: 'boolean', value_map: { Included: true } }), 'Included');
+  assert.equal(scripts.revertCellValue(null, { type: 'number' }), '');
+  const date = scripts.revertCellValue('2025-03-01', { type: 'date' });
+  assert.ok(date instanceof Date);
+  assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate()], [2025, 2, 1]);
+});
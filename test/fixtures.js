@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * A small org and quote sheet shared by the tests: two Opportunities, two products and a
+ * jellyfish_line_item__c describe with the fields the default mappings use.
+ */
+
+const { createFakeSalesforce, describeObject } = require('./fakeSalesforce');
+const { paramsSheet, mappings } = require('./harness');
+
+const QUOTE_HEADERS = ['Opportunity', 'Product', 'Quantity', 'Sales Price', 'Start Date'];
+
+const QUOTE_MAPPINGS = mappings([
+  { object_label: 'Opportunity', object_api_name: 'opportunity_id__c' },
+  { object_label: 'Product', object_api_name: 'Product__c' },
+  { object_label: 'Quantity', object_api_name: 'Quantity__c', type: 'number' },
+  { object_label: 'Sales Price', object_api_name: 'Sales_Price__c', type: 'currency' },
+  { object_label: 'Start Date', object_api_name: 'Start_Date__c', type: 'date' }
+]);
+
+function lineItemDescribe() {
+  return describeObject('jellyfish_line_item__c', {
+    opportunity_id__c: { type: 'reference', nillable: false, referenceTo: ['Opportunity'] },
+    Product__c: { type: 'reference', referenceTo: ['Product2'] },
+    Quantity__c: 'double',
+    Sales_Price__c: 'currency',
+    Start_Date__c: 'date',
+    End_Date__c: 'date',
+    List_Price__c: 'currency',
+    Active__c: { type: 'boolean', nillable: false, defaultedOnCreate: true },
+    Version_Number__c: 'double',
+    Line_Key__c: { type: 'string', externalId: true, unique: true }
+  });
+}
+
+/**
+ * @returns {Object} { salesforce, opportunities: [id, id], products: [id, id] }.
+ */
+function createOrg(options) {
+  const salesforce = createFakeSalesforce(options);
+  salesforce.setDescribe('jellyfish_line_item__c', lineItemDescribe());
+  salesforce.setDescribe('Product2', describeObject('Product2', { Name: 'string', ProductCode: 'string' }));
+  const opportunities = [
+    salesforce.insert('Opportunity', { Name: 'Acme renewal' }).Id,
+    salesforce.insert('Opportunity', { Name: 'Globex expansion' }).Id
+  ];
+  const products = [
+    salesforce.insert('Product2', { Name: 'Platform', ProductCode: 'JF-PLAT' }).Id,
+    salesforce.insert('Product2', { Name: 'Services', ProductCode: 'JF-SVC' }).Id
+  ];
+  return { salesforce, opportunities, products };
+}
+
+/** The standard JF_SCRIPT_PARAMS sheet, plus any extra parameter objects. */
+function standardParams(extra) {
+  return paramsSheet([
+    { 'Input Sheet': { Name: 'Quote' } },
+    { 'Table Header Row': { Name: 1 } }
+  ].concat(QUOTE_MAPPINGS, extra || []));
+}
+
+/** Seeds an active revision of line items for an Opportunity. */
+function seedRevision(salesforce, oppId, version, items, active) {
+  return items.map((item) => salesforce.insert('jellyfish_line_item__c', Object.assign({
+    opportunity_id__c: oppId,
+    Active__c: active !== false,
+    Version_Number__c: version
+  }, item)));
+}
+
+module.exports = { QUOTE_HEADERS, QUOTE_MAPPINGS, lineItemDescribe, createOrg, standardParams, seedRevision };
@@ -0,0 +1,350 @@
+'use strict';
+
+/**
+ * Loads the Apps Script files (every top-level .js file) into one vm context, the way Apps
+ * Script shares a single global scope between files, with in-memory stand-ins for the services
+ * they use: SpreadsheetApp, PropertiesService, CacheService, UrlFetchApp (backed by the fake
+ * Salesforce org), HtmlService, Logger, Utilities and Session.
+ *
+ * const { scripts, ss, salesforce } = loadScripts({ sheets: { JF_SCRIPT_PARAMS: [[...]] } });
+ * scripts.processOliRecords(ss);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+const { createFakeSalesforce } = require('./fakeSalesforce');
+
+const ROOT = path.join(__dirname, '..');
+const TIME_ZONE = 'America/New_York';
+
+// --- SpreadsheetApp ---
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+    }
+    Object.assign(this, { sheet, row, column, numRows, numColumns });
+  }
+
+  cells(read) {
+    const grid = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) line.push(read(this.row + r - 1, this.column + c - 1));
+      grid.push(line);
+    }
+    return grid;
+  }
+
+  write(layer, values, fill) {
+    if (values.length !== this.numRows || values.some((line) => line.length !== this.numColumns)) {
+      throw new Error('The number of rows or columns in the data does not match the range.');
+    }
+    values.forEach((line, r) => line.forEach((value, c) => this.sheet.put(layer, this.row + r - 1, this.column + c - 1, value, fill)));
+    return this;
+  }
+
+  fill(layer, value, fill) {
+    return this.write(layer, this.cells(() => value), fill);
+  }
+
+  getValues() { return this.cells((r, c) => this.sheet.get('values', r, c, '')); }
+  getValue() { return this.getValues()[0][0]; }
+  setValues(values) { return this.write('values', values, ''); }
+  setValue(value) { return this.fill('values', value, ''); }
+  clearContent() { return this.fill('values', '', ''); }
+  getNotes() { return this.cells((r, c) => this.sheet.get('notes', r, c, '')); }
+  setNotes(notes) { return this.write('notes', notes, ''); }
+  setNote(note) { return this.fill('notes', note, ''); }
+  getBackgrounds() { return this.cells((r, c) => this.sheet.get('backgrounds', r, c, '#ffffff')); }
+  setBackgrounds(colors) { return this.write('backgrounds', colors.map((line) => line.map((color) => color || '#ffffff')), '#ffffff'); }
+  setBackground(color) { return this.fill('backgrounds', color || '#ffffff', '#ffffff'); }
+  getFontWeights() { return this.cells((r, c) => this.sheet.get('fontWeights', r, c, 'normal')); }
+  setFontWeight(weight) { return this.fill('fontWeights', weight || 'normal', 'normal'); }
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+}
+
+class FakeSheet {
+  constructor(name, values) {
+    this.name = name;
+    this.layers = { values: [], notes: [], backgrounds: [], fontWeights: [] };
+    this.frozenRows = 0;
+    (values || []).forEach((line, r) => line.forEach((value, c) => this.put('values', r, c, value, '')));
+  }
+
+  get(layer, r, c, blank) {
+    const line = this.layers[layer][r];
+    return line && line[c] !== undefined ? line[c] : blank;
+  }
+
+  put(layer, r, c, value, blank) {
+    const grid = this.layers[layer];
+    if (!grid[r]) grid[r] = [];
+    grid[r][c] = value === blank ? undefined : value;
+  }
+
+  getName() { return this.name; }
+
+  getLastRow() {
+    const values = this.layers.values;
+    for (let r = values.length - 1; r >= 0; r--) {
+      if (values[r] && values[r].some((value) => value !== undefined && value !== '')) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.layers.values.forEach((line) => {
+      (line || []).forEach((value, c) => {
+        if (value !== undefined && value !== '') last = Math.max(last, c + 1);
+      });
+    });
+    return last;
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    this.getRange(this.getLastRow() + 1, 1, 1, values.length).setValues([values]);
+    return this;
+  }
+
+  deleteRows(start, howMany) {
+    Object.values(this.layers).forEach((grid) => grid.splice(start - 1, howMany));
+  }
+
+  clear() {
+    Object.keys(this.layers).forEach((layer) => { this.layers[layer] = []; });
+    return this;
+  }
+
+  setFrozenRows(rows) { this.frozenRows = rows; }
+
+  /** Test helper: the values as a trimmed grid (no trailing blank rows or columns). */
+  values() {
+    return this.getLastRow() ? this.getRange(1, 1, this.getLastRow(), Math.max(this.getLastColumn(), 1)).getValues() : [];
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(sheets) {
+    this.sheets = {};
+    this.namedRanges = {};
+    Object.keys(sheets || {}).forEach((name) => this.insertSheet(name, sheets[name]));
+  }
+
+  getSheetByName(name) { return this.sheets[name] || null; }
+
+  insertSheet(name, values) {
+    if (this.sheets[name]) {
+      throw new Error('A sheet with the name "' + name + '" already exists.');
+    }
+    this.sheets[name] = new FakeSheet(name, values);
+    return this.sheets[name];
+  }
+
+  getSheets() { return Object.values(this.sheets); }
+  setNamedRange(name, range) { this.namedRanges[name] = range; }
+  getRangeByName(name) { return this.namedRanges[name] || null; }
+  getSpreadsheetTimeZone() { return TIME_ZONE; }
+  getName() { return 'Test Spreadsheet'; }
+}
+
+function createUi() {
+  const ui = {
+    alerts: [],
+    prompts: [],
+    menus: [],
+    sidebars: [],
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO' },
+    Button: { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO' },
+    nextAlertResponse: 'YES',
+    nextPromptResponse: { button: 'OK', text: '' },
+    alert: (title, message) => {
+      ui.alerts.push({ title, message });
+      return ui.nextAlertResponse;
+    },
+    prompt: (title, message) => {
+      ui.prompts.push({ title, message });
+      const response = ui.nextPromptResponse;
+      return { getSelectedButton: () => response.button, getResponseText: () => response.text };
+    },
+    createMenu: (name) => {
+      const menu = { name, items: [] };
+      ui.menus.push(menu);
+      const builder = {
+        addItem: (caption, functionName) => { menu.items.push({ caption, functionName }); return builder; },
+        addSeparator: () => { menu.items.push(null); return builder; },
+        addToUi: () => {}
+      };
+      return builder;
+    },
+    showSidebar: (html) => { ui.sidebars.push(html); }
+  };
+  return ui;
+}
+
+// --- PropertiesService and CacheService ---
+
+function createProperties(initial) {
+  const values = Object.assign({}, initial);
+  return {
+    getProperty: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    setProperty: (key, value) => { values[key] = String(value); },
+    getProperties: () => Object.assign({}, values),
+    setProperties: (properties) => { Object.keys(properties).forEach((key) => { values[key] = String(properties[key]); }); },
+    deleteProperty: (key) => { delete values[key]; }
+  };
+}
+
+function createCache() {
+  const values = {};
+  return {
+    get: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    put: (key, value, expirationInSeconds) => {
+      if (expirationInSeconds !== undefined && !(expirationInSeconds >= 1 && expirationInSeconds <= 21600)) {
+        throw new Error('Exception: Argument too large or too small: expirationInSeconds');
+      }
+      values[key] = String(value);
+    },
+    remove: (key) => { delete values[key]; }
+  };
+}
+
+// --- Utilities ---
+
+/** Supports the SimpleDateFormat patterns the scripts use: yyyy, MM, dd, HH, mm, ss, SSS and 'quoted' text. */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach((part) => { parts[part.type] = part.value; });
+  const tokens = {
+    yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second,
+    SSS: String(date.getUTCMilliseconds()).padStart(3, '0')
+  };
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss|SSS/g, (token, quoted) => (quoted !== undefined ? quoted : tokens[token]));
+}
+
+function createUtilities(sleeps) {
+  return {
+    getUuid: () => crypto.randomUUID(),
+    formatDate,
+    sleep: (milliseconds) => { sleeps.push(milliseconds); },
+    base64Encode: (data) => Buffer.from(typeof data === 'string' ? data : Buffer.from(data)).toString('base64'),
+    base64EncodeWebSafe: (data) => Buffer.from(typeof data === 'string' ? data : Buffer.from(data)).toString('base64url'),
+    computeRsaSha256Signature: (input, key) =>
+      Array.from(crypto.sign('RSA-SHA256', Buffer.from(input), key)).map((byte) => (byte > 127 ? byte - 256 : byte)),
+    base64Decode: (text) => Array.from(Buffer.from(text, 'base64')),
+    newBlob: (data) => ({ getDataAsString: () => String(data), getBytes: () => Array.from(Buffer.from(String(data))) })
+  };
+}
+
+// --- Loader ---
+
+/**
+ * Creates the services, loads the scripts and returns handles for the test.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.sheets] - Initial sheets: { name: [[row values]] }.
+ * @param {Object} [options.properties] - Script properties (SF_INSTANCE_URL defaults to the fake org).
+ * @param {Object} [options.salesforce] - An org from createFakeSalesforce(), or options for a new one.
+ * @returns {Object} { scripts, ss, salesforce, logger, ui, scriptProperties, documentProperties, scriptCache, userCache,
+ *   sleeps (the milliseconds passed to each Utilities.sleep call, which returns at once) }.
+ */
+function loadScripts(options = {}) {
+  const salesforce = typeof (options.salesforce || {}).fetch === 'function' ?
+    options.salesforce : createFakeSalesforce(options.salesforce);
+  const ss = new FakeSpreadsheet(options.sheets);
+  const ui = createUi();
+  const scriptProperties = createProperties(Object.assign({
+    SF_INSTANCE_URL: salesforce.instanceUrl,
+    SF_CLIENT_ID: 'test-client-id',
+    SF_CLIENT_SECRET: 'test-client-secret-value'
+  }, options.properties));
+  const documentProperties = createProperties();
+  const scriptCache = createCache();
+  const userCache = createCache();
+  const sleeps = [];
+  let log = '';
+  const logger = {
+    log: (message) => { log += String(message) + '\n'; },
+    clear: () => { log = ''; },
+    getLog: () => log
+  };
+
+  const context = vm.createContext({
+    // Share the host Date so that dates created by tests pass `instanceof Date` in the scripts.
+    Date,
+    console,
+    SpreadsheetApp: { getActiveSpreadsheet: () => ss, getUi: () => ui },
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getDocumentProperties: () => documentProperties,
+      getUserProperties: () => documentProperties
+    },
+    CacheService: { getScriptCache: () => scriptCache, getUserCache: () => userCache, getDocumentCache: () => scriptCache },
+    UrlFetchApp: { fetch: (url, fetchOptions) => salesforce.fetch(url, fetchOptions) },
+    HtmlService: {
+      createHtmlOutputFromFile: (file) => {
+        const output = { file, title: null, setTitle: (title) => { output.title = title; return output; } };
+        return output;
+      }
+    },
+    Logger: logger,
+    Utilities: createUtilities(sleeps),
+    Session: { getScriptTimeZone: () => TIME_ZONE }
+  });
+
+  fs.readdirSync(ROOT)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .forEach((file) => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+
+  return { scripts: context, ss, salesforce, logger, ui, scriptProperties, documentProperties, scriptCache, userCache, sleeps };
+}
+
+/**
+ * Copies a value created inside the scripts' context into plain host objects, so that
+ * assert.deepStrictEqual compares structure rather than realm-specific prototypes.
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * A date cell as Sheets returns it: midnight of the given day in the spreadsheet's time zone.
+ */
+function sheetDate(year, month, day) {
+  const utc = Date.UTC(year, month - 1, day);
+  const offset = Date.parse(formatDate(new Date(utc), TIME_ZONE, "yyyy-MM-dd'T'HH:mm:ss") + 'Z') - utc;
+  return new Date(utc - offset);
+}
+
+/** Builds a JF_SCRIPT_PARAMS sheet from parameter objects, with a header row. */
+function paramsSheet(params) {
+  return [['Parameters']].concat(params.map((param) => [JSON.stringify(param)]));
+}
+
+/** Mapping rows for the default line item group. */
+function mappings(list) {
+  return list.map((mapping) => ({ jellyfish_line_item__c: mapping }));
+}
+
+module.exports = { loadScripts, plain, sheetDate, paramsSheet, mappings, FakeSpreadsheet, FakeSheet, formatDate, TIME_ZONE };
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./harness');
+
+const logRows = (ss) => ss.getSheetByName('JF_SCRIPT_LOG').values().slice(1);
+
+test('a run is written once, when its outermost endLogRun is reached, under one run id', () => {
+  const { scripts, ss } = loadScripts();
+
+  const runId = scripts.beginLogRun(ss);
+  scripts.logInfo(ss, 'Outer step');
+  assert.equal(scripts.beginLogRun(ss), runId);
+  scripts.logWarn(ss, 'Inner step', { row: 4 });
+  scripts.endLogRun(ss);
+  scripts.flushLogs(ss);
+  assert.equal(ss.getSheetByName('JF_SCRIPT_LOG'), null);
+  scripts.endLogRun(ss);
+
+  assert.deepEqual(logRows(ss).map((row) => row.slice(1)), [
+    [runId, 'info', 'Outer step', ''],
+    [runId, 'warn', 'Inner step', '{"row":4}']
+  ]);
+  assert.ok(logRows(ss)[0][0] instanceof Date);
+
+  const nextRunId = scripts.beginLogRun(ss);
+  scripts.logError(ss, 'Next run');
+  scripts.endLogRun(ss);
+  assert.notEqual(nextRunId, runId);
+  assert.deepEqual(logRows(ss)[2].slice(1, 4), [nextRunId, 'error', 'Next run']);
+});
+
+test('the Log Level setting drops lower entries from the sheet and the Logger output', () => {
+  const { scripts, ss, logger } = loadScripts();
+  scripts.configureLogging({ 'Log Level': { Name: 'WARN' } });
+
+  scripts.beginLogRun(ss);
+  scripts.logMessage(ss, 'Debug detail');
+  scripts.logInfo(ss, 'Progress');
+  scripts.logWarn(ss, 'Header not found');
+  scripts.logError(ss, 'Sync failed');
+  scripts.endLogRun(ss);
+
+  assert.deepEqual(logRows(ss).map((row) => row[2]), ['warn', 'error']);
+  assert.doesNotMatch(logger.getLog(), /Debug detail|Progress/);
+  assert.match(logger.getLog(), /\[WARN\] Header not found/);
+});
+
+test('the Log Max Rows setting keeps the newest entries', () => {
+  const { scripts, ss } = loadScripts();
+  scripts.configureLogging({ 'Log Max Rows': { Name: 3 } });
+
+  for (let run = 1; run <= 2; run++) {
+    scripts.beginLogRun(ss);
+    scripts.logInfo(ss, 'Run ' + run + ', first');
+    scripts.logInfo(ss, 'Run ' + run + ', second');
+    scripts.endLogRun(ss);
+  }
+
+  assert.deepEqual(ss.getSheetByName('JF_SCRIPT_LOG').values()[0], ['Timestamp', 'Run Id', 'Level', 'Message', 'Context']);
+  assert.deepEqual(logRows(ss).map((row) => row[3]), ['Run 1, second', 'Run 2, first', 'Run 2, second']);
+});
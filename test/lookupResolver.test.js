@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, paramsSheet, mappings } = require('./harness');
+const { describeObject } = require('./fakeSalesforce');
+const { createOrg } = require('./fixtures');
+
+const PRODUCT_LOOKUP = { object_label: 'Product', object_api_name: 'Product__c', lookup_object: 'Product2', lookup_field: 'ProductCode,Name' };
+
+function setup(lookups, headers, rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }, { 'Table Header Row': { Name: 1 } }].concat(mappings(
+        [{ object_label: 'Opportunity', object_api_name: 'opportunity_id__c' }].concat(lookups)))),
+      Quote: [['Opportunity'].concat(headers)].concat(rows(org))
+    }
+  });
+  return Object.assign(harness, org);
+}
+
+test('lookups query each distinct value once and keep cells that already hold an Id', () => {
+  const { scripts, ss, salesforce, products } = setup([PRODUCT_LOOKUP], ['Product'], (org) => [
+    [org.opportunities[0], 'JF-PLAT'],
+    [org.opportunities[0], ' services '],
+    [org.opportunities[0], 'jf-plat'],
+    [org.opportunities[0], org.products[1]]
+  ]);
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+
+  assert.deepEqual(plain(records.map((record) => record.jellyfish_line_item__c.Product__c)),
+    [products[0], products[1], products[0], products[1]]);
+  assert.equal(salesforce.dataRequests('get', /\/query/).length, 1);
+});
+
+test('lookups report values that match no record or several, by sheet row', () => {
+  const { scripts, ss, salesforce } = setup([PRODUCT_LOOKUP], ['Product'], (org) => [
+    [org.opportunities[0], 'Platform'],
+    [org.opportunities[0], 'JF-GONE'],
+    [org.opportunities[0], 'Shared']
+  ]);
+  const first = salesforce.insert('Product2', { Name: 'Shared', ProductCode: 'JF-S1' });
+  const second = salesforce.insert('Product2', { Name: 'Other', ProductCode: 'Shared' });
+
+  assert.throws(() => scripts.buildInputTable(ss), (error) => {
+    assert.match(error.message, /^Could not resolve 2 lookup value\(s\):\n/);
+    assert.match(error.message, /Row 3, column 'Product' \(Product__c\): "JF-GONE" matches no Product2 by ProductCode or Name\./);
+    assert.match(error.message, new RegExp("Row 4, column 'Product' \\(Product__c\\): \"Shared\" matches 2 Product2 records \\(" +
+      first.Id + ', ' + second.Id + '\\); use a more specific value or the record Id\\.'));
+    return true;
+  });
+});
+
+test('a scoped lookup only matches records of the row\'s other lookup', () => {
+  const { scripts, ss, salesforce, products } = setup([
+    { object_label: 'Price Book', object_api_name: 'Price_Book__c', lookup_object: 'Pricebook2', lookup_field: 'Name' },
+    { object_label: 'SKU', object_api_name: 'Price_Book_Entry__c', lookup_object: 'PricebookEntry', lookup_field: 'Product2.ProductCode',
+      lookup_scope: { Pricebook2Id: 'Price_Book__c' } }
+  ], ['SKU', 'Price Book'], (org) => [
+    [org.opportunities[0], 'JF-PLAT', 'EMEA'],
+    [org.opportunities[0], 'JF-PLAT', 'Americas']
+  ]);
+  salesforce.setDescribe('Pricebook2', describeObject('Pricebook2', { Name: 'string' }));
+  salesforce.setDescribe('PricebookEntry', describeObject('PricebookEntry', { Pricebook2Id: 'reference', Product2Id: 'reference' }));
+  const books = ['EMEA', 'Americas'].map((name) => salesforce.insert('Pricebook2', { Name: name }).Id);
+  const entries = books.map((book) => salesforce.insert('PricebookEntry', {
+    Pricebook2Id: book, Product2Id: products[0], Product2: { ProductCode: 'JF-PLAT' }
+  }).Id);
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+
+  assert.deepEqual(plain(records.map((record) => [record.jellyfish_line_item__c.Price_Book__c, record.jellyfish_line_item__c.Price_Book_Entry__c])),
+    [[books[0], entries[0]], [books[1], entries[1]]]);
+});
+
+test('readRecordField reads top-level and grouped fields in any case', () => {
+  const { scripts } = loadScripts();
+  const record = { opportunity_id__c: '006A', jellyfish_line_item__c: { Product__c: '01tB', quantity__c: 2 } };
+
+  assert.equal(scripts.readRecordField(record, 'Opportunity_Id__c'), '006A');
+  assert.equal(scripts.readRecordField(record, 'Product__c'), '01tB');
+  assert.equal(scripts.readRecordField(record, 'Quantity__c'), 2);
+  assert.equal(scripts.readRecordField({ attributes: { type: 'X' }, Name: 'N' }, 'type'), undefined);
+  assert.equal(scripts.readRecordField(record, 'Missing__c'), undefined);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, paramsSheet, mappings } = require('./harness');
+const { createOrg } = require('./fixtures');
+
+const SETTINGS = [{ 'Input Sheet': { Name: 'Quote' } }, { 'Table Header Row': { Name: 1 } }];
+
+function setup(headers, params) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: paramsSheet(params), Quote: [headers] }
+  });
+  return Object.assign(harness, org);
+}
+
+const paramsColumn = (ss) => ss.getSheetByName('JF_SCRIPT_PARAMS').values().map((row) => row[0]);
+
+test('generateParameterMappings appends a mapping for each header that names a field', () => {
+  const { scripts, ss } = setup(
+    ['Opportunity', 'product', 'Quanity', 'Sales Price', 'Start  Date', 'Notes', 'Sync Status'],
+    SETTINGS.concat(mappings([{ object_label: 'Opportunity', object_api_name: 'opportunity_id__c' }])));
+  const before = paramsColumn(ss);
+
+  const result = scripts.generateParameterMappings(ss);
+
+  assert.deepEqual(plain(result.added), [
+    { row: 5, label: 'product', api: 'Product__c', type: null, exact: true },
+    { row: 6, label: 'Quanity', api: 'Quantity__c', type: 'number', exact: false },
+    { row: 7, label: 'Sales Price', api: 'Sales_Price__c', type: 'currency', exact: true },
+    { row: 8, label: 'Start  Date', api: 'Start_Date__c', type: 'date', exact: true }
+  ]);
+  assert.deepEqual(plain(result.unmatched), [{ column: 'F', label: 'Notes' }]);
+  const after = paramsColumn(ss);
+  assert.deepEqual(after.slice(0, before.length), before);
+  assert.deepEqual(JSON.parse(after[6]), {
+    jellyfish_line_item__c: { object_label: 'Sales Price', object_api_name: 'Sales_Price__c', type: 'currency' }
+  });
+  assert.equal(scripts.validateParameters(ss).valid, true);
+  assert.match(scripts.describeActionResult('map', result), /Row 6: 'Quanity' -> Quantity__c \(close match, please check\)[\s\S]*F 'Notes'/);
+});
+
+test('generateParameterMappings leaves mapped headers and fields alone', () => {
+  const { scripts, ss } = setup(['Opportunity', 'Item', 'Product'], SETTINGS.concat(mappings([
+    { object_label: 'Opportunity', object_api_name: 'opportunity_id__c' },
+    { object_label: 'Item', object_api_name: 'Product__c' }
+  ])));
+
+  const result = scripts.generateParameterMappings(ss);
+
+  assert.deepEqual(plain(result.added), []);
+  assert.deepEqual(plain(result.unmatched), [{ column: 'C', label: 'Product' }]);
+  assert.equal(paramsColumn(ss).length, 5);
+});
+
+test('generateParameterMappings needs the input sheet settings', () => {
+  const { scripts, ss } = setup(['Product'], [{ 'Input Sheet': { Name: 'Quote' } }]);
+
+  assert.throws(() => scripts.generateParameterMappings(ss), /Add the 'Table Header Row' setting to JF_SCRIPT_PARAMS/);
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision } = require('./fixtures');
+
+function setup(rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS].concat(rows ? rows(org) : []) }
+  });
+  return Object.assign(harness, org);
+}
+
+test('onOpen adds the Jellyfish menu, whose items call existing functions', () => {
+  const { scripts, ui } = setup();
+
+  scripts.onOpen();
+
+  assert.equal(ui.menus.length, 1);
+  assert.equal(ui.menus[0].name, 'Jellyfish');
+  const items = ui.menus[0].items.filter((item) => item);
+  assert.deepEqual(items.map((item) => item.functionName),
+    ['showSidebar', 'menuValidate', 'menuPreview', 'menuSync', 'menuPull', 'menuRevisions', 'menuRestore', 'menuMap', 'menuLastRun']);
+  items.forEach((item) => assert.equal(typeof scripts[item.functionName], 'function', item.functionName));
+});
+
+test('showSidebar opens the sidebar page', () => {
+  const { scripts, ui } = setup();
+
+  scripts.showSidebar();
+
+  assert.deepEqual(ui.sidebars.map((html) => [html.file, html.title]), [['Sidebar', 'Jellyfish Line Items']]);
+});
+
+test('runSidebarAction describes the result and stores it as the last run', () => {
+  const { scripts, documentProperties } = setup();
+  assert.equal(scripts.getLastRun(), null);
+
+  const outcome = plain(scripts.runSidebarAction('validate'));
+
+  assert.equal(outcome.action, 'validate');
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.text, 'The parameters are valid.');
+  assert.deepEqual(plain(scripts.getLastRun()), outcome);
+  assert.deepEqual(JSON.parse(documentProperties.getProperty('JF_LAST_RUN')), outcome);
+  assert.equal(scripts.getSidebarProgress(), 'Validate parameters: finished.');
+});
+
+test('runSidebarAction turns an error into readable text and records the failed run', () => {
+  const { scripts, ss } = setup();
+
+  const outcome = plain(scripts.runSidebarAction('pull', { opportunityId: 'not-an-id' }));
+
+  assert.equal(outcome.ok, false);
+  assert.match(outcome.text, /^Something went wrong: .*Opportunity Id/);
+  assert.doesNotMatch(outcome.text, /Error:|\n\s+at /);
+  assert.equal(plain(scripts.getLastRun()).ok, false);
+  assert.ok(ss.getSheetByName('JF_SCRIPT_LOG').values().some((row) => /Pull from Salesforce failed/.test(row.join(' '))));
+});
+
+test('runSidebarAction rejects an unknown action without recording a run', () => {
+  const { scripts } = setup();
+
+  assert.throws(() => scripts.runSidebarAction('delete'), /Unknown action 'delete'/);
+  assert.equal(scripts.getLastRun(), null);
+});
+
+test('runSidebarAction cuts a long result to fit in a document property', () => {
+  const { scripts } = setup();
+  const problems = [];
+  for (let i = 0; i < 400; i++) problems.push({ row: i + 2, message: 'x'.repeat(40) });
+  scripts.SIDEBAR_ACTIONS.validate.run = () => ({ valid: false, problems, warnings: [] });
+
+  const outcome = plain(scripts.runSidebarAction('validate'));
+
+  assert.ok(outcome.text.length > 8000);
+  assert.equal(plain(scripts.getLastRun()).text, outcome.text.slice(0, 8000));
+});
+
+test('menuSync syncs after a yes and reports each Opportunity', () => {
+  const { scripts, ui, salesforce, opportunities } = setup((org) => [[org.opportunities[0], org.products[0], 1, 100, '']]);
+
+  scripts.menuSync();
+
+  assert.equal(ui.alerts.length, 2);
+  assert.equal(ui.alerts[1].title, 'Sync to Salesforce');
+  assert.match(ui.alerts[1].message, new RegExp('^Sync committed\\.\\n' + opportunities[0] + ': committed as revision 1\\n'));
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 1);
+});
+
+test('menuSync does nothing after a no', () => {
+  const { scripts, ui, salesforce } = setup((org) => [[org.opportunities[0], org.products[0], 1, 100, '']]);
+  ui.nextAlertResponse = 'NO';
+
+  scripts.menuSync();
+
+  assert.equal(ui.alerts.length, 1);
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 0);
+  assert.equal(scripts.getLastRun(), null);
+});
+
+test('menuPull reads the Opportunity Id and the optional revision from the prompt', () => {
+  const { scripts, ui, salesforce, opportunities, products } = setup();
+  seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[1], Quantity__c: 9, Sales_Price__c: 10 }], false);
+  seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 3, Sales_Price__c: 100 }]);
+  ui.nextPromptResponse = { button: 'OK', text: '  ' + opportunities[0] + '   1 ' };
+
+  scripts.menuPull();
+
+  assert.equal(ui.alerts[0].message, 'Pulled 1 line(s) of ' + opportunities[0] + ' (revision 1) into Quote.');
+});
+
+test('menuPull does nothing when the prompt is cancelled', () => {
+  const { scripts, ui, salesforce } = setup();
+  ui.nextPromptResponse = { button: 'CANCEL', text: '' };
+
+  scripts.menuPull();
+
+  assert.equal(ui.alerts.length, 0);
+  assert.equal(salesforce.dataRequests('get').length, 0);
+});
+
+test('menuRevisions lists the revisions of the Opportunity in the prompt', () => {
+  const { scripts, ui, ss, salesforce, opportunities, products } = setup();
+  seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[1], Quantity__c: 2, Sales_Price__c: 10 }], false);
+  seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 3, Sales_Price__c: 100 }]);
+  ui.nextPromptResponse = { button: 'OK', text: ' ' + opportunities[0] + ' ' };
+
+  scripts.menuRevisions();
+
+  assert.equal(ui.alerts[0].title, 'List revisions');
+  assert.equal(ui.alerts[0].message, '2 revision(s):\nRevision 2: Active, 1 line(s), total 300\n' +
+    'Revision 1: Inactive, 1 line(s), total 20\n\nDetails are in the JF_REVISIONS sheet.');
+  assert.ok(ss.getSheetByName('JF_REVISIONS'));
+});
+
+test('menuRestore makes the revision in the prompt the active one', () => {
+  const { scripts, ui, salesforce, opportunities, products } = setup();
+  const first = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[1], Quantity__c: 2, Sales_Price__c: 10 }], false);
+  seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 3, Sales_Price__c: 100 }]);
+  ui.nextPromptResponse = { button: 'OK', text: opportunities[0] + ' 1' };
+
+  scripts.menuRestore();
+
+  assert.equal(ui.alerts[0].message, 'Revision 1 of ' + opportunities[0] + ' is now the active revision.');
+  assert.deepEqual(salesforce.records('jellyfish_line_item__c').filter((record) => record.Active__c).map((record) => record.Id),
+    [first[0].Id]);
+  assert.equal(plain(scripts.getLastRun()).ok, true);
+});
+
+test('runSidebarAction reports a restore that was rolled back as failed', () => {
+  const { scripts, salesforce, opportunities, products } = setup();
+  const first = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[1], Quantity__c: 2, Sales_Price__c: 10 }], false);
+  seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 3, Sales_Price__c: 100 }]);
+  salesforce.rejectWhen('update', (record) => record.Active__c === true && record.Id === first[0].Id && 'Locked');
+
+  const outcome = plain(scripts.runSidebarAction('restore', { opportunityId: opportunities[0], version: '1' }));
+
+  assert.equal(outcome.ok, false);
+  assert.equal(outcome.text, 'Restore rolled back: Activating revision 1 failed; the previous revision was reactivated.');
+});
+
+test('menuLastRun shows the last run, or that nothing has run yet', () => {
+  const { scripts, ui } = setup();
+
+  scripts.menuLastRun();
+  scripts.menuValidate();
+  scripts.menuLastRun();
+
+  assert.equal(ui.alerts[0].message, 'Nothing has been run yet.');
+  assert.equal(ui.alerts[1].title, 'Validate parameters');
+  assert.match(ui.alerts[2].message, /^Validate parameters on .*\n\nThe parameters are valid\.$/);
+});
+
+test('describeActionResult summarizes each kind of result', () => {
+  const { scripts } = setup();
+
+  assert.equal(scripts.describeActionResult('validate', {
+    valid: false,
+    problems: [{ row: 4, message: 'Mapping has no object_api_name.' }],
+    warnings: [{ row: 5, message: 'Sales_Discount__c looks like a percent.' }]
+  }), 'Found 1 problem(s) in JF_SCRIPT_PARAMS (see column B):\n' +
+    scripts.formatParameterProblems([{ row: 4, message: 'Mapping has no object_api_name.' }]) +
+    '\n\n1 warning(s):\n' + scripts.formatParameterProblems([{ row: 5, message: 'Sales_Discount__c looks like a percent.' }]));
+
+  assert.equal(scripts.describeActionResult('preview', [
+    { opportunityId: 'A', currentRevision: 1, newRevision: 2, added: 1, removed: 0, changed: 2, unchanged: 3, error: null },
+    { opportunityId: 'B', error: 'Invalid Opportunity Id.' }
+  ]), 'A: revision 1 -> 2, 1 added, 0 removed, 2 changed, 3 unchanged\nB: error - Invalid Opportunity Id.' +
+    '\n\nDetails are in the JF_PREVIEW sheet.');
+
+  assert.equal(scripts.describeActionResult('sync', {
+    outcome: 'partially committed',
+    counts: { inserted: 1, updated: 2, unchanged: 0, removed: 1 },
+    opportunities: [
+      { opportunityId: 'A', outcome: 'committed', counts: { inserted: 1, updated: 2, unchanged: 0, removed: 1 } },
+      { opportunityId: null, outcome: 'failed', error: 'Row 3 has no Opportunity Id.\nmore detail' }
+    ]
+  }), 'Sync partially committed.\nA: committed (1 inserted, 2 updated, 0 unchanged, 1 removed)\n' +
+    '(no Opportunity Id): failed - Row 3 has no Opportunity Id.\nTotal: 1 inserted, 2 updated, 0 unchanged, 1 removed.' +
+    "\n\nEach row's result is in the Sync Status columns of the input sheet.");
+
+  assert.equal(scripts.describeActionResult('map', {
+    object: 'jellyfish_line_item__c',
+    added: [{ row: 7, label: 'Qty', api: 'Quantity__c', exact: false }],
+    unmatched: [{ column: 'F', label: 'Notes' }]
+  }), "Added 1 mapping(s) to JF_SCRIPT_PARAMS:\nRow 7: 'Qty' -> Quantity__c (close match, please check)" +
+    "\n\nNo jellyfish_line_item__c field found for: F 'Notes'. Map these by hand.");
+});
+
+test('readableError drops the exception prefix and shortens long reports', () => {
+  const { scripts } = setup();
+  const lines = [];
+  for (let i = 1; i <= 20; i++) lines.push('Row ' + i + ': bad');
+
+  const text = scripts.readableError(new Error('Exception: ' + lines.join('\n')));
+
+  assert.equal(text.split('\n')[0], 'Something went wrong: Row 1: bad');
+  assert.equal(text.split('\n').length, 16);
+  assert.match(text, /\.\.\. and 5 more line\(s\); see JF_SCRIPT_LOG\.$/);
+});
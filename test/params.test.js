@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, paramsSheet, mappings } = require('./harness');
+const { QUOTE_HEADERS, standardParams } = require('./fixtures');
+
+test('loadParametersFromJson skips the header row and aggregates repeated keys', () => {
+  const { scripts, ss } = loadScripts({ sheets: { JF_SCRIPT_PARAMS: standardParams() } });
+
+  const params = plain(scripts.loadParametersFromJson(ss));
+
+  assert.deepEqual(params['Input Sheet'], { Name: 'Quote' });
+  assert.deepEqual(params['Table Header Row'], { Name: 1 });
+  assert.equal(params.jellyfish_line_item__c.length, 5);
+  assert.deepEqual(params.jellyfish_line_item__c[1], { object_label: 'Product', object_api_name: 'Product__c' });
+});
+
+test('loadParametersFromJson reads the first row when it is JSON and skips blank rows', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: [
+        ['{"Input Sheet":{"Name":"Quote"}}'],
+        [''],
+        ['{"jellyfish_line_item__c":{"object_label":"Product","object_api_name":"Product__c"}}']
+      ]
+    }
+  });
+
+  const params = plain(scripts.loadParametersFromJson(ss));
+
+  assert.deepEqual(params['Input Sheet'], { Name: 'Quote' });
+  // A single mapping is kept as an object, not an array.
+  assert.deepEqual(params.jellyfish_line_item__c, { object_label: 'Product', object_api_name: 'Product__c' });
+});
+
+test('loadParametersFromJson names the row of invalid JSON', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: { JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }]).concat([['{"Table Header Row":']]) }
+  });
+
+  assert.throws(() => scripts.loadParametersFromJson(ss), /Error parsing JSON at row 3/);
+});
+
+test('loadParametersFromJson fails without a JF_SCRIPT_PARAMS sheet', () => {
+  const { scripts, ss } = loadScripts();
+
+  assert.throws(() => scripts.loadParametersFromJson(ss), /Sheet 'JF_SCRIPT_PARAMS' not found/);
+});
+
+test('validateParameters notes unknown keys, duplicates and missing settings on the sheet', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([
+        { 'Input Sheet': { Name: 'Quote' } },
+        { jellyfish_line_item__c: { object_label: 'Quantity', object_api_nam: 'Quantity__c' } },
+        { jellyfish_line_item__c: { object_label: 'Product', object_api_name: 'Product__c' } },
+        { jellyfish_line_item__c: { object_label: 'Product', object_api_name: 'Product2__c' } },
+        { jellyfish_line_item__c: { object_label: 'Unit  Price', object_api_name: 'Sales_Price__c' } },
+        { jellyfish_line_item__c: { object_label: 'unit price', object_api_name: 'List_Price__c' } }
+      ])
+    }
+  });
+
+  const result = scripts.validateParameters(ss);
+
+  assert.equal(result.valid, false);
+  const messages = result.problems.map((problem) => (problem.row || '-') + ' ' + problem.message).join('\n');
+  assert.match(messages, /Missing required setting 'Table Header Row'/);
+  assert.match(messages, /object_api_nam/);
+  assert.match(messages, /^5 Duplicate column label 'Product'/m);
+  assert.match(messages, /^7 Duplicate column label 'unit price' \(already mapped on row 6\)/m);
+  const sheet = ss.getSheetByName('JF_SCRIPT_PARAMS');
+  assert.match(sheet.getRange(3, 2).getValue(), /object_api_nam/);
+  assert.equal(sheet.getRange(3, 2).getBackgrounds()[0][0], '#f4cccc');
+  assert.equal(sheet.getRange(2, 2).getValue(), '');
+  assert.match(sheet.getRange(1, 2).getValue(), /Missing required setting 'Table Header Row'/);
+  // The JSON cells themselves are left as they are.
+  assert.equal(sheet.getRange(3, 1).getNotes()[0][0], '');
+  assert.equal(sheet.getRange(3, 1).getBackgrounds()[0][0], '#ffffff');
+});
+
+test('validateParameters checks value types, repeated settings and fields, and rows that are not JSON objects', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([
+        { 'Input Sheet': { Name: 'Quote' } },
+        { 'Table Header Row': { Name: 0 } },
+        { 'Input Sheet': { Name: 'Other' } },
+        { jellyfish_line_item__c: { object_label: 'Quantity', object_api_name: 'Quantity c' } },
+        { jellyfish_line_item__c: { object_label: 'Qty', object_api_name: 'Sales_Price__c' } },
+        { jellyfish_line_item__c: { object_label: 'Price', object_api_name: 'Sales_Price__c' } },
+        ['x']
+      ]).concat([['{not json']])
+    }
+  });
+
+  const problems = scripts.validateParameters(ss).problems;
+
+  assert.deepEqual(plain(problems.map((problem) => problem.row)), [3, 4, 5, 7, 8, 9]);
+  const messages = scripts.formatParameterProblems(problems);
+  assert.match(messages, /^Row 3: 'Table Header Row.Name' must be a positive whole number/m);
+  assert.match(messages, /^Row 4: Duplicate setting 'Input Sheet' \(already defined on row 2\)/m);
+  assert.match(messages, /^Row 5: 'jellyfish_line_item__c.object_api_name' must be a Salesforce API name .*"Quantity c"/m);
+  assert.match(messages, /^Row 7: Field 'Sales_Price__c' is mapped twice in group 'jellyfish_line_item__c'/m);
+  assert.match(messages, /^Row 8: Expected a JSON object/m);
+  assert.match(messages, /^Row 9: Not valid JSON/m);
+  assert.throws(() => scripts.loadValidatedParameters(ss), /^Error: JF_SCRIPT_PARAMS is invalid:\nRow 3: /);
+});
+
+test('validateParameters clears only the messages it wrote before and keeps the user\'s formatting', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams().concat([['{"Input Sheet":{"Name":"Other"}}']]),
+      Quote: [QUOTE_HEADERS]
+    }
+  });
+  const sheet = ss.getSheetByName('JF_SCRIPT_PARAMS');
+  sheet.getRange(2, 1).setNote('Ask sales ops before changing').setBackground('#cfe2f3');
+  sheet.getRange(3, 2).setValue('my comment').setBackground('#d9ead3');
+
+  assert.equal(scripts.validateParameters(ss).valid, false);
+  const problemRow = sheet.getLastRow();
+  assert.match(sheet.getRange(problemRow, 2).getValue(), /Duplicate setting 'Input Sheet'/);
+
+  sheet.getRange(problemRow, 1).setValue('');
+  assert.equal(scripts.validateParameters(ss).valid, true);
+
+  assert.equal(sheet.getRange(problemRow, 2).getValue(), '');
+  assert.equal(sheet.getRange(problemRow, 2).getBackgrounds()[0][0], '#ffffff');
+  assert.equal(sheet.getRange(2, 1).getNotes()[0][0], 'Ask sales ops before changing');
+  assert.equal(sheet.getRange(2, 1).getBackgrounds()[0][0], '#cfe2f3');
+  assert.equal(sheet.getRange(3, 2).getValue(), 'my comment');
+  assert.equal(sheet.getRange(3, 2).getBackgrounds()[0][0], '#d9ead3');
+});
+
+test('validateParameters accepts the mapping group names of older sheets and still reports unknown settings', () => {
+  const rows = [
+    { 'Input Sheet': { Name: 'Quote' } },
+    { 'Table Header Row': { Name: 1 } },
+    { oli: { object_label: 'Product', object_api_name: 'Product__c' } },
+    { oli: { object_label: 'Quantity', object_api_name: 'Quantity__c', type: 'number' } },
+    { un: { object_label: 'Customer ID', object_api_name: 'Customer_ID__c' } }
+  ];
+  const sheets = { Quote: [['Product', 'Quantity', 'Customer ID'], ['P-1', 2, 'C-1']] };
+  const valid = loadScripts({ sheets: Object.assign({ JF_SCRIPT_PARAMS: paramsSheet(rows) }, sheets) });
+  const typo = loadScripts({
+    sheets: Object.assign({ JF_SCRIPT_PARAMS: paramsSheet(rows.concat([{ 'Input Shet': { Name: 'Quote' } }])) }, sheets)
+  });
+
+  assert.deepEqual(plain(valid.scripts.validateParameters(valid.ss).problems), []);
+  assert.deepEqual(plain(valid.scripts.buildDataTableFromParamsDynamic(valid.ss)),
+    [{ oli: { Product__c: 'P-1', Quantity__c: 2 }, Customer_ID__c: 'C-1' }]);
+  const problems = plain(typo.scripts.validateParameters(typo.ss).problems);
+  assert.deepEqual(problems.map((problem) => problem.row), [7]);
+  assert.match(problems[0].message, /^Unknown parameter 'Input Shet'\. Expected one of: Input Sheet, /);
+});
+
+test('validateParameters warns about a discount mapped without a percent type, as older sheets did', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(mappings([
+        { object_label: 'Discount', object_api_name: 'Sales_Discount__c' },
+        { object_label: 'Margin', object_api_name: 'Margin_Percent__c', type: 'percent' },
+        { object_label: 'Partner Discount', object_api_name: 'Partner_Discount__c', type: 'number', scale: 100 }
+      ])),
+      Quote: [QUOTE_HEADERS.concat('Discount', 'Margin', 'Partner Discount')]
+    }
+  });
+
+  const result = scripts.validateParameters(ss);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.warnings.length, 1);
+  assert.equal(result.warnings[0].row, 9);
+  assert.match(result.warnings[0].message, /maps Sales_Discount__c without "type": "percent", so a cell showing 15% is sent as 0\.15/);
+  const cell = ss.getSheetByName('JF_SCRIPT_PARAMS').getRange(9, 2);
+  assert.match(cell.getValue(), /Sales_Discount__c/);
+  assert.equal(cell.getBackgrounds()[0][0], '#fff2cc');
+  assert.match(scripts.describeActionResult('validate', result), /^The parameters are valid\.\n\n1 warning\(s\):\nRow 9: /);
+});
+
+test('JSONIFY_groupname_key_value_pairings groups key/value cells and stops at a blank key', () => {
+  const { scripts } = loadScripts();
+
+  assert.equal(
+    scripts.JSONIFY_groupname_key_value_pairings([['MyGroup', 'Name', 'John', 'Age', '30', '', 'ignored']]),
+    '{"MyGroup":{"Name":"John","Age":"30"}}'
+  );
+  assert.equal(scripts.JSONIFY_groupname_key_value_pairings([['G', 'only_key']]), '{"G":{"only_key":null}}');
+  assert.equal(scripts.JSONIFY_groupname_key_value_pairings([['', 'a', 'b']]), 'Error: Group name (first cell) is blank.');
+  assert.equal(scripts.JSONIFY_groupname_key_value_pairings([]), 'Error: Input range must contain at least one row.');
+});
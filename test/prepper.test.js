@@ -0,0 +1,314 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, sheetDate, paramsSheet, mappings } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams } = require('./fixtures');
+
+function setup(rows, extraParams) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(extraParams), Quote: [QUOTE_HEADERS].concat(rows(org)) }
+  });
+  return Object.assign(harness, org);
+}
+
+test('buildDataTableFromParamsDynamic maps each column to its field and converts typed values', () => {
+  const { scripts, ss, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], '10', 450, sheetDate(2025, 2, 1)],
+    [org.opportunities[0], org.products[1], 3, '$1,000.50', '2025-03-15']
+  ]);
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+
+  assert.equal(records.length, 2);
+  assert.deepEqual(plain(records[0]), {
+    jellyfish_line_item__c: {
+      opportunity_id__c: opportunities[0],
+      Product__c: products[0],
+      Quantity__c: 10,
+      Sales_Price__c: 450,
+      Start_Date__c: '2025-02-01'
+    }
+  });
+  assert.equal(records[1].jellyfish_line_item__c.Sales_Price__c, 1000.5);
+  assert.equal(records[1].jellyfish_line_item__c.Start_Date__c, '2025-03-15');
+});
+
+test('buildDataTableFromParamsDynamic stops at the first row with a blank first column', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 1, ''],
+    ['', '', '', '', ''],
+    [org.opportunities[0], org.products[1], 2, 2, '']
+  ]);
+
+  assert.equal(scripts.buildDataTableFromParamsDynamic(ss).length, 1);
+});
+
+test('buildInputTable records the sheet row of every record and the mapped columns', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 1, ''],
+    [org.opportunities[1], org.products[1], 2, 2, '']
+  ]);
+
+  const table = scripts.buildInputTable(ss);
+
+  assert.deepEqual(plain(table.rowNumbers), [2, 3]);
+  assert.deepEqual(plain(table.columns.map((column) => column.label)), QUOTE_HEADERS);
+  assert.equal(table.columns[2].col, 2);
+});
+
+test('buildDataTableFromParamsDynamic lists every cell that cannot be converted', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 'ten', 1, ''],
+    [org.opportunities[0], org.products[1], 2, 2, '2025-13-40']
+  ]);
+
+  assert.throws(() => scripts.buildDataTableFromParamsDynamic(ss), (error) => {
+    assert.match(error.message, /Could not convert 2 cell\(s\)/);
+    assert.match(error.message, /Row 2, column 'Quantity' \(Quantity__c\)/);
+    assert.match(error.message, /Row 3, column 'Start Date' \(Start_Date__c\)/);
+    return true;
+  });
+});
+
+test('buildDataTableFromParamsDynamic warns about mapped headers missing from the sheet', () => {
+  const { scripts, ss } = setup((org) => [[org.opportunities[0], org.products[0], 1, 1, '']],
+    [{ jellyfish_line_item__c: { object_label: 'Discount', object_api_name: 'Discount__c' } }]);
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+  scripts.flushLogs(ss);
+
+  assert.equal(records.length, 1);
+  assert.ok(!('Discount__c' in records[0].jellyfish_line_item__c));
+  const log = ss.getSheetByName('JF_SCRIPT_LOG').values();
+  assert.ok(log.some((row) => row[2] === 'warn' && /Header label 'Discount'/.test(row[3])));
+});
+
+test('buildDataTableFromParamsDynamic fails when the input sheet is missing', () => {
+  const { scripts, ss } = loadScripts({ sheets: { JF_SCRIPT_PARAMS: standardParams() } });
+
+  assert.throws(() => scripts.buildDataTableFromParamsDynamic(ss), /Input sheet 'Quote' not found/);
+});
+
+test('lookup columns resolve product codes to record Ids', () => {
+  const { scripts, ss, products } = setup(
+    (org) => [[org.opportunities[0], 'jf-svc', 1, 1, '']],
+    []
+  );
+  const params = ss.getSheetByName('JF_SCRIPT_PARAMS');
+  const productRow = params.values().findIndex((row) => /"Product__c"/.test(row[0])) + 1;
+  params.getRange(productRow, 1).setValue(JSON.stringify({
+    jellyfish_line_item__c: { object_label: 'Product', object_api_name: 'Product__c', lookup_object: 'Product2', lookup_field: 'ProductCode,Name' }
+  }));
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+
+  assert.equal(records[0].jellyfish_line_item__c.Product__c, products[1]);
+});
+
+test('headers match ignoring case and spacing, by alias or by column letter', () => {
+  const org = createOrg();
+  const { scripts, ss } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }, { 'Table Header Row': { Name: 1 } }].concat(mappings([
+        { object_label: 'Opportunity', object_api_name: 'opportunity_id__c' },
+        { object_label: 'Product', object_api_name: 'Product__c', aliases: ['Item', 'SKU'] },
+        { object_label: 'Quantity', object_api_name: 'Quantity__c', type: 'number', aliases: 'Qty, Units' },
+        { object_label: 'Sales Price', object_api_name: 'Sales_Price__c', type: 'currency' },
+        { object_label: 'Start Date', object_api_name: 'Start_Date__c', type: 'date', column: 'f' }
+      ]))),
+      Quote: [
+        ['  OPPORTUNITY ', 'Item', 'units', 'sales   Price', 'Start Date', 'Begins'],
+        [org.opportunities[0], org.products[0], 2, 10, '2025-01-01', '2025-02-01']
+      ]
+    }
+  });
+
+  const table = scripts.buildInputTable(ss);
+
+  assert.deepEqual(plain(table.columns.map((column) => [column.label, column.col])),
+    [['Opportunity', 0], ['Product', 1], ['Quantity', 2], ['Sales Price', 3], ['Start Date', 5]]);
+  assert.equal(table.records[0].jellyfish_line_item__c.Quantity__c, 2);
+  assert.equal(table.records[0].jellyfish_line_item__c.Start_Date__c, '2025-02-01');
+});
+
+test('buildInputTable warns about a repeated header and reads its first column', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(),
+      Quote: [QUOTE_HEADERS.concat('quantity'), ['006000000000001AAA', '01t000000000001AAA', 1, 1, '', 9]]
+    }
+  });
+
+  const table = scripts.buildInputTable(ss);
+  scripts.flushLogs(ss);
+
+  assert.equal(table.records[0].jellyfish_line_item__c.Quantity__c, 1);
+  const log = ss.getSheetByName('JF_SCRIPT_LOG').values();
+  assert.ok(log.some((row) => row[2] === 'warn' && /Header 'Quantity' appears in columns C, F; using column C/.test(row[3])));
+});
+
+test('Data End all_rows reads past a blank first cell and skips blank rows', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 1, ''],
+    ['', '', '', '', ''],
+    ['', org.products[1], 2, 2, ''],
+    [org.opportunities[0], org.products[1], 3, 3, '']
+  ], [{ 'Data End': { Name: 'all_rows' } }]);
+
+  assert.deepEqual(plain(scripts.buildInputTable(ss).rowNumbers), [2, 4, 5]);
+});
+
+test('Data End key_column stops at the first blank cell of the key column', () => {
+  const { scripts, ss } = setup((org) => [
+    ['', org.products[0], 1, 1, ''],
+    [org.opportunities[0], org.products[1], 2, 2, ''],
+    [org.opportunities[0], '', 3, 3, ''],
+    [org.opportunities[0], org.products[1], 4, 4, '']
+  ], [{ 'Data End': { Name: 'key_column', header: 'product' } }]);
+
+  assert.deepEqual(plain(scripts.buildInputTable(ss).rowNumbers), [2, 3]);
+});
+
+test('Data End sentinel stops at the end marker', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 1, ''],
+    ['', '', '', '', ''],
+    [org.opportunities[0], org.products[1], 2, 2, ''],
+    ['', ' end ', '', '', ''],
+    [org.opportunities[0], org.products[1], 3, 3, '']
+  ], [{ 'Data End': { Name: 'sentinel', value: 'END' } }]);
+
+  assert.deepEqual(plain(scripts.buildInputTable(ss).rowNumbers), [2, 4]);
+});
+
+test('Data End named_range reads the rows of the named range', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 1, ''],
+    [org.opportunities[0], org.products[1], 2, 2, ''],
+    [org.opportunities[0], org.products[1], 3, 3, ''],
+    [org.opportunities[0], org.products[1], 4, 4, '']
+  ], [{ 'Data End': { Name: 'named_range', range: 'QuoteLines' } }]);
+
+  assert.throws(() => scripts.buildInputTable(ss), /Data End named range 'QuoteLines' not found/);
+
+  ss.setNamedRange('QuoteLines', ss.getSheetByName('Quote').getRange(3, 1, 2, 5));
+  assert.deepEqual(plain(scripts.buildInputTable(ss).rowNumbers), [3, 4]);
+});
+
+test('validateParameters checks the Data End rule and column letters', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams([
+        { 'Data End': { Name: 'sentinel' } },
+        { jellyfish_line_item__c: { object_label: 'Discount', object_api_name: 'Discount__c', column: 'C1' } }
+      ])
+    }
+  });
+
+  const messages = scripts.validateParameters(ss).problems.map((problem) => problem.message).join('\n');
+
+  assert.match(messages, /Data End 'sentinel' needs 'value'/);
+  assert.match(messages, /'jellyfish_line_item__c.column' must be a column letter such as C/);
+});
+
+function computedSetup(extraMappings, rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([{ 'Input Sheet': { Name: 'Quote' } }, { 'Table Header Row': { Name: 1 } }].concat(mappings([
+        { object_label: 'Opportunity', object_api_name: 'opportunity_id__c' },
+        { object_label: 'Product', object_api_name: 'Product__c' },
+        { object_label: 'Quantity', object_api_name: 'Quantity__c', type: 'number', default: 1 },
+        { object_label: 'List Price', object_api_name: 'List_Price__c', type: 'currency' },
+        { object_label: 'Discount', object_api_name: 'Sales_Discount__c', type: 'percent' }
+      ].concat(extraMappings)))),
+      Quote: [['Opportunity', 'Product', 'Quantity', 'List Price', 'Discount']].concat(rows(org))
+    }
+  });
+  return Object.assign(harness, org);
+}
+
+test('constants, defaults and expressions are computed in dependency order', () => {
+  const { scripts, ss, opportunities, products } = computedSetup([
+    { object_label: 'Total', object_api_name: 'Total__c', expression: 'Quantity__c * Sales_Price__c' },
+    { object_api_name: 'Sales_Price__c', expression: 'round(List_Price__c * (1 - Sales_Discount__c / 100), 2)' },
+    { object_api_name: 'Currency__c', constant: 'USD' }
+  ], (org) => [
+    [org.opportunities[0], org.products[0], 2, 99.99, 0.15],
+    [org.opportunities[0], org.products[1], '', 10, '']
+  ]);
+
+  const records = scripts.buildDataTableFromParamsDynamic(ss);
+
+  assert.deepEqual(plain(records[0].jellyfish_line_item__c), {
+    opportunity_id__c: opportunities[0],
+    Product__c: products[0],
+    Quantity__c: 2,
+    List_Price__c: 99.99,
+    Sales_Discount__c: 15,
+    Total__c: 169.98,
+    Sales_Price__c: 84.99,
+    Currency__c: 'USD'
+  });
+  // A blank operand makes the result blank; the default fills the blank quantity.
+  assert.equal(records[1].jellyfish_line_item__c.Quantity__c, 1);
+  assert.equal(records[1].jellyfish_line_item__c.Sales_Price__c, null);
+  assert.equal(records[1].jellyfish_line_item__c.Total__c, null);
+});
+
+test('computed fields that depend on each other in a cycle are an error', () => {
+  const { scripts, ss } = computedSetup([
+    { object_api_name: 'Total__c', expression: 'Quantity__c * Sales_Price__c' },
+    { object_api_name: 'Sales_Price__c', expression: 'Total__c / Quantity__c' }
+  ], (org) => [[org.opportunities[0], org.products[0], 2, 10, '']]);
+
+  assert.throws(() => scripts.buildInputTable(ss), /Computed fields form a cycle: Total__c -> Sales_Price__c -> Total__c/);
+});
+
+test('an expression that uses a column missing from the input sheet is an error', () => {
+  const { scripts, ss } = computedSetup([
+    { object_label: 'Unit Price', object_api_name: 'Unit_Price__c', type: 'currency' },
+    { object_api_name: 'Total__c', expression: 'Quantity__c * Unit_Price__c' }
+  ], (org) => [[org.opportunities[0], org.products[0], 2, 10, '']]);
+
+  assert.throws(() => scripts.buildInputTable(ss),
+    /The expression of Total__c uses Unit_Price__c, whose column 'Unit Price' is not in the input sheet/);
+});
+
+test('computed fields report unmapped fields and values they cannot compute', () => {
+  const missing = computedSetup([{ object_api_name: 'Total__c', expression: 'Quantity__c * Unit_Price__c' }],
+    (org) => [[org.opportunities[0], org.products[0], 2, 10, '']]);
+  assert.throws(() => missing.scripts.buildInputTable(missing.ss),
+    /The expression of Total__c uses Unit_Price__c, which is not mapped in 'jellyfish_line_item__c'/);
+
+  const { scripts, ss } = computedSetup([{ object_label: 'Unit', object_api_name: 'Unit_Price__c', expression: 'List_Price__c / (Quantity__c - 2)' }],
+    (org) => [[org.opportunities[0], org.products[0], 2, 10, ''], [org.opportunities[0], org.products[0], 3, 10, '']]);
+  assert.throws(() => scripts.buildInputTable(ss), (error) => {
+    assert.match(error.message, /Could not convert 1 cell\(s\)/);
+    assert.match(error.message, /Row 2, column 'Unit' \(Unit_Price__c\): could not be computed: divides by zero/);
+    return true;
+  });
+});
+
+test('validateParameters checks expressions and the keys of computed mappings', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(mappings([
+        { object_api_name: 'Total__c', expression: 'Quantity__c * (Sales_Price__c' },
+        { object_api_name: 'Currency__c', constant: 'USD', column: 'F' },
+        { object_api_name: 'Notes__c' }
+      ]))
+    }
+  });
+
+  const messages = scripts.validateParameters(ss).problems.map((problem) => problem.row + ' ' + problem.message).join('\n');
+
+  assert.match(messages, /^9 'jellyfish_line_item__c.expression' is not a valid expression: expected '\)' at the end/m);
+  assert.match(messages, /^10 'jellyfish_line_item__c' with a constant or expression reads no column, so it cannot have 'column'/m);
+  assert.match(messages, /^11 'jellyfish_line_item__c' is missing required key 'object_label'/m);
+});
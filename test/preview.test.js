@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision } = require('./fixtures');
+
+function setup(rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS].concat(rows(org)) }
+  });
+  return Object.assign(harness, org);
+}
+
+test('diffLineItems classifies lines as added, removed, changed or unchanged', () => {
+  const { scripts } = loadScripts();
+  const current = [
+    { Id: 'a1', Product__c: 'P1', Quantity__c: 1 },
+    { Id: 'a2', Product__c: 'P2', Quantity__c: 2 },
+    { Id: 'a3', Product__c: 'P3', Quantity__c: 3 }
+  ];
+  const proposed = [
+    { Product__c: 'P2', Quantity__c: '2.00' },
+    { Product__c: 'P1', Quantity__c: 5 },
+    { Product__c: 'P4', Quantity__c: 1 }
+  ];
+
+  const changes = plain(scripts.diffLineItems(current, proposed, ['Product__c', 'Quantity__c'], [2, 3, 4]));
+
+  assert.deepEqual(changes, [
+    { type: 'unchanged', line: 2, id: 'a2', differences: [] },
+    { type: 'changed', line: 3, id: 'a1', differences: [{ field: 'Quantity__c', current: '1', proposed: '5' }] },
+    { type: 'added', line: 4, id: '', differences: [
+      { field: 'Product__c', current: '', proposed: 'P4' },
+      { field: 'Quantity__c', current: '', proposed: '1' }
+    ] },
+    { type: 'removed', line: '', id: 'a3', differences: [
+      { field: 'Product__c', current: 'P3', proposed: '' },
+      { field: 'Quantity__c', current: '3', proposed: '' }
+    ] }
+  ]);
+});
+
+test('diffLineItems pairs the remaining lines in order when no match field is compared', () => {
+  const { scripts } = loadScripts();
+
+  const changes = plain(scripts.diffLineItems(
+    [{ Id: 'a1', Quantity__c: 1 }, { Id: 'a2', Quantity__c: 2 }],
+    [{ Quantity__c: 2 }, { Quantity__c: 7 }],
+    ['Quantity__c']
+  ));
+
+  assert.deepEqual(changes.map((change) => [change.type, change.line, change.id]), [['unchanged', 1, 'a2'], ['changed', 2, 'a1']]);
+});
+
+test('previewOliRecords compares the sheet with the active lines without writing to Salesforce', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[0], org.products[1], 5, 200, ''],
+    [org.opportunities[0], org.products[0], 4, 400, '']
+  ]);
+  const seeded = seedRevision(salesforce, opportunities[0], 1, [
+    { Product__c: products[0], Quantity__c: 1, Sales_Price__c: 100 },
+    { Product__c: products[1], Quantity__c: 2, Sales_Price__c: 200 },
+    { Product__c: products[1], Quantity__c: 3, Sales_Price__c: 300 }
+  ]);
+
+  const summaries = plain(scripts.previewOliRecords(ss));
+
+  assert.deepEqual(summaries, [{
+    opportunityId: opportunities[0], currentRevision: 1, newRevision: 2,
+    added: 1, removed: 1, changed: 1, unchanged: 1, error: null
+  }]);
+  assert.equal(salesforce.dataRequests('post', /composite/).length, 0);
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+
+  const values = ss.getSheetByName('JF_PREVIEW').values();
+  assert.deepEqual(values[1].slice(0, 7), [opportunities[0], 1, 2, 1, 1, 1, 1]);
+  assert.deepEqual(values[4].slice(0, 7), ['Opportunity', 'Change', 'Input Row', 'Salesforce Id', 'Field', 'Current Value', 'New Value']);
+  const rows = values.slice(5).map((row) => row.slice(1, 7));
+  assert.deepEqual(rows[0], ['unchanged', 2, seeded[0].Id, '', '', '']);
+  assert.deepEqual(rows[1], ['changed', 3, seeded[1].Id, 'Quantity__c', '2', '5']);
+  assert.deepEqual(rows.filter((row) => row[0] === 'added').map((row) => row[3]), ['opportunity_id__c', 'Product__c', 'Quantity__c', 'Sales_Price__c']);
+  assert.ok(rows.some((row) => row[0] === 'removed' && row[2] === seeded[2].Id));
+  assert.equal(ss.getSheetByName('JF_PREVIEW').getRange(7, 1).getBackgrounds()[0][0], '#fff2cc');
+});
+
+test('previewOliRecords reports an Opportunity it cannot preview and goes on with the others', () => {
+  const { scripts, ss, opportunities } = setup((org) => [
+    ['006-not-an-id', org.products[0], 1, 100, ''],
+    [org.opportunities[1], org.products[1], 2, 200, '']
+  ]);
+
+  const summaries = plain(scripts.previewOliRecords(ss));
+
+  assert.equal(summaries.length, 2);
+  assert.match(summaries[0].error, /Opportunity Id/);
+  assert.deepEqual([summaries[1].opportunityId, summaries[1].added, summaries[1].newRevision, summaries[1].error],
+    [opportunities[1], 1, 1, null]);
+});
+
+test('previewOliRecords fails when the input sheet has no line items', () => {
+  const { scripts, ss } = setup(() => []);
+
+  assert.throws(() => scripts.previewOliRecords(ss), /No line items found in the input sheet/);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, mappings } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision } = require('./fixtures');
+
+// An input sheet holding an earlier quote, its sync results and a column the mappings do not read.
+function setup(extraParams) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(extraParams),
+      Quote: [
+        QUOTE_HEADERS.concat('Notes', 'Sync Status'),
+        ['old', 'old', 1, 1, '', 'keep me', 'Synced'],
+        ['old', 'old', 2, 2, '', '', 'Synced'],
+        ['old', 'old', 3, 3, '', '', 'Failed']
+      ]
+    }
+  });
+  seedRevision(org.salesforce, org.opportunities[0], 1, [
+    { Product__c: org.products[1], Quantity__c: 9, Sales_Price__c: 10 }
+  ], false);
+  seedRevision(org.salesforce, org.opportunities[0], 2, [
+    { Product__c: org.products[0], Quantity__c: 3, Sales_Price__c: 100, Start_Date__c: '2025-02-01' },
+    { Product__c: org.products[1], Quantity__c: 1, Sales_Price__c: 250 }
+  ]);
+  return Object.assign(harness, org);
+}
+
+test('pullLineItemsFromSalesforce writes the active lines into the input sheet', () => {
+  const { scripts, ss, opportunities, products } = setup();
+
+  const result = plain(scripts.pullLineItemsFromSalesforce(ss, opportunities[0]));
+
+  assert.deepEqual(result, { opportunityId: opportunities[0], version: null, lines: 2, sheet: 'Quote' });
+  const sheet = ss.getSheetByName('Quote');
+  const values = sheet.getRange(1, 1, 4, 7).getValues();
+  assert.deepEqual(values.slice(1).map((row) => row.slice(0, 4)), [
+    [opportunities[0], products[0], 3, 100],
+    [opportunities[0], products[1], 1, 250],
+    ['', '', '', '']
+  ]);
+  const startDate = values[1][4];
+  assert.deepEqual([startDate.getFullYear(), startDate.getMonth() + 1, startDate.getDate()], [2025, 2, 1]);
+  assert.equal(values[2][4], '');
+  // Unmapped columns are left alone; earlier sync results are cleared.
+  assert.equal(values[1][5], 'keep me');
+  assert.deepEqual(values.slice(1).map((row) => row[6]), ['', '', '']);
+  assert.equal(sheet.getLastRow(), 3);
+});
+
+test('pullLineItemsFromSalesforce writes the lines of the requested revision', () => {
+  const { scripts, ss, opportunities, products } = setup();
+
+  const result = plain(scripts.pullLineItemsFromSalesforce(ss, opportunities[0], '1'));
+
+  assert.equal(result.version, 1);
+  assert.equal(result.lines, 1);
+  const values = ss.getSheetByName('Quote').getRange(1, 1, 3, 4).getValues();
+  assert.deepEqual(values[1], [opportunities[0], products[1], 9, 10]);
+  assert.deepEqual(values[2], ['', '', '', '']);
+});
+
+test('pullLineItemsFromSalesforce writes lookups back as the value reps type and adds missing headers', () => {
+  const { scripts, ss, opportunities } = setup(mappings([
+    { object_label: 'SKU', object_api_name: 'Product__c', lookup_object: 'Product2', lookup_field: 'ProductCode' }
+  ]));
+  // The SKU column replaces the Product column of the standard mappings.
+  ss.getSheetByName('JF_SCRIPT_PARAMS').getRange(5, 1).setValue('');
+
+  scripts.pullLineItemsFromSalesforce(ss, opportunities[0]);
+
+  const values = ss.getSheetByName('Quote').values();
+  assert.equal(values[0][7], 'SKU');
+  assert.deepEqual(values.slice(1, 3).map((row) => row[7]), ['JF-PLAT', 'JF-SVC']);
+  // The Product column is no longer mapped, so it is left alone.
+  assert.deepEqual(values.slice(1, 3).map((row) => row[1]), ['old', 'old']);
+});
+
+test('pullLineItemsFromSalesforce rejects an invalid Opportunity Id without touching the sheet', () => {
+  const { scripts, ss } = setup();
+  const before = ss.getSheetByName('Quote').values();
+
+  assert.throws(() => scripts.pullLineItemsFromSalesforce(ss, 'not-an-id'), /Opportunity Id/);
+  assert.deepEqual(ss.getSheetByName('Quote').values(), before);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams } = require('./fixtures');
+
+// Everything written to JF_SCRIPT_LOG and the Logger output.
+function loggedText(ss, logger) {
+  const sheet = ss.getSheetByName('JF_SCRIPT_LOG');
+  return (sheet ? JSON.stringify(sheet.values()) : '') + '\n' + logger.getLog();
+}
+
+test('redactLogText masks bearer headers, session ids and credential fields', () => {
+  const { scripts } = loadScripts();
+  const token = '00D8b0000001234!AQ4AQJk.fake_session_token_value';
+
+  assert.doesNotMatch(scripts.redactLogText('Authorization: Bearer abc.def-ghi'), /abc\.def-ghi/);
+  assert.ok(!scripts.redactLogText('session ' + token).includes(token));
+  assert.doesNotMatch(scripts.redactLogText('{"access_token":"xyz12345","instance_url":"https://x"}'), /xyz12345/);
+  assert.doesNotMatch(scripts.redactLogText('{\n  "client_secret": "s3cr3t-value"\n}'), /s3cr3t-value/);
+  assert.doesNotMatch(scripts.redactLogText('grant_type=refresh_token&refresh_token=r3fr3sh&client_id=abc'), /r3fr3sh/);
+  assert.match(scripts.redactLogText('{"instance_url":"https://x"}'), /https:\/\/x/);
+});
+
+test('redactLogText shortens large payloads', () => {
+  const { scripts } = loadScripts();
+
+  const text = scripts.redactLogText('a'.repeat(scripts.LOG_MAX_PAYLOAD_LENGTH + 100));
+
+  assert.match(text, /\.\.\. \[100 more characters\]$/);
+});
+
+test('redactLogValue masks configured fields and credential keys in any case', () => {
+  const { scripts } = loadScripts();
+  scripts.configureRedaction('Sales_Price__c');
+
+  const redacted = scripts.redactLogValue({ Quantity__c: 2, Sales_Price__c: 450, nested: [{ Password: 'hunter22' }] });
+
+  assert.equal(redacted.Quantity__c, 2);
+  assert.equal(redacted.Sales_Price__c, '[REDACTED]');
+  assert.equal(redacted.nested[0].Password, '[REDACTED]');
+  assert.doesNotMatch(scripts.redactLogText(JSON.stringify([{ Sales_Price__c: 450 }])), /450/);
+});
+
+test('registered credentials never reach JF_SCRIPT_LOG or the Logger output', () => {
+  const { scripts, ss, logger } = loadScripts();
+  const secret = 'registered-client-secret-0042';
+  const token = 'plain-access-token-without-format';
+  scripts.registerLogSecret(secret);
+  scripts.registerLogSecret(token);
+
+  scripts.beginLogRun(ss);
+  scripts.logError(ss, 'Token request failed for ' + secret + ' with token ' + token);
+  scripts.logInfo(ss, 'Request', { headers: { Authorization: 'Bearer ' + token }, client_secret: secret });
+  scripts.endLogRun(ss);
+
+  const text = loggedText(ss, logger);
+  assert.ok(!text.includes(secret));
+  assert.ok(!text.includes(token));
+  assert.equal(ss.getSheetByName('JF_SCRIPT_LOG').values().length, 3);
+});
+
+test('a failed token request logs neither the client secret nor the token', () => {
+  const { salesforce } = createOrg();
+  salesforce.failTokenRequests({ error: 'invalid_client', error_description: 'invalid client credentials' });
+  const { scripts, ss, logger } = loadScripts({ salesforce });
+
+  scripts.beginLogRun(ss);
+  assert.throws(() => scripts.getSalesforceAccessToken(), /invalid_client/);
+  scripts.endLogRun(ss);
+
+  assert.ok(!loggedText(ss, logger).includes('test-client-secret-value'));
+});
+
+test('the Redact Fields setting keeps the values of a sync out of the logs', () => {
+  const org = createOrg();
+  const { scripts, ss, logger } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams([{ 'Redact Fields': { Name: 'Sales_Price__c' } }]),
+      Quote: [QUOTE_HEADERS, [org.opportunities[0], org.products[0], 1, 98765, '']]
+    }
+  });
+
+  assert.equal(scripts.processJellyfishLineItems(ss).outcome, 'committed');
+
+  const text = loggedText(ss, logger);
+  assert.match(text, /Sales_Price__c/);
+  assert.ok(!text.includes('98765'));
+  assert.ok(!text.includes('fake.token'));
+});
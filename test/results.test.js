@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams } = require('./fixtures');
+
+test('syncRowResults gives rows of a failed Opportunity their own problems', () => {
+  const { scripts } = loadScripts();
+
+  const results = plain(scripts.syncRowResults({
+    outcome: 'failed',
+    rows: [2, 3, 12],
+    error: "Found 2 problem(s):\nRow 3, column 'Quantity' (Quantity__c): \"two\" is not a number.\n" +
+      "Row 12: is required.\nRow 120: is required."
+  }));
+
+  assert.deepEqual(results.map((result) => [result.status, result.errors, result.failed]), [
+    ['Not synced', 'Found 2 problem(s):', true],
+    ['Not synced', "Row 3, column 'Quantity' (Quantity__c): \"two\" is not a number.", true],
+    ['Not synced', 'Row 12: is required.', true]
+  ]);
+});
+
+test('syncRowResults lists warnings on committed rows and the summary error after a failed rollback', () => {
+  const { scripts } = loadScripts();
+
+  const committed = plain(scripts.syncRowResults({
+    outcome: 'committed',
+    revision: 3,
+    rows: [2, 3],
+    insertion: [{ id: 'a01', success: true }, { id: 'a02', success: true }],
+    warnings: [{ row: 3, column: 'Sales Price', field: 'Sales_Price__c', message: 'Warning: above the list price.' }]
+  }));
+  const rollbackFailed = plain(scripts.syncRowResults({
+    outcome: 'rollback failed',
+    rows: [2],
+    insertion: [{ success: true, id: 'a03' }],
+    error: 'Check the line items for Opportunity 006 in Salesforce.'
+  }));
+
+  assert.deepEqual(committed, [
+    { status: 'Synced', id: 'a01', revision: 3, errors: '', failed: false },
+    { status: 'Synced', id: 'a02', revision: 3, failed: false,
+      errors: "Row 3, column 'Sales Price' (Sales_Price__c): Warning: above the list price." }
+  ]);
+  assert.deepEqual(rollbackFailed.map((result) => [result.status, result.errors]),
+    [['Rollback failed', 'Check the line items for Opportunity 006 in Salesforce.']]);
+});
+
+test('writeSyncResults reuses the result columns already in the sheet and clears their old highlights', () => {
+  const org = createOrg();
+  const { scripts, ss } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(),
+      Quote: [
+        QUOTE_HEADERS.concat('Notes', 'Sync Errors', 'Sync Status'),
+        [org.opportunities[0], org.products[0], 1, 100, '', 'keep me', 'old error', 'Not synced']
+      ]
+    }
+  });
+  const sheet = ss.getSheetByName('Quote');
+  sheet.getRange(2, 8).setBackground('#f4cccc');
+
+  scripts.processOliRecords(ss);
+
+  const values = sheet.values();
+  assert.deepEqual(values[0].slice(5), ['Notes', 'Sync Errors', 'Sync Status', 'Salesforce Id', 'Sync Revision']);
+  assert.deepEqual(values[1].slice(5, 8), ['keep me', '', 'Synced']);
+  assert.equal(values[1][9], 1);
+  assert.equal(sheet.getRange(2, 8).getBackgrounds()[0][0], '#ffffff');
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision } = require('./fixtures');
+
+// Revision 1 (two lines, inactive) and revision 2 (one line, active) on the first Opportunity.
+function setup() {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS] }
+  });
+  const first = seedRevision(org.salesforce, org.opportunities[0], 1, [
+    { Product__c: org.products[0], Quantity__c: 2, Sales_Price__c: 100 },
+    { Product__c: org.products[1], Quantity__c: 1, Sales_Price__c: 50.5 }
+  ], false);
+  const second = seedRevision(org.salesforce, org.opportunities[0], 2, [
+    { Product__c: org.products[0], Quantity__c: 3, Sales_Price__c: 100 }
+  ]);
+  return Object.assign(harness, org, { first, second });
+}
+
+const activeIds = (salesforce) =>
+  salesforce.records('jellyfish_line_item__c', (record) => record.Active__c).map((record) => record.Id);
+
+test('listRevisions summarizes each revision, newest first, and writes JF_REVISIONS', () => {
+  const { scripts, ss, opportunities } = setup();
+
+  const revisions = plain(scripts.listRevisions(ss, opportunities[0]));
+
+  assert.deepEqual(revisions.map((revision) => [revision.version, revision.status, revision.lines, revision.activeLines, revision.total]),
+    [[2, 'Active', 1, 1, 300], [1, 'Inactive', 2, 0, 250.5]]);
+  assert.ok(revisions[1].firstCreated < revisions[1].lastCreated);
+  const values = ss.getSheetByName('JF_REVISIONS').values();
+  assert.deepEqual(values[0].slice(0, 2), ['Opportunity', opportunities[0]]);
+  assert.deepEqual(values[3], ['Version', 'Status', 'Lines', 'Active Lines', 'Total', 'First Created', 'Last Created']);
+  assert.deepEqual(values.slice(4).map((row) => row.slice(0, 5)), [[2, 'Active', 1, 1, 300], [1, 'Inactive', 2, 0, 250.5]]);
+});
+
+test('listRevisions rejects an invalid Opportunity Id', () => {
+  const { scripts, ss } = setup();
+
+  assert.throws(() => scripts.listRevisions(ss, '006-nope'), /Opportunity Id/);
+});
+
+test('restoreRevision activates an earlier revision and deactivates the current one', () => {
+  const { scripts, ss, salesforce, opportunities, first } = setup();
+
+  const result = plain(scripts.restoreRevision(opportunities[0], '1', ss));
+
+  assert.equal(result.outcome, 'restored');
+  assert.equal(result.version, 1);
+  assert.equal(result.error, null);
+  assert.deepEqual(activeIds(salesforce), first.map((record) => record.Id));
+  assert.deepEqual(plain(scripts.listRevisions(ss, opportunities[0])).map((revision) => revision.status), ['Inactive', 'Active']);
+});
+
+test('restoreRevision rejects a revision that does not exist', () => {
+  const { scripts, ss, salesforce, opportunities, second } = setup();
+
+  assert.throws(() => scripts.restoreRevision(opportunities[0], 5, ss), /Revision 5 does not exist .*revisions run from 1 to 2/);
+  assert.throws(() => scripts.restoreRevision(opportunities[0], 1.5, ss), /Revision 1.5 does not exist/);
+  assert.deepEqual(activeIds(salesforce), [second[0].Id]);
+  assert.equal(salesforce.dataRequests('patch').length, 0);
+});
+
+test('restoreRevision reactivates the current revision when the activation fails', () => {
+  const { scripts, ss, salesforce, opportunities, first, second } = setup();
+  const firstIds = first.map((record) => record.Id);
+  salesforce.rejectWhen('update', (record) => record.Active__c === true && firstIds.indexOf(record.Id) !== -1 && 'Locked');
+
+  const result = plain(scripts.restoreRevision(opportunities[0], 1, ss));
+
+  assert.equal(result.outcome, 'rolled back');
+  assert.match(result.error, /Activating revision 1 failed; the previous revision was reactivated/);
+  assert.deepEqual(activeIds(salesforce), [second[0].Id]);
+});
+
+test('restoreRevision undoes an activation that throws partway', () => {
+  const { scripts, ss, salesforce, opportunities, second } = setup();
+  const items = [];
+  for (let i = 0; i < 250; i++) items.push({ Product__c: null, Quantity__c: i });
+  seedRevision(salesforce, opportunities[0], 3, items, false);
+  // The deactivation and the first chunk of 200 go through, then the connection drops.
+  salesforce.failNext(1, { error: 'Timeout: https://fake.my.salesforce.com' }, /composite\/sobjects$/, 2);
+
+  const result = plain(scripts.restoreRevision(opportunities[0], 3, ss));
+
+  assert.equal(result.outcome, 'rolled back');
+  assert.deepEqual(activeIds(salesforce), [second[0].Id]);
+});
+
+test('restoreRevision leaves the current revision active when its deactivation fails', () => {
+  const { scripts, ss, salesforce, opportunities, second } = setup();
+  salesforce.rejectWhen('update', (record) => record.Active__c === false && 'Locked');
+
+  const result = plain(scripts.restoreRevision(opportunities[0], 1, ss));
+
+  assert.equal(result.outcome, 'rolled back');
+  assert.match(result.error, /Deactivating the current revision failed; the previous revision was left active/);
+  assert.deepEqual(result.activation, []);
+  assert.deepEqual(activeIds(salesforce), [second[0].Id]);
+});
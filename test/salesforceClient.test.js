@@ -0,0 +1,292 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness');
+const { createOrg } = require('./fixtures');
+
+test('query follows nextRecordsUrl until every page is read', () => {
+  const { salesforce } = createOrg({ pageSize: 2 });
+  for (let i = 0; i < 5; i++) salesforce.insert('Product2', { Name: 'Extra ' + i, ProductCode: 'X-' + i });
+  const { scripts } = loadScripts({ salesforce });
+
+  const result = scripts.getSalesforceClient().query('SELECT Id, Name FROM Product2 ORDER BY Name');
+
+  assert.equal(result.records.length, 7);
+  assert.equal(result.done, true);
+  assert.equal(salesforce.dataRequests('get', /\/query/).length, 4);
+});
+
+test('create sends 200 records per request and keeps results in input order', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts } = loadScripts({ salesforce });
+  const records = [];
+  for (let i = 0; i < 450; i++) {
+    records.push({ attributes: { type: 'jellyfish_line_item__c' }, opportunity_id__c: opportunities[0], Quantity__c: i });
+  }
+
+  const results = scripts.getSalesforceClient().create(records, true);
+
+  assert.equal(results.length, 450);
+  assert.ok(results.every((result) => result.success));
+  assert.equal(salesforce.dataRequests('post', /composite\/sobjects/).length, 3);
+  assert.equal(salesforce.records('jellyfish_line_item__c')[449].Quantity__c, 449);
+});
+
+test('update and delete are chunked and allOrNone holds per chunk', () => {
+  const { salesforce, opportunities } = createOrg();
+  const seeded = [];
+  for (let i = 0; i < 250; i++) seeded.push(salesforce.insert('jellyfish_line_item__c', { opportunity_id__c: opportunities[0], Quantity__c: i }));
+  salesforce.rejectWhen('update', (record) => record.Quantity__c === -249 && 'Locked');
+  const { scripts } = loadScripts({ salesforce });
+  const client = scripts.getSalesforceClient();
+
+  const updates = plain(client.update(seeded.map((record) => ({
+    attributes: { type: 'jellyfish_line_item__c' }, Id: record.Id, Quantity__c: -record.Quantity__c
+  })), true));
+
+  assert.equal(updates.length, 250);
+  assert.ok(updates.slice(0, 200).every((result) => result.success));
+  assert.ok(updates.slice(200).every((result) => !result.success));
+  assert.equal(salesforce.records('jellyfish_line_item__c')[199].Quantity__c, -199);
+  assert.equal(salesforce.records('jellyfish_line_item__c')[200].Quantity__c, 200);
+
+  const deletions = plain(client.del(seeded.map((record) => record.Id), false));
+
+  assert.deepEqual(deletions.map((result) => result.id), seeded.map((record) => record.Id));
+  assert.equal(salesforce.dataRequests('delete', /composite\/sobjects/).length, 2);
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 0);
+});
+
+test('getAllLineItems reads every page of a large revision history', () => {
+  const { salesforce, opportunities } = createOrg({ pageSize: 100 });
+  for (let i = 0; i < 250; i++) {
+    salesforce.insert('jellyfish_line_item__c', { opportunity_id__c: opportunities[0], Version_Number__c: 1 + (i % 3), Active__c: i % 3 === 2 });
+  }
+  const { scripts } = loadScripts({ salesforce });
+
+  const records = scripts.getAllLineItems(opportunities[0], []);
+
+  assert.equal(records.length, 250);
+  assert.equal(salesforce.dataRequests('get', /\/query/).length, 3);
+  assert.equal(scripts.getActiveLineItemIds(opportunities[0]).length, 83);
+});
+
+test('the access token is requested once and reused from the script cache', () => {
+  const { salesforce } = createOrg();
+  const harness = loadScripts({ salesforce });
+
+  harness.scripts.getSalesforceAccessToken();
+  harness.scripts.describeSObject('Product2');
+  harness.scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(salesforce.tokenRequests(), 1);
+  assert.ok(harness.scriptCache.get('SF_ACCESS_TOKEN'));
+});
+
+test('a token that expires within a minute is used but not put in the script cache', () => {
+  const { salesforce } = createOrg();
+  salesforce.setTokenLifetime(45);
+  const harness = loadScripts({ salesforce });
+
+  harness.scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(salesforce.tokenRequests(), 1);
+  assert.equal(harness.scriptCache.get('SF_ACCESS_TOKEN'), null);
+});
+
+test('a token cached by an earlier execution is used without a token request', () => {
+  const { salesforce } = createOrg();
+  const first = loadScripts({ salesforce });
+  first.scripts.getSalesforceAccessToken();
+  const harness = loadScripts({ salesforce });
+  harness.scriptCache.put('SF_ACCESS_TOKEN', first.scriptCache.get('SF_ACCESS_TOKEN'), 600);
+
+  harness.scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(salesforce.tokenRequests(), 1);
+});
+
+test('every call goes through the data URL of the configured API version with the bearer token', () => {
+  const { salesforce } = createOrg();
+  const { scripts } = loadScripts({ salesforce, properties: { SF_INSTANCE_URL: salesforce.instanceUrl + '/', SF_API_VERSION: '61' } });
+  const client = scripts.getSalesforceClient();
+
+  client.query('SELECT Id FROM Product2');
+  scripts.describeSObject('Product2');
+
+  assert.equal(client.dataUrl('/query'), salesforce.instanceUrl + '/services/data/v61.0/query');
+  const requests = salesforce.dataRequests('get');
+  assert.equal(requests.length, 2);
+  requests.forEach((request) => {
+    assert.match(request.path, /^\/services\/data\/v61\.0\//);
+    assert.match(request.headers.Authorization, /^Bearer /);
+  });
+  assert.equal(scripts.getSalesforceClient(), client);
+  assert.throws(() => scripts.normalizeApiVersion('latest'), /Invalid Salesforce API version: latest/);
+});
+
+test('getHighestRevisionNumber returns 0 without line items and the highest version otherwise', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts } = loadScripts({ salesforce });
+
+  assert.equal(scripts.getHighestRevisionNumber(opportunities[0]), 0);
+  salesforce.insert('jellyfish_line_item__c', { opportunity_id__c: opportunities[0], Version_Number__c: 2 });
+  salesforce.insert('jellyfish_line_item__c', { opportunity_id__c: opportunities[0], Version_Number__c: null });
+  salesforce.insert('jellyfish_line_item__c', { opportunity_id__c: opportunities[1], Version_Number__c: 9 });
+  assert.equal(scripts.getHighestRevisionNumber(opportunities[0]), 2);
+});
+
+test('SOQL binds are escaped', () => {
+  const { scripts } = loadScripts();
+
+  assert.equal(
+    scripts.buildSoql('SELECT Id FROM Product2 WHERE Name = :name AND ProductCode IN :codes', { name: "O'Brien \\ Co", codes: ['A', 'B'] }),
+    "SELECT Id FROM Product2 WHERE Name = 'O\\'Brien \\\\ Co' AND ProductCode IN ('A', 'B')"
+  );
+  assert.deepEqual(plain(scripts.soqlFieldList(['Id', 'Product2.ProductCode'])), 'Id, Product2.ProductCode');
+});
+
+test('transient failures are retried with exponential backoff', () => {
+  const { salesforce } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  salesforce.failNext(2, { status: 503, body: '<html><body><h1>Service Unavailable</h1></body></html>' }, /\/query$/);
+
+  const result = scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(result.records.length, 2);
+  assert.equal(salesforce.dataRequests('get', /\/query/).length, 3);
+  assert.deepEqual(plain(sleeps), [1000, 2000]);
+});
+
+test('a 429 response waits as long as Retry-After asks', () => {
+  const { salesforce } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 429, body: [{ errorCode: 'REQUEST_LIMIT_EXCEEDED', message: 'Too many requests' }], headers: { 'Retry-After': '5' } });
+
+  scripts.describeSObject('Product2');
+
+  assert.deepEqual(plain(sleeps), [5000]);
+});
+
+test('a failure that outlasts the retries raises a SalesforceApiError describing the HTML page', () => {
+  const { salesforce } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  salesforce.failNext(10, { status: 503, body: '<html><head><title>Maintenance</title><style>p{}</style></head><body>Down for maintenance</body></html>' }, /\/query$/);
+
+  assert.throws(() => scripts.getSalesforceClient().query('SELECT Id FROM Product2'), (error) => {
+    assert.equal(error.name, 'SalesforceApiError');
+    assert.equal(error.status, 503);
+    assert.equal(error.errorCode, 'HTTP_503');
+    assert.match(error.message, /HTTP_503: "Maintenance Down for maintenance" \(HTTP 503\)/);
+    return true;
+  });
+  assert.equal(sleeps.length, 3);
+});
+
+test('network errors are retried and then reported as NETWORK_ERROR', () => {
+  const { salesforce } = createOrg();
+  const { scripts } = loadScripts({ salesforce });
+  salesforce.failNext(4, { error: 'Address unavailable: https://fake.my.salesforce.com' }, /\/query$/);
+
+  assert.throws(() => scripts.getSalesforceClient().query('SELECT Id FROM Product2'), (error) => {
+    assert.equal(error.errorCode, 'NETWORK_ERROR');
+    assert.equal(error.status, 0);
+    assert.match(error.message, /after 4 attempts: Address unavailable/);
+    return true;
+  });
+});
+
+test('a write is not re-sent after a 500 or a network error, which it may have survived', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  const records = [{ attributes: { type: 'jellyfish_line_item__c' }, opportunity_id__c: opportunities[0], Quantity__c: 1 }];
+  salesforce.failNext(1, { status: 500, body: [{ errorCode: 'UNKNOWN_EXCEPTION', message: 'An unexpected error occurred' }] }, /composite\/sobjects$/);
+
+  const results = scripts.getSalesforceClient().create(records, true);
+
+  assert.equal(results[0].success, false);
+  assert.equal(results[0].errors[0].statusCode, 'UNKNOWN_EXCEPTION');
+  assert.equal(salesforce.dataRequests('post', /composite\/sobjects/).length, 1);
+
+  salesforce.failNext(1, { error: 'Timeout: https://fake.my.salesforce.com' }, /composite\/sobjects$/);
+  assert.throws(() => scripts.getSalesforceClient().create(records, true), (error) => {
+    assert.equal(error.errorCode, 'NETWORK_ERROR');
+    assert.match(error.message, /POST was not repeated because it may have been applied: Timeout/);
+    return true;
+  });
+  assert.equal(salesforce.dataRequests('post', /composite\/sobjects/).length, 2);
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 0);
+  assert.equal(sleeps.length, 0);
+});
+
+test('a write turned away with a 503 is sent again', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 503, body: 'Service Unavailable' }, /composite\/sobjects$/);
+
+  const results = scripts.getSalesforceClient().create(
+    [{ attributes: { type: 'jellyfish_line_item__c' }, opportunity_id__c: opportunities[0], Quantity__c: 1 }], true);
+
+  assert.ok(results[0].success);
+  assert.equal(salesforce.dataRequests('post', /composite\/sobjects/).length, 2);
+  assert.equal(salesforce.records('jellyfish_line_item__c').length, 1);
+  assert.deepEqual(plain(sleeps), [1000]);
+});
+
+test('an expired session is renewed once and the request repeated', () => {
+  const { salesforce } = createOrg();
+  const harness = loadScripts({ salesforce });
+  harness.scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+  salesforce.expireSession();
+
+  const result = harness.scripts.getSalesforceClient().query('SELECT Id FROM Product2');
+
+  assert.equal(result.records.length, 2);
+  assert.equal(salesforce.tokenRequests(), 2);
+  assert.equal(harness.scriptCache.get('SF_ACCESS_TOKEN'), salesforce.requests[salesforce.requests.length - 1].headers.Authorization.slice(7));
+});
+
+test('errors carry the Salesforce errorCode, message and fields instead of a silent result', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts, sleeps } = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 400, body: [{ errorCode: 'INVALID_FIELD', message: 'No such column', fields: ['Version_Number__c'] }] }, /\/query$/);
+
+  assert.throws(() => scripts.getHighestRevisionNumber(opportunities[0]), (error) => {
+    assert.equal(error.status, 400);
+    assert.equal(error.errorCode, 'INVALID_FIELD');
+    assert.deepEqual(plain(error.fields), ['Version_Number__c']);
+    assert.match(error.message, /^Salesforce request failed: INVALID_FIELD: No such column \[Version_Number__c\] \(HTTP 400\)$/);
+    return true;
+  });
+  assert.equal(sleeps.length, 0);
+});
+
+test('a rejected collection request fails each record of the chunk', () => {
+  const { salesforce, opportunities } = createOrg();
+  const { scripts } = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 400, body: [{ errorCode: 'JSON_PARSER_ERROR', message: 'Unexpected character' }] }, /composite\/sobjects$/);
+
+  const results = scripts.getSalesforceClient().create([
+    { attributes: { type: 'jellyfish_line_item__c' }, opportunity_id__c: opportunities[0] },
+    { attributes: { type: 'jellyfish_line_item__c' }, opportunity_id__c: opportunities[0] }
+  ], true);
+
+  assert.deepEqual(plain(results), [0, 1].map(() => ({
+    success: false,
+    errors: [{ statusCode: 'JSON_PARSER_ERROR', message: 'Unexpected character', fields: [] }]
+  })));
+});
+
+test('the token request is retried and reports a non-JSON answer', () => {
+  const { salesforce } = createOrg();
+  const first = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 502, body: 'Bad Gateway' }, /oauth2/);
+  first.scripts.getSalesforceAccessToken();
+  assert.equal(first.sleeps.length, 1);
+
+  const second = loadScripts({ salesforce });
+  salesforce.failNext(1, { status: 200, body: '<html>Please log in</html>' }, /oauth2/);
+  assert.throws(() => second.scripts.getSalesforceAccessToken(),
+    /^SalesforceApiError: Failed to get access token: expected JSON but received "Please log in" \(HTTP 200\)$/);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./harness');
+
+test('buildSoql writes dates, datetimes, booleans and nulls and leaves quoted literals alone', () => {
+  const { scripts } = loadScripts();
+
+  assert.equal(scripts.buildSoql("SELECT Id FROM Opportunity WHERE Name = 'a:b' AND CloseDate = :day AND " +
+    'LastModifiedDate > :since AND Description = :blank AND IsClosed = :closed', {
+    day: new Date(Date.UTC(2025, 1, 3)),
+    since: scripts.soqlDateTime(new Date(Date.UTC(2025, 1, 3, 9))),
+    blank: null,
+    closed: false
+  }), "SELECT Id FROM Opportunity WHERE Name = 'a:b' AND CloseDate = 2025-02-03 AND " +
+    'LastModifiedDate > 2025-02-03T09:00:00Z AND Description = NULL AND IsClosed = FALSE');
+  assert.equal(scripts.buildSoql('SELECT Id FROM Product2 WHERE Name = :name', { name: "x' OR Name != '" }),
+    "SELECT Id FROM Product2 WHERE Name = 'x\\' OR Name != \\''");
+});
+
+test('buildSoql rejects missing binds and values it cannot write safely', () => {
+  const { scripts } = loadScripts();
+
+  assert.throws(() => scripts.buildSoql('SELECT Id FROM Product2 WHERE Name = :name', {}), /No value bound for SOQL parameter :name/);
+  assert.throws(() => scripts.buildSoql('SELECT Id FROM Product2 WHERE Id IN :ids', { ids: [] }), /:ids is an empty list/);
+  assert.throws(() => scripts.buildSoql('SELECT Id FROM Product2 WHERE Price__c = :price', { price: Infinity }), /:price is not a finite number/);
+  assert.throws(() => scripts.buildSoql('SELECT Id FROM Product2 WHERE Name = :name', { name: { toString: () => 'x' } }),
+    /Unsupported value for SOQL parameter :name/);
+  assert.throws(() => scripts.soqlFieldList(['Id', 'Name FROM User --']), /Invalid field name for SOQL/);
+});
+
+test('validateSalesforceId checks the length, the checksum and the key prefix', () => {
+  const { scripts } = loadScripts();
+
+  assert.equal(scripts.validateSalesforceId(' 001A0000006Vm9r ', 'Account'), '001A0000006Vm9r');
+  assert.equal(scripts.validateSalesforceId('001A0000006Vm9rIAC', 'Account'), '001A0000006Vm9rIAC');
+  assert.equal(scripts.toEighteenCharacterId('001A0000006Vm9r'), '001A0000006Vm9rIAC');
+  assert.throws(() => scripts.validateSalesforceId('001A0000006Vm9rAAA'), /the 18-character checksum does not match/);
+  assert.throws(() => scripts.validateSalesforceId('001A0000006Vm9r', 'Opportunity'), /Invalid Opportunity Id .*expected it to start with 006/);
+  assert.throws(() => scripts.validateSalesforceId("006' OR Id != '", 'Opportunity'), /expected 15 or 18 letters and digits/);
+  assert.throws(() => scripts.validateSalesforceId(null), /Invalid Salesforce Id ""/);
+});
@@ -0,0 +1,421 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, paramsSheet, mappings } = require('./harness');
+const { describeObject } = require('./fakeSalesforce');
+const { QUOTE_HEADERS, createOrg, standardParams, seedRevision, lineItemDescribe } = require('./fixtures');
+
+function setup(rows) {
+  const org = createOrg();
+  const harness = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS].concat(rows(org)) }
+  });
+  return Object.assign(harness, org);
+}
+
+const lineItems = (salesforce, filter) => salesforce.records('jellyfish_line_item__c', filter);
+
+test('formatOLIs flattens the mapping groups and keeps top-level fields', () => {
+  const { scripts } = loadScripts();
+
+  const formatted = scripts.formatOLIs([
+    { jellyfish_line_item__c: { Product__c: 'p1', Quantity__c: 2 }, Active__c: true, Version_Number__c: 3 },
+    { jellyfish_line_item__c: { Product__c: 'p2' }, other_group: { Note__c: 'x' }, Empty__c: null }
+  ]);
+
+  assert.deepEqual(plain(formatted), [
+    { Product__c: 'p1', Quantity__c: 2, Active__c: true, Version_Number__c: 3 },
+    { Product__c: 'p2', Note__c: 'x', Empty__c: null }
+  ]);
+});
+
+test('processOliRecords creates the next revision and deactivates the previous one', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 10, 450, '2025-02-01'],
+    [org.opportunities[0], org.products[1], 3, 950, '']
+  ]);
+  const previous = seedRevision(salesforce, opportunities[0], 2, [{ Product__c: products[0], Quantity__c: 5 }]);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'committed');
+  assert.equal(result.opportunities.length, 1);
+  assert.equal(result.opportunities[0].revision, 3);
+  assert.deepEqual(plain(result.opportunities[0].rows), [2, 3]);
+
+  const active = lineItems(salesforce, (record) => record.Active__c);
+  assert.equal(active.length, 2);
+  assert.ok(active.every((record) => record.Version_Number__c === 3 && record.opportunity_id__c === opportunities[0]));
+  assert.deepEqual(active.map((record) => record.Quantity__c), [10, 3]);
+  assert.equal(lineItems(salesforce, (record) => record.Id === previous[0].Id)[0].Active__c, false);
+});
+
+test('processOliRecords writes status, Id and revision next to each row', () => {
+  const { scripts, ss, salesforce } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[1], org.products[1], 2, 200, '']
+  ]);
+
+  scripts.processOliRecords(ss);
+
+  const values = ss.getSheetByName('Quote').values();
+  assert.deepEqual(values[0].slice(5), ['Sync Status', 'Salesforce Id', 'Sync Revision', 'Sync Errors']);
+  const created = lineItems(salesforce);
+  assert.deepEqual(values[1].slice(5), ['Synced', created[0].Id, 1, '']);
+  assert.deepEqual(values[2].slice(5), ['Synced', created[1].Id, 1, '']);
+});
+
+test('processOliRecords clears the previous results even when the run stops early', () => {
+  const { scripts, ss } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '']
+  ]);
+  scripts.processOliRecords(ss);
+  const sheet = ss.getSheetByName('Quote');
+  assert.equal(sheet.getRange(2, 6).getValue(), 'Synced');
+  ss.getSheetByName('JF_SCRIPT_PARAMS').appendRow([JSON.stringify(
+    { jellyfish_line_item__c: { object_api_name: 'List_Price__c', expression: 'Missing__c * 2' } })]);
+
+  assert.throws(() => scripts.processOliRecords(ss), /Missing__c/);
+
+  assert.deepEqual(sheet.values()[1].slice(5), ['', '', '', '']);
+  assert.deepEqual(sheet.values()[0].slice(5), ['Sync Status', 'Salesforce Id', 'Sync Revision', 'Sync Errors']);
+});
+
+test('processOliRecords syncs each Opportunity separately and reports partial success', () => {
+  const { scripts, ss, salesforce, opportunities } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[1], org.products[1], -1, 200, '']
+  ]);
+  salesforce.rejectWhen('create', (record) => record.Quantity__c < 0 && 'Quantity must be positive');
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'partially committed');
+  const [first, second] = result.opportunities;
+  assert.equal(first.outcome, 'committed');
+  assert.equal(second.outcome, 'rolled back');
+  assert.equal(lineItems(salesforce, (record) => record.opportunity_id__c === opportunities[1]).length, 0);
+
+  const sheet = ss.getSheetByName('Quote');
+  assert.equal(sheet.getRange(3, 6).getValue(), 'Rolled back');
+  assert.match(sheet.getRange(3, 9).getValue(), /FIELD_CUSTOM_VALIDATION_EXCEPTION: Quantity must be positive/);
+  assert.equal(sheet.getRange(3, 6).getBackgrounds()[0][0], '#f4cccc');
+  assert.equal(sheet.getRange(2, 6).getBackgrounds()[0][0], '#ffffff');
+});
+
+test('groupRecordsByOpportunity groups interleaved rows in order of first appearance', () => {
+  const { scripts, ss, opportunities } = setup((org) => [
+    [org.opportunities[1], org.products[0], 1, 100, ''],
+    [org.opportunities[0], org.products[0], 2, 100, ''],
+    [' 006-typo ', org.products[0], 3, 100, ''],
+    [org.opportunities[1], org.products[1], 4, 100, ''],
+    [org.opportunities[0].slice(0, 15), org.products[1], 5, 100, '']
+  ]);
+
+  const groups = plain(scripts.groupRecordsByOpportunity(scripts.buildInputTable(ss)));
+
+  assert.deepEqual(groups, [
+    { oppId: opportunities[1], indexes: [0, 3] },
+    { oppId: opportunities[0], indexes: [1, 4] },
+    { oppId: '006-typo', indexes: [2] }
+  ]);
+});
+
+test('processOliRecords numbers the revisions of each Opportunity on its own', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[1], org.products[1], 2, 200, ''],
+    [org.opportunities[0], org.products[1], 3, 300, '']
+  ]);
+  seedRevision(salesforce, opportunities[0], 4, [{ Product__c: products[0], Quantity__c: 9 }]);
+
+  const result = plain(scripts.processOliRecords(ss));
+
+  assert.deepEqual(result.opportunities.map((summary) => [summary.opportunityId, summary.revision, summary.rows]),
+    [[opportunities[0], 5, [2, 4]], [opportunities[1], 1, [3]]]);
+  const active = lineItems(salesforce, (record) => record.Active__c);
+  assert.deepEqual(active.map((record) => [record.opportunity_id__c, record.Version_Number__c, record.Quantity__c]),
+    [[opportunities[0], 5, 1], [opportunities[0], 5, 3], [opportunities[1], 1, 2]]);
+});
+
+test('processOliRecords treats the 15- and 18-character forms of an Opportunity Id as one Opportunity', () => {
+  const { scripts, ss, salesforce, opportunities } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[0].slice(0, 15), org.products[1], 2, 200, '']
+  ]);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'committed');
+  assert.equal(result.opportunities.length, 1);
+  assert.equal(result.opportunities[0].opportunityId, opportunities[0]);
+  assert.deepEqual(plain(result.opportunities[0].rows), [2, 3]);
+  const active = lineItems(salesforce, (record) => record.Active__c);
+  assert.deepEqual(active.map((record) => record.Quantity__c), [1, 2]);
+  assert.ok(active.every((record) => record.opportunity_id__c === opportunities[0]));
+});
+
+test('processOliRecords restores the previous revision when the insert fails', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, ''],
+    [org.opportunities[0], org.products[1], 2, 999999, '']
+  ]);
+  const previous = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[0], Quantity__c: 7 }]);
+  salesforce.rejectWhen('create', (record) => record.Sales_Price__c > 10000 && { statusCode: 'NUMBER_OUTSIDE_VALID_RANGE', message: 'too large', fields: ['Sales_Price__c'] });
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'failed');
+  assert.equal(result.opportunities[0].outcome, 'rolled back');
+  const records = lineItems(salesforce);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].Id, previous[0].Id);
+  assert.equal(records[0].Active__c, true);
+  const sheet = ss.getSheetByName('Quote');
+  assert.match(sheet.getRange(3, 9).getValue(), /NUMBER_OUTSIDE_VALID_RANGE: too large \[Sales_Price__c\]/);
+  assert.match(sheet.getRange(2, 9).getValue(), /ALL_OR_NONE_OPERATION_ROLLED_BACK/);
+});
+
+test('processOliRecords reports a rollback that cannot reactivate the previous revision', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 999999, '']
+  ]);
+  const previous = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[0], Quantity__c: 7 }]);
+  salesforce.rejectWhen('create', (record) => record.Sales_Price__c > 10000 && 'too large');
+  salesforce.rejectWhen('update', (record) => record.Active__c === true && 'Locked');
+
+  const summary = plain(scripts.processOliRecords(ss).opportunities[0]);
+
+  assert.equal(summary.outcome, 'rollback failed');
+  assert.match(summary.error, /the rollback did not complete\. Check the line items for Opportunity/);
+  assert.equal(summary.rollback.reactivated[0].success, false);
+  assert.deepEqual(lineItems(salesforce).map((record) => [record.Id, record.Active__c]), [[previous[0].Id, false]]);
+});
+
+test('processOliRecords reactivates every previous line when the deactivation throws partway', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => [
+    [org.opportunities[0], org.products[0], 1, 100, '']
+  ]);
+  const items = [];
+  for (let i = 0; i < 250; i++) items.push({ Product__c: products[0], Quantity__c: i });
+  seedRevision(salesforce, opportunities[0], 1, items);
+  // The first chunk of 200 is deactivated, then the connection drops.
+  salesforce.failNext(1, { error: 'Timeout: https://fake.my.salesforce.com' }, /composite\/sobjects$/, 1);
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'rolled back');
+  assert.match(summary.error, /Deactivation of the current revision failed/);
+  assert.equal(lineItems(salesforce).length, 250);
+  assert.equal(lineItems(salesforce, (record) => record.Active__c).length, 250);
+  assert.equal(salesforce.dataRequests('post', /composite\/sobjects/).length, 0);
+});
+
+test('processOliRecords deletes the created lines when the insert throws partway', () => {
+  const { scripts, ss, salesforce, opportunities, products } = setup((org) => {
+    const rows = [];
+    for (let i = 0; i < 250; i++) rows.push([org.opportunities[0], org.products[0], i + 1, 100, '']);
+    return rows;
+  });
+  const previous = seedRevision(salesforce, opportunities[0], 1, [{ Product__c: products[0], Quantity__c: 7 }]);
+  // The deactivation and the first chunk of 200 go through, then the connection drops.
+  salesforce.failNext(1, { error: 'Timeout: https://fake.my.salesforce.com' }, /composite\/sobjects$/, 2);
+
+  const result = scripts.processOliRecords(ss);
+
+  const summary = result.opportunities[0];
+  assert.equal(summary.outcome, 'rolled back');
+  assert.equal(plain(summary.rollback.deleted).length, 200);
+  const records = lineItems(salesforce);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].Id, previous[0].Id);
+  assert.equal(records[0].Active__c, true);
+});
+
+test('processOliRecords reports rows without an Opportunity Id or with an invalid one', () => {
+  const { scripts, ss, salesforce } = setup((org) => [
+    ['006-not-an-id', org.products[0], 1, 100, ''],
+    [org.products[1], org.products[1], 2, 200, '']
+  ]);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'failed');
+  result.opportunities.forEach((summary) => {
+    assert.equal(summary.outcome, 'failed');
+    assert.ok(summary.error);
+  });
+  assert.match(result.opportunities[1].error, /Opportunity/);
+  assert.equal(lineItems(salesforce).length, 0);
+  assert.equal(ss.getSheetByName('Quote').getRange(3, 6).getValue(), 'Not synced');
+});
+
+test('processOliRecords stops an Opportunity before any change when a value does not fit the field', () => {
+  const org = createOrg();
+  const describe = lineItemDescribe();
+  describe.fields.find((field) => field.name === 'Start_Date__c').createable = false;
+  org.salesforce.setDescribe('jellyfish_line_item__c', describe);
+  const { scripts, ss } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS, [org.opportunities[0], org.products[0], 1, 1, '2025-01-01']] }
+  });
+  const previous = seedRevision(org.salesforce, org.opportunities[0], 1, [{ Product__c: org.products[0] }]);
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.opportunities[0].outcome, 'failed');
+  assert.match(result.opportunities[0].error, /Start_Date__c.*cannot be set when creating records/);
+  assert.equal(org.salesforce.dataRequests('patch').length, 0);
+  assert.equal(lineItems(org.salesforce, (record) => record.Id === previous[0].Id)[0].Active__c, true);
+});
+
+test('processOliRecords throws when the parameters are invalid and logs the error', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: { JF_SCRIPT_PARAMS: [['{"Input Sheet":{"Name":"Quote"}}']], Quote: [QUOTE_HEADERS] }
+  });
+
+  assert.throws(() => scripts.processOliRecords(ss), /JF_SCRIPT_PARAMS is invalid/);
+  const log = ss.getSheetByName('JF_SCRIPT_LOG').values();
+  assert.ok(log.some((row) => row[2] === 'error' && /Error in processOliRecords/.test(row[3])));
+});
+
+test('processOliRecords records the token error on each Opportunity when authentication fails', () => {
+  const org = createOrg();
+  org.salesforce.failTokenRequests({ error: 'invalid_client', error_description: 'invalid client credentials' });
+  const { scripts, ss } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: { JF_SCRIPT_PARAMS: standardParams(), Quote: [QUOTE_HEADERS, [org.opportunities[0], org.products[0], 1, 1, '']] }
+  });
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'failed');
+  assert.match(result.opportunities[0].error, /Failed to get access token: .*invalid client credentials/);
+  assert.ok(!/test-client-secret-value/.test(result.opportunities[0].error));
+});
+
+test('processJellyfishLineItems writes one batch of log entries with a single run id', () => {
+  const { scripts, ss, logger } = setup((org) => [[org.opportunities[0], org.products[0], 1, 100, '']]);
+
+  scripts.processJellyfishLineItems(ss);
+
+  const log = ss.getSheetByName('JF_SCRIPT_LOG').values();
+  assert.deepEqual(log[0], ['Timestamp', 'Run Id', 'Level', 'Message', 'Context']);
+  const runIds = new Set(log.slice(1).map((row) => row[1]));
+  assert.equal(runIds.size, 1);
+  assert.ok(!/test-client-secret-value/.test(JSON.stringify(log)));
+  assert.ok(!/fake\.token/.test(JSON.stringify(log) + logger.getLog()));
+});
+
+test('the log header is rewritten on a log sheet created by an older version', () => {
+  const org = createOrg();
+  const { scripts, ss } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: standardParams(),
+      Quote: [QUOTE_HEADERS, [org.opportunities[0], org.products[0], 1, 100, '']],
+      JF_SCRIPT_LOG: [['Timestamp', 'Message'], ['2024-01-01', 'An old entry']]
+    }
+  });
+
+  scripts.processJellyfishLineItems(ss);
+
+  const log = ss.getSheetByName('JF_SCRIPT_LOG').values();
+  assert.deepEqual(log[0], ['Timestamp', 'Run Id', 'Level', 'Message', 'Context']);
+  assert.deepEqual(log[1].slice(0, 2), ['2024-01-01', 'An old entry']);
+  assert.ok(log.length > 2);
+});
+
+test('processOliRecords syncs the object named by the Target Object setting', () => {
+  const org = createOrg();
+  org.salesforce.setDescribe('Payment_Schedule__c', describeObject('Payment_Schedule__c', {
+    Opportunity__c: { type: 'reference', nillable: false, referenceTo: ['Opportunity'] },
+    Amount__c: 'currency',
+    Due_Date__c: 'date',
+    Is_Active__c: { type: 'boolean', nillable: false, defaultedOnCreate: true },
+    Revision__c: 'double'
+  }, 'a1P'));
+  const params = paramsSheet([
+    { 'Input Sheet': { Name: 'Schedule' } },
+    { 'Table Header Row': { Name: 1 } },
+    { 'Target Object': { Name: 'Payment_Schedule__c', parent_field: 'Opportunity__c', active_field: 'Is_Active__c', version_field: 'Revision__c' } }
+  ].concat(mappings([
+    { object_label: 'Opportunity', object_api_name: 'Opportunity__c' },
+    { object_label: 'Amount', object_api_name: 'Amount__c', type: 'currency' },
+    { object_label: 'Due Date', object_api_name: 'Due_Date__c', type: 'date' }
+  ])));
+  const { scripts, ss, salesforce } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: params,
+      Schedule: [['Opportunity', 'Amount', 'Due Date'], [org.opportunities[0], 5000, '2025-03-01'], [org.opportunities[0], 2500, '2025-06-01']]
+    }
+  });
+  const previous = salesforce.insert('Payment_Schedule__c', { Opportunity__c: org.opportunities[0], Amount__c: 7500, Is_Active__c: true, Revision__c: 1 });
+
+  const result = scripts.processOliRecords(ss);
+
+  assert.equal(result.outcome, 'committed');
+  assert.equal(result.opportunities[0].revision, 2);
+  const schedules = salesforce.records('Payment_Schedule__c');
+  assert.deepEqual(schedules.map((record) => [record.Amount__c, record.Is_Active__c, record.Revision__c]),
+    [[7500, false, 1], [5000, true, 2], [2500, true, 2]]);
+  assert.ok(schedules.every((record) => record.Opportunity__c === org.opportunities[0]));
+  assert.equal(schedules[0].Id, previous.Id);
+  assert.equal(lineItems(salesforce).length, 0);
+
+  const revisions = plain(scripts.listRevisions(ss, org.opportunities[0]));
+  assert.deepEqual(revisions.map((revision) => [revision.version, revision.lines, revision.activeLines, revision.total]),
+    [[2, 2, 2, null], [1, 1, 0, null]]);
+  assert.equal(ss.getSheetByName('JF_REVISIONS').getRange(5, 5).getValue(), '');
+});
+
+test('the Target Object setting names the fields that pair preview lines and make up revision totals', () => {
+  const org = createOrg();
+  org.salesforce.setDescribe('Payment_Schedule__c', describeObject('Payment_Schedule__c', {
+    Opportunity__c: { type: 'reference', nillable: false, referenceTo: ['Opportunity'] },
+    Amount__c: 'currency',
+    Due_Date__c: 'date',
+    Is_Active__c: { type: 'boolean', nillable: false, defaultedOnCreate: true },
+    Revision__c: 'double'
+  }, 'a1P'));
+  const { scripts, ss, salesforce } = loadScripts({
+    salesforce: org.salesforce,
+    sheets: {
+      JF_SCRIPT_PARAMS: paramsSheet([
+        { 'Input Sheet': { Name: 'Schedule' } },
+        { 'Table Header Row': { Name: 1 } },
+        { 'Target Object': { Name: 'Payment_Schedule__c', parent_field: 'Opportunity__c', active_field: 'Is_Active__c',
+          version_field: 'Revision__c', match_fields: 'Due_Date__c', total_fields: 'Amount__c' } }
+      ].concat(mappings([
+        { object_label: 'Opportunity', object_api_name: 'Opportunity__c' },
+        { object_label: 'Amount', object_api_name: 'Amount__c', type: 'currency' },
+        { object_label: 'Due Date', object_api_name: 'Due_Date__c', type: 'date' }
+      ]))),
+      Schedule: [['Opportunity', 'Amount', 'Due Date'], [org.opportunities[0], 2500, '2025-06-01'], [org.opportunities[0], 5000, '2025-03-01']]
+    }
+  });
+  const march = salesforce.insert('Payment_Schedule__c', { Opportunity__c: org.opportunities[0], Amount__c: 4000, Due_Date__c: '2025-03-01', Is_Active__c: true, Revision__c: 1 });
+  salesforce.insert('Payment_Schedule__c', { Opportunity__c: org.opportunities[0], Amount__c: 3000, Due_Date__c: '2025-06-01', Is_Active__c: true, Revision__c: 1 });
+
+  const summaries = plain(scripts.previewOliRecords(ss));
+  const revisions = plain(scripts.listRevisions(ss, org.opportunities[0]));
+
+  // Paired on the due date: the March payment changed, and the June one is not the changed March one.
+  assert.deepEqual([summaries[0].changed, summaries[0].added, summaries[0].removed], [2, 0, 0]);
+  const changes = ss.getSheetByName('JF_PREVIEW').values().slice(5).map((row) => row.slice(1, 7));
+  assert.deepEqual(changes.filter((row) => row[2] === march.Id), [['changed', 3, march.Id, 'Amount__c', '4000', '5000']]);
+  assert.deepEqual(revisions.map((revision) => [revision.version, revision.total]), [[1, 7000]]);
+});
+
+test('the Target Object setting rejects names that cannot go into SOQL', () => {
+  const { scripts, ss } = loadScripts({
+    sheets: { JF_SCRIPT_PARAMS: standardParams([{ 'Target Object': { Name: 'Payment_Schedule__c', version_field: 'Revision__c DESC' } }]) }
+  });
+
+  assert.throws(() => scripts.loadParametersFromJson(ss), /Invalid field name for SOQL: "Revision__c DESC"/);
+  assert.match(scripts.validateParameters(ss).problems.map((problem) => problem.message).join('\n'), /version_field.*API name/);
+});